@@ -32,6 +32,11 @@ class AlreadyConstructedMarkerType {}
  *  adoptedCallback: Function,
  *  attributeChangedCallback: Function,
  *  observedAttributes: !Array<string>,
+ *  formAssociated: boolean,
+ *  formAssociatedCallback: Function,
+ *  formResetCallback: Function,
+ *  formDisabledCallback: Function,
+ *  formStateRestoreCallback: Function,
  *  constructionStack: !Array<!HTMLElement|!AlreadyConstructedMarkerType>,
  * }}
  */
@@ -72,10 +77,45 @@ Element.prototype.__CE_definition;
 /** @type {!DocumentFragment|undefined} */
 Element.prototype.__CE_shadowRoot;
 
+/** @type {!Object|undefined} */
+Element.prototype.__CE_internals;
+
+/** @type {?HTMLFormElement|undefined} */
+Element.prototype.__CE_form;
+
+/** @type {boolean|undefined} */
+Element.prototype.__CE_disabled;
+
+/** @type {!Set<!HTMLElement>|undefined} */
+HTMLFormElement.prototype.__CE_formAssociatedElements;
+
+/** @type {(function(): !Object)|undefined} */
+HTMLElement.prototype.attachInternals;
+
 // Note, the closure type is incorrect here.
 /** @type {!HTMLCollection} */
 DocumentFragment.prototype.children;
 
+// Scoped custom element registries.
+
+/** @record */
+function ShadowRootInit() {}
+
+/** @type {string} */
+ShadowRootInit.prototype.mode;
+
+/** @type {!CustomElementRegistry|undefined} */
+ShadowRootInit.prototype.customElements;
+
+/** @type {(function(string): !Element)|undefined} */
+ShadowRoot.prototype.createElement;
+
+/** @type {(function(?string, string): !Element)|undefined} */
+ShadowRoot.prototype.createElementNS;
+
+/** @type {(function(!Node, boolean=): !Node)|undefined} */
+ShadowRoot.prototype.importNode;
+
 /**
  * Non-standard Safari property.
  * @type {string|undefined}
@@ -10,8 +10,10 @@
  */
 
 import './Externs.js';
+import CustomElementRegistry from './CustomElementRegistry.js';
 import {CustomElementState as CEState} from './CustomElementState.js';
-import {CustomElementDefinition, HTMLImportElement} from './Externs.js';
+import {Constructor, CustomElementDefinition, HTMLImportElement} from './Externs.js';
+import * as FormAssociated from './FormAssociated.js';
 import * as Native from './Patch/Native.js';
 import * as Utilities from './Utilities.js';
 
@@ -21,6 +23,24 @@ export default class CustomElementInternals {
   private readonly _patchesNode: Array<(node: Node) => void> = [];
   private readonly _patchesElement: Array<(elem: Element) => void> = [];
   private _hasPatches = false;
+  /**
+   * Set once any node has been associated with a registry other than its
+   * owner document's. Until then, registry lookups don't need to walk the
+   * tree.
+   */
+  private _hasScopedRegistries = false;
+  /**
+   * The definitions whose constructors are currently being run by
+   * `createAnElement` or an upgrade, innermost last.
+   */
+  private readonly _definitionsBeingConstructed:
+      Array<CustomElementDefinition> = [];
+  /**
+   * Definitions from scoped registries, used when a constructor that isn't
+   * defined in the global registry is called directly.
+   */
+  private readonly _scopedConstructorToDefinition =
+      new Map<Constructor<HTMLElement>, CustomElementDefinition>();
   public readonly shadyDomFastWalk: boolean;
   public readonly useDocumentConstructionObserver: boolean;
 
@@ -64,6 +84,60 @@ export default class CustomElementInternals {
     this._patchesElement.push(patch);
   }
 
+  /**
+   * Associates `node` (a shadow root or an element created through a scoped
+   * registry) and its descendants with `registry`.
+   */
+  associateWithRegistry(node: Node, registry: CustomElementRegistry) {
+    this._hasScopedRegistries = true;
+    node.__CE_registry = registry;
+  }
+
+  /**
+   * Returns the registry used to look up definitions for `node`: that of its
+   * nearest inclusive ancestor associated with a registry, or that of its
+   * owner document.
+   */
+  registryForNode(node: Node): CustomElementRegistry|undefined {
+    if (this._hasScopedRegistries) {
+      for (let n: Node|null = node; n; n = n.parentNode) {
+        const registry = n.__CE_registry;
+        if (registry) {
+          return registry;
+        }
+      }
+    }
+    const doc = node.nodeType === Node.DOCUMENT_NODE ? node as Document :
+                                                       node.ownerDocument;
+    return doc ? doc.__CE_registry : undefined;
+  }
+
+  addScopedDefinition(definition: CustomElementDefinition) {
+    const constructor = definition.constructorFunction;
+    if (!this._scopedConstructorToDefinition.has(constructor)) {
+      this._scopedConstructorToDefinition.set(constructor, definition);
+    }
+  }
+
+  /**
+   * Finds the definition used to construct an element with `constructor`. A
+   * constructor may be defined in more than one registry, so the definition
+   * currently being constructed is preferred, followed by the definition in
+   * the global registry and then by any scoped definition.
+   */
+  constructorToDefinition(constructor: Constructor<HTMLElement>):
+      CustomElementDefinition|undefined {
+    const constructing = this._definitionsBeingConstructed;
+    const current = constructing[constructing.length - 1];
+    if (current && current.constructorFunction === constructor) {
+      return current;
+    }
+    const registry = document.__CE_registry;
+    const definition =
+        registry && registry.internal_constructorToDefinition(constructor);
+    return definition || this._scopedConstructorToDefinition.get(constructor);
+  }
+
   patchTree(node: Node) {
     if (!this._hasPatches) {
       return;
@@ -267,10 +341,13 @@ export default class CustomElementInternals {
     }
   }
 
-  upgradeReaction(element: HTMLElement) {
+  upgradeReaction(
+      element: HTMLElement,
+      registry: CustomElementRegistry|
+      undefined = this.registryForNode(element)) {
     try {
       const definition = this._lookupACustomElementDefinition(
-          element.ownerDocument!, element.localName);
+          element.ownerDocument!, element.localName, registry);
       if (definition) {
         this._upgradeAnElement(element, definition);
       }
@@ -290,6 +367,10 @@ export default class CustomElementInternals {
     }
 
     definition.constructionStack.push(element);
+    this._definitionsBeingConstructed.push(definition);
+    // The definition is set before construction so that the constructor can
+    // call `attachInternals`.
+    element.__CE_definition = definition;
 
     try {
       try {
@@ -300,14 +381,15 @@ export default class CustomElementInternals {
         }
       } finally {
         definition.constructionStack.pop();
+        this._definitionsBeingConstructed.pop();
       }
     } catch (e) {
       element.__CE_state = CEState.failed;
+      element.__CE_definition = undefined;
       throw e;
     }
 
     element.__CE_state = CEState.custom;
-    element.__CE_definition = definition;
 
     // Check `hasAttributes` here to avoid iterating when it's not necessary.
     if (definition.attributeChangedCallback && element.hasAttributes()) {
@@ -323,11 +405,14 @@ export default class CustomElementInternals {
 
     if (Utilities.isConnected(element)) {
       this.connectedCallback(element);
+    } else {
+      this.updateFormAssociation(element);
     }
   }
 
   connectedCallback(element: Element) {
     const definition = element.__CE_definition!;
+    this.updateFormAssociation(element);
     if (definition.connectedCallback) {
       try {
         definition.connectedCallback.call(element);
@@ -339,6 +424,7 @@ export default class CustomElementInternals {
 
   disconnectedCallback(element: Element) {
     const definition = element.__CE_definition!;
+    this.updateFormAssociation(element);
     if (definition.disconnectedCallback) {
       try {
         definition.disconnectedCallback.call(element);
@@ -361,18 +447,81 @@ export default class CustomElementInternals {
         this.reportTheException(e);
       }
     }
+
+    if (!namespace && (name === 'form' || name === 'disabled')) {
+      this.updateFormAssociation(element);
+    }
+  }
+
+  /**
+   * Runs HTML's 'reset the form owner' for a form-associated custom element,
+   * calling `formAssociatedCallback` if the form owner changed, and calls
+   * `formDisabledCallback` if the element's disabled state changed.
+   *
+   * @see https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#reset-the-form-owner
+   */
+  updateFormAssociation(element: Element) {
+    const definition = element.__CE_definition!;
+    if (!definition.formAssociated) {
+      return;
+    }
+    const htmlElement = element as HTMLElement;
+
+    const oldForm = htmlElement.__CE_form || null;
+    const newForm = FormAssociated.findFormOwner(htmlElement);
+    if (oldForm !== newForm) {
+      htmlElement.__CE_form = newForm;
+      if (oldForm) {
+        FormAssociated.setFormAssociation(this, htmlElement, oldForm, false);
+      }
+      if (newForm) {
+        FormAssociated.setFormAssociation(this, htmlElement, newForm, true);
+      }
+      if (definition.formAssociatedCallback) {
+        try {
+          definition.formAssociatedCallback.call(htmlElement, newForm);
+        } catch (e) {
+          this.reportTheException(e);
+        }
+      }
+    }
+
+    const wasDisabled = !!htmlElement.__CE_disabled;
+    const disabled = FormAssociated.isDisabled(htmlElement);
+    if (wasDisabled !== disabled) {
+      htmlElement.__CE_disabled = disabled;
+      if (definition.formDisabledCallback) {
+        try {
+          definition.formDisabledCallback.call(htmlElement, disabled);
+        } catch (e) {
+          this.reportTheException(e);
+        }
+      }
+    }
+  }
+
+  formResetCallback(element: Element) {
+    const definition = element.__CE_definition!;
+    if (definition.formResetCallback) {
+      try {
+        definition.formResetCallback.call(element);
+      } catch (e) {
+        this.reportTheException(e);
+      }
+    }
   }
 
   /**
    * Runs HTML's 'look up a custom element definition', excluding the namespace
-   * check.
+   * check. `registry` is the registry associated with the element's scope.
    *
    * @see https://html.spec.whatwg.org/multipage/custom-elements.html#look-up-a-custom-element-definition
    */
-  private _lookupACustomElementDefinition(doc: Document, localName: string):
-      CustomElementDefinition|undefined {
-    // The document must be associated with a registry.
-    const registry = doc.__CE_registry;
+  private _lookupACustomElementDefinition(
+      doc: Document, localName: string,
+      registry: CustomElementRegistry|undefined): CustomElementDefinition
+      |undefined {
+    // The element's scope must be associated with a registry.
     if (!registry) {
       return;
     }
@@ -397,22 +546,40 @@ export default class CustomElementInternals {
   /**
    * Runs the DOM's 'create an element'. If namespace is not null, then the
    * native `createElementNS` is used. Otherwise, `createElement` is used.
+   * Definitions are looked up in `registry`, which defaults to the document's.
    *
    * Note, the template polyfill only wraps `createElement`, preventing this
    * function from using `createElementNS` in all cases.
    *
    * @see https://dom.spec.whatwg.org/#concept-create-element
    */
-  createAnElement(doc: Document, localName: string, namespace: string|null):
-      Element {
-    const registry = doc.__CE_registry;
-    // Only create custom elements if the document is associated with a
-    // registry.
+  createAnElement(
+      doc: Document, localName: string, namespace: string|null,
+      registry: CustomElementRegistry|undefined = doc.__CE_registry): Element {
+    const result = this._createAnElement(doc, localName, namespace, registry);
+    // Elements created with a scoped registry remember it so that they (and
+    // their descendants) are upgraded with it later.
+    if (registry && registry !== doc.__CE_registry) {
+      this.associateWithRegistry(result, registry);
+    }
+    return result;
+  }
+
+  private _createAnElement(
+      doc: Document, localName: string, namespace: string|null,
+      registry: CustomElementRegistry|undefined): Element {
+    // Only create custom elements if there is an associated registry.
     if (registry && (namespace === null || namespace === NS_HTML)) {
       const definition = registry.internal_localNameToDefinition(localName);
       if (definition) {
         try {
-          const result = new (definition.constructorFunction)();
+          let result: HTMLElement;
+          this._definitionsBeingConstructed.push(definition);
+          try {
+            result = new (definition.constructorFunction)();
+          } finally {
+            this._definitionsBeingConstructed.pop();
+          }
 
           // These conformance checks can't be performed when the user calls
           // the element's constructor themselves. However, this also true in
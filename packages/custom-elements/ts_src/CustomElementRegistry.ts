@@ -19,6 +19,7 @@ import * as Utilities from './Utilities.js';
 interface ElementConstructor {
   new(): HTMLElement;
   observedAttributes?: Array<string>;
+  formAssociated?: boolean;
 }
 type ConstructorGetter = () => ElementConstructor;
 
@@ -35,6 +36,11 @@ export default class CustomElementRegistry {
       new Map<Constructor<HTMLElement>, CustomElementDefinition>();
   private _elementDefinitionIsRunning = false;
   private readonly _internals: CustomElementInternals;
+  /**
+   * True for registries created with `new CustomElementRegistry()`, which are
+   * only used by the shadow roots they're given to.
+   */
+  private readonly _isScoped: boolean;
   private readonly _whenDefinedDeferred =
       new Map<string, Deferred<undefined>>();
 
@@ -56,8 +62,28 @@ export default class CustomElementRegistry {
   private readonly _documentConstructionObserver: DocumentConstructionObserver|
       undefined;
 
-  constructor(internals: CustomElementInternals) {
+  /**
+   * The polyfill creates the global registry with its internals. Scoped
+   * registries are created by user code without arguments and share the
+   * internals of the global registry.
+   */
+  constructor(internals?: CustomElementInternals) {
+    if (internals === undefined) {
+      const globalRegistry = document.__CE_registry;
+      if (!globalRegistry) {
+        throw new TypeError('Illegal constructor.');
+      }
+      // The registry has the type of the native registry in the externs.
+      const registry = /** @type {!CustomElementRegistry} */ (
+          /** @type {?} */ (globalRegistry));
+      this._internals = registry._internals;
+      this._isScoped = true;
+      this._documentConstructionObserver = undefined;
+      return;
+    }
+
     this._internals = internals;
+    this._isScoped = false;
     this._documentConstructionObserver =
         internals.useDocumentConstructionObserver ?
         new DocumentConstructionObserver(internals, document) :
@@ -122,6 +148,13 @@ export default class CustomElementRegistry {
     let attributeChangedCallback:
         CustomElementDefinition['attributeChangedCallback'];
     let observedAttributes: CustomElementDefinition['observedAttributes'];
+    let formAssociated: CustomElementDefinition['formAssociated'];
+    let formAssociatedCallback:
+        CustomElementDefinition['formAssociatedCallback'];
+    let formResetCallback: CustomElementDefinition['formResetCallback'];
+    let formDisabledCallback: CustomElementDefinition['formDisabledCallback'];
+    let formStateRestoreCallback:
+        CustomElementDefinition['formStateRestoreCallback'];
     try {
       const prototype = constructor.prototype;
       if (!(prototype instanceof Object)) {
@@ -130,7 +163,8 @@ export default class CustomElementRegistry {
       }
 
       type CEReactionCallback = 'connectedCallback'|'disconnectedCallback'|
-          'adoptedCallback'|'attributeChangedCallback';
+          'adoptedCallback'|'attributeChangedCallback'|'formAssociatedCallback'|
+          'formResetCallback'|'formDisabledCallback'|'formStateRestoreCallback';
       const getCallback =
           function getCallback(name: CEReactionCallback) {
         const callbackValue = prototype[name];
@@ -149,6 +183,15 @@ export default class CustomElementRegistry {
       // `attributesChangedCallback` exists
       observedAttributes =
           (attributeChangedCallback && constructor['observedAttributes']) || [];
+      formAssociated = !!constructor['formAssociated'];
+      // The form-associated callbacks are only read for form-associated
+      // elements.
+      if (formAssociated) {
+        formAssociatedCallback = getCallback('formAssociatedCallback');
+        formResetCallback = getCallback('formResetCallback');
+        formDisabledCallback = getCallback('formDisabledCallback');
+        formStateRestoreCallback = getCallback('formStateRestoreCallback');
+      }
     } catch (e) {
       throw e;
     } finally {
@@ -163,12 +206,20 @@ export default class CustomElementRegistry {
       adoptedCallback,
       attributeChangedCallback,
       observedAttributes,
+      formAssociated,
+      formAssociatedCallback,
+      formResetCallback,
+      formDisabledCallback,
+      formStateRestoreCallback,
       constructionStack: [] as Array<HTMLElement|AlreadyConstructedMarkerType>,
     };
 
     this._localNameToDefinition.set(localName, definition);
     this._constructorToDefinition.set(
         definition.constructorFunction, definition);
+    if (this._isScoped) {
+      this._internals.addScopedDefinition(definition);
+    }
 
     return definition;
   }
@@ -207,6 +258,15 @@ export default class CustomElementRegistry {
         }
 
         const localName = element.localName;
+        if (!elementsWithPendingDefinitions.has(localName) &&
+            !this._localNameToDefinition.has(localName)) {
+          return;
+        }
+
+        // Ignore the element if it's in the scope of a different registry.
+        if (this._internals.registryForNode(element) !== this) {
+          return;
+        }
 
         // If there is an applicable pending definition for the element, add the
         // element to the list of elements to be upgraded with that definition.
@@ -224,7 +284,7 @@ export default class CustomElementRegistry {
 
     // Upgrade elements with 'stable' definitions first.
     for (let i = 0; i < elementsWithStableDefinitions.length; i++) {
-      this._internals.upgradeReaction(elementsWithStableDefinitions[i]);
+      this._internals.upgradeReaction(elementsWithStableDefinitions[i], this);
     }
 
     // Upgrade elements with 'pending' definitions in the order they were
@@ -236,7 +296,7 @@ export default class CustomElementRegistry {
 
       // Attempt to upgrade all applicable elements.
       for (let i = 0; i < pendingUpgradableElements.length; i++) {
-        this._internals.upgradeReaction(pendingUpgradableElements[i]);
+        this._internals.upgradeReaction(pendingUpgradableElements[i], this);
       }
 
       // Resolve any promises created by `whenDefined` for the definition.
@@ -0,0 +1,154 @@
+/**
+ * @license
+ * Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt The complete set of authors may be found
+ * at http://polymer.github.io/AUTHORS.txt The complete set of contributors may
+ * be found at http://polymer.github.io/CONTRIBUTORS.txt Code distributed by
+ * Google as part of the polymer project is also subject to an additional IP
+ * rights grant found at http://polymer.github.io/PATENTS.txt
+ */
+
+import * as Native from './Patch/Native.js';
+
+/**
+ * The prefix of the attributes that reflect an element's custom states. The
+ * ShadyCSS style transformer rewrites `:state(foo)` to `[state--foo]`.
+ */
+const STATE_ATTRIBUTE_PREFIX = 'state--';
+
+/**
+ * The set of custom states of an element, returned by
+ * `ElementInternals#states`. Each state is reflected to an attribute on the
+ * element so that it can be matched by selectors.
+ *
+ * @see https://wicg.github.io/custom-state-pseudo-class/
+ */
+export default class CustomStateSet {
+  private readonly _element: HTMLElement;
+  private readonly _states = new Set<string>();
+
+  constructor(element: HTMLElement) {
+    this._element = element;
+  }
+
+  /**
+   * Implements the `size` getter.
+   */
+  getSize(): number {
+    return this._states.size;
+  }
+
+  add(state: string): this {
+    state = String(state);
+    if (!this._states.has(state)) {
+      // Set the attribute first so that an invalid state throws before it's
+      // added.
+      Native.Element_setAttribute.call(
+          this._element, STATE_ATTRIBUTE_PREFIX + state, '');
+      this._states.add(state);
+    }
+    return this;
+  }
+
+  delete(state: string): boolean {
+    state = String(state);
+    if (!this._states.has(state)) {
+      return false;
+    }
+    this._states.delete(state);
+    Native.Element_removeAttribute.call(
+        this._element, STATE_ATTRIBUTE_PREFIX + state);
+    return true;
+  }
+
+  has(state: string): boolean {
+    return this._states.has(String(state));
+  }
+
+  clear() {
+    this._states.forEach(
+        state => Native.Element_removeAttribute.call(
+            this._element, STATE_ATTRIBUTE_PREFIX + state));
+    this._states.clear();
+  }
+
+  forEach(
+      callback: (value: string, key: string, set: CustomStateSet) => void,
+      thisArg?: unknown) {
+    this._states.forEach(state => callback.call(thisArg, state, state, this));
+  }
+
+  /**
+   * Returns the states in insertion order. IE11 doesn't support iterating a
+   * `Set`, so the states are copied into an array.
+   */
+  private _toArray(): Array<string> {
+    const states: Array<string> = [];
+    this._states.forEach(state => states.push(state));
+    return states;
+  }
+
+  values(): Iterator<string> {
+    return arrayIterator(this._toArray());
+  }
+
+  keys(): Iterator<string> {
+    return this.values();
+  }
+
+  entries(): Iterator<[string, string]> {
+    return arrayIterator(
+        this._toArray().map(state => [state, state] as [string, string]));
+  }
+}
+
+function arrayIterator<T>(values: Array<T>): Iterator<T> {
+  let index = 0;
+  const iterator = {
+    next(): IteratorResult<T> {
+      if (index < values.length) {
+        return {done: false, value: values[index++]};
+      }
+      return {done: true, value: undefined} as unknown as IteratorResult<T>;
+    },
+  };
+  if (window.Symbol && Symbol.iterator) {
+    Object.defineProperty(iterator, Symbol.iterator, {
+      configurable: true,
+      value: () => iterator,
+    });
+  }
+  return iterator;
+}
+
+// Closure compiler exports.
+window['CustomStateSet'] = CustomStateSet;
+CustomStateSet.prototype['add'] = CustomStateSet.prototype.add;
+CustomStateSet.prototype['delete'] = CustomStateSet.prototype.delete;
+CustomStateSet.prototype['has'] = CustomStateSet.prototype.has;
+CustomStateSet.prototype['clear'] = CustomStateSet.prototype.clear;
+CustomStateSet.prototype['forEach'] = CustomStateSet.prototype.forEach;
+CustomStateSet.prototype['values'] = CustomStateSet.prototype.values;
+CustomStateSet.prototype['keys'] = CustomStateSet.prototype.keys;
+CustomStateSet.prototype['entries'] = CustomStateSet.prototype.entries;
+if (window.Symbol && Symbol.iterator) {
+  Object.defineProperty(CustomStateSet.prototype, Symbol.iterator, {
+    configurable: true,
+    writable: true,
+    value: CustomStateSet.prototype.values,
+  });
+}
+Object.defineProperty(CustomStateSet.prototype, 'size', {
+  configurable: true,
+  enumerable: true,
+  get(this: CustomStateSet) {
+    return this.getSize();
+  },
+});
+
+declare global {
+  interface Window {
+    CustomStateSet: typeof CustomStateSet;
+  }
+}
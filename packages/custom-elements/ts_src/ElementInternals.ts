@@ -0,0 +1,315 @@
+/**
+ * @license
+ * Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt The complete set of authors may be found
+ * at http://polymer.github.io/AUTHORS.txt The complete set of contributors may
+ * be found at http://polymer.github.io/CONTRIBUTORS.txt Code distributed by
+ * Google as part of the polymer project is also subject to an additional IP
+ * rights grant found at http://polymer.github.io/PATENTS.txt
+ */
+
+import CustomStateSet from './CustomStateSet.js';
+import {FormValue} from './Externs.js';
+import * as FormAssociated from './FormAssociated.js';
+import * as Native from './Patch/Native.js';
+
+const validityFlagNames = [
+  'valueMissing',
+  'typeMismatch',
+  'patternMismatch',
+  'tooLong',
+  'tooShort',
+  'rangeUnderflow',
+  'rangeOverflow',
+  'stepMismatch',
+  'badInput',
+  'customError',
+];
+
+type ValidityFlags = {
+  [flag: string]: boolean
+};
+
+/**
+ * The object returned by `HTMLElement#attachInternals`.
+ *
+ * @see https://html.spec.whatwg.org/multipage/custom-elements.html#the-elementinternals-interface
+ */
+export default class ElementInternals {
+  private readonly _element: HTMLElement;
+  private _value: FormValue = null;
+  private _validityFlags: ValidityFlags = {};
+  private _validationMessage = '';
+  private _validationAnchor: HTMLElement|undefined = undefined;
+  private _states: CustomStateSet|undefined = undefined;
+
+  constructor(element: HTMLElement) {
+    this._element = element;
+  }
+
+  private _assertFormAssociated() {
+    const definition = this._element.__CE_definition;
+    if (!definition || !definition.formAssociated) {
+      throw new Error(
+          'The target element is not a form-associated custom element.');
+    }
+  }
+
+  /**
+   * Implements the `states` getter. Unlike the other members, `states` is
+   * available for elements that aren't form-associated.
+   */
+  getStates(): CustomStateSet {
+    if (!this._states) {
+      this._states = new CustomStateSet(this._element);
+    }
+    return this._states;
+  }
+
+  /**
+   * Implements the `shadowRoot` getter. This returns the element's shadow
+   * root even if it is closed, including one created from a declarative
+   * `<template shadowrootmode>` before the element was upgraded.
+   */
+  getShadowRoot(): ShadowRoot|null {
+    const element = this._element;
+    return (element.__CE_shadowRoot as ShadowRoot | undefined) ||
+        element.shadowRoot || null;
+  }
+
+  /**
+   * Implements the `form` getter.
+   */
+  getForm(): HTMLFormElement|null {
+    this._assertFormAssociated();
+    return this._element.__CE_form || null;
+  }
+
+  /**
+   * Implements the `labels` getter.
+   */
+  getLabels(): Array<HTMLLabelElement> {
+    this._assertFormAssociated();
+    return FormAssociated.findLabels(this._element);
+  }
+
+  /**
+   * Sets the value submitted with the element's form. The polyfill never
+   * restores form state, so `state` is ignored.
+   */
+  setFormValue(value: FormValue, _state?: FormValue) {
+    this._assertFormAssociated();
+    this._value = value;
+  }
+
+  /**
+   * Implements the `willValidate` getter. Elements that are disabled or
+   * `readonly` are barred from constraint validation.
+   */
+  getWillValidate(): boolean {
+    this._assertFormAssociated();
+    return !FormAssociated.isDisabled(this._element) &&
+        Native.Element_getAttribute.call(this._element, 'readonly') === null;
+  }
+
+  /**
+   * Implements the `validity` getter. The returned object is a snapshot
+   * rather than a live `ValidityState`.
+   */
+  getValidity(): ValidityFlags {
+    this._assertFormAssociated();
+    const validity: ValidityFlags = {};
+    let valid = true;
+    for (let i = 0; i < validityFlagNames.length; i++) {
+      const name = validityFlagNames[i];
+      validity[name] = !!this._validityFlags[name];
+      valid = valid && !validity[name];
+    }
+    validity['valid'] = valid;
+    return validity;
+  }
+
+  /**
+   * Implements the `validationMessage` getter.
+   */
+  getValidationMessage(): string {
+    this._assertFormAssociated();
+    return this._validationMessage;
+  }
+
+  /**
+   * @see https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-setvalidity
+   */
+  setValidity(flags?: ValidityFlags, message?: string, anchor?: HTMLElement) {
+    this._assertFormAssociated();
+    const validityFlags: ValidityFlags = {};
+    let valid = true;
+    for (let i = 0; i < validityFlagNames.length; i++) {
+      const name = validityFlagNames[i];
+      validityFlags[name] = !!(flags && flags[name]);
+      valid = valid && !validityFlags[name];
+    }
+
+    if (!valid && !message) {
+      throw new TypeError(
+          'A validation message is required when setting a flag.');
+    }
+
+    if (anchor !== undefined) {
+      let node: Node|null = anchor.parentNode;
+      while (node && node !== this._element) {
+        node = node.parentNode ||
+            (window.ShadowRoot && node instanceof ShadowRoot ? node.host :
+                                                               null);
+      }
+      if (!node) {
+        throw new Error(
+            'The validation anchor must be a shadow-including descendant ' +
+            'of the element.');
+      }
+    }
+
+    this._validityFlags = validityFlags;
+    this._validationMessage = valid ? '' : message!;
+    this._validationAnchor = valid ? undefined : anchor;
+  }
+
+  /**
+   * Returns false, after dispatching a cancelable 'invalid' event to the
+   * element, if the element is a candidate for constraint validation and
+   * doesn't satisfy its constraints.
+   */
+  checkValidity(): boolean {
+    this._assertFormAssociated();
+    if (!this.getWillValidate() || this.getValidity()['valid']) {
+      return true;
+    }
+    const event = document.createEvent('Event');
+    event.initEvent('invalid', false, true);
+    this._element.dispatchEvent(event);
+    return false;
+  }
+
+  /**
+   * Like `checkValidity`, but also focuses the validation anchor (or the
+   * element) if the 'invalid' event isn't canceled. The polyfill can't show
+   * the browser's validation message.
+   */
+  reportValidity(): boolean {
+    this._assertFormAssociated();
+    if (!this.getWillValidate() || this.getValidity()['valid']) {
+      return true;
+    }
+    const event = document.createEvent('Event');
+    event.initEvent('invalid', false, true);
+    if (this._element.dispatchEvent(event)) {
+      (this._validationAnchor || this._element).focus();
+    }
+    return false;
+  }
+
+  /**
+   * Appends the element's entries to a form's entry list during submission.
+   *
+   * @see https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#constructing-the-form-data-set
+   */
+  internal_appendEntries(formData: FormData) {
+    const element = this._element;
+    if (FormAssociated.isDisabled(element)) {
+      return;
+    }
+
+    const value = this._value;
+    if (value === null) {
+      return;
+    }
+
+    if (value instanceof FormData) {
+      // IE11 doesn't support reading entries from a FormData.
+      if (value.forEach) {
+        value.forEach((entryValue, name) => formData.append(name, entryValue));
+      }
+      return;
+    }
+
+    const name = Native.Element_getAttribute.call(element, 'name');
+    if (!name) {
+      return;
+    }
+
+    if (typeof value === 'string') {
+      formData.append(name, value);
+    } else {
+      formData.append(name, value, value.name);
+    }
+  }
+}
+
+// Closure compiler exports.
+window['ElementInternals'] = ElementInternals;
+ElementInternals.prototype['setFormValue'] =
+    ElementInternals.prototype.setFormValue;
+ElementInternals.prototype['setValidity'] =
+    ElementInternals.prototype.setValidity;
+ElementInternals.prototype['checkValidity'] =
+    ElementInternals.prototype.checkValidity;
+ElementInternals.prototype['reportValidity'] =
+    ElementInternals.prototype.reportValidity;
+Object.defineProperties(ElementInternals.prototype, {
+  'states': {
+    configurable: true,
+    enumerable: true,
+    get(this: ElementInternals) {
+      return this.getStates();
+    },
+  },
+  'shadowRoot': {
+    configurable: true,
+    enumerable: true,
+    get(this: ElementInternals) {
+      return this.getShadowRoot();
+    },
+  },
+  'form': {
+    configurable: true,
+    enumerable: true,
+    get(this: ElementInternals) {
+      return this.getForm();
+    },
+  },
+  'labels': {
+    configurable: true,
+    enumerable: true,
+    get(this: ElementInternals) {
+      return this.getLabels();
+    },
+  },
+  'willValidate': {
+    configurable: true,
+    enumerable: true,
+    get(this: ElementInternals) {
+      return this.getWillValidate();
+    },
+  },
+  'validity': {
+    configurable: true,
+    enumerable: true,
+    get(this: ElementInternals) {
+      return this.getValidity();
+    },
+  },
+  'validationMessage': {
+    configurable: true,
+    enumerable: true,
+    get(this: ElementInternals) {
+      return this.getValidationMessage();
+    },
+  },
+});
+
+declare global {
+  interface Window {
+    ElementInternals: typeof ElementInternals;
+  }
+}
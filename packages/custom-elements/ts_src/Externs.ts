@@ -12,6 +12,7 @@
 import {AlreadyConstructedMarkerType} from './AlreadyConstructedMarker.js';
 import PolyfilledCustomElementRegistry from './CustomElementRegistry.js';
 import CustomElementState from './CustomElementState.js';
+import PolyfilledElementInternals from './ElementInternals.js';
 
 // These properties are defined with 'declare' in a ts file so that they will
 // not be renamed by Closure Compiler.
@@ -37,6 +38,17 @@ declare global {
     __CE_state?: CustomElementState;
     __CE_definition?: CustomElementDefinition;
     __CE_shadowRoot?: DocumentFragment;
+    __CE_internals?: PolyfilledElementInternals;
+    __CE_form?: HTMLFormElement|null;
+    __CE_disabled?: boolean;
+  }
+
+  interface HTMLElement {
+    attachInternals?(): PolyfilledElementInternals;
+  }
+
+  interface HTMLFormElement {
+    __CE_formAssociatedElements?: Set<HTMLElement>;
   }
 
   interface DocumentFragment {
@@ -44,6 +56,18 @@ declare global {
     children: HTMLCollection;
   }
 
+  interface ShadowRootInit {
+    customElements?: PolyfilledCustomElementRegistry;
+  }
+
+  // Scoped custom element registries add these to `ShadowRoot` so that
+  // elements can be created with the shadow root's registry.
+  interface ShadowRoot {
+    createElement?(localName: string): Element;
+    createElementNS?(namespace: string|null, localName: string): Element;
+    importNode?<T extends Node>(node: T, deep?: boolean): T;
+  }
+
   interface Error {
     /**
      * Non-standard Safari property.
@@ -97,9 +121,20 @@ export interface CustomElementDefinition {
       (name: string, oldValue?: string|null, newValue?: string|null,
        namespace?: string|null): void;
   observedAttributes: Array<string>;
+  formAssociated: boolean;
+  formAssociatedCallback?(form: HTMLFormElement|null): void;
+  formResetCallback?(): void;
+  formDisabledCallback?(disabled: boolean): void;
+  formStateRestoreCallback?
+      (state: FormValue, mode: 'restore'|'autocomplete'): void;
   constructionStack: Array<HTMLElement|AlreadyConstructedMarkerType>;
 }
 
+/**
+ * A value that can be given to `ElementInternals#setFormValue`.
+ */
+export type FormValue = string|File|FormData|null;
+
 export interface Constructor<T> {
   new(): T;
 }
@@ -0,0 +1,196 @@
+/**
+ * @license
+ * Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt The complete set of authors may be found
+ * at http://polymer.github.io/AUTHORS.txt The complete set of contributors may
+ * be found at http://polymer.github.io/CONTRIBUTORS.txt Code distributed by
+ * Google as part of the polymer project is also subject to an additional IP
+ * rights grant found at http://polymer.github.io/PATENTS.txt
+ */
+
+import CustomElementInternals from './CustomElementInternals.js';
+import * as Native from './Patch/Native.js';
+
+/**
+ * Finds the form owner of a form-associated custom element: the form with the
+ * ID given by its `form` attribute (in the same tree) or, if it doesn't have
+ * one, its nearest ancestor form.
+ *
+ * @see https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#reset-the-form-owner
+ */
+export function findFormOwner(element: HTMLElement): HTMLFormElement|null {
+  const formId = Native.Element_getAttribute.call(element, 'form');
+  if (formId !== null) {
+    let root: Node = element;
+    while (root.parentNode) {
+      root = root.parentNode;
+    }
+    const getElementById = (root as Document).getElementById;
+    if (!getElementById) {
+      return null;
+    }
+    const form = getElementById.call(root, formId);
+    return form && form.localName === 'form' ? form as HTMLFormElement : null;
+  }
+
+  for (let node = element.parentNode; node; node = node.parentNode) {
+    if ((node as Element).localName === 'form') {
+      return node as HTMLFormElement;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns true if the element has a `disabled` attribute or is a descendant of
+ * a disabled `fieldset`.
+ *
+ * @see https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#concept-fe-disabled
+ */
+export function isDisabled(element: Element): boolean {
+  if (Native.Element_getAttribute.call(element, 'disabled') !== null) {
+    return true;
+  }
+  for (let node = element.parentNode; node; node = node.parentNode) {
+    if ((node as Element).localName === 'fieldset' &&
+        Native.Element_getAttribute.call(node as Element, 'disabled') !==
+            null) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Sorts elements into tree order.
+ */
+function sortInTreeOrder<T extends Node>(nodes: Array<T>): Array<T> {
+  return nodes.sort(
+      (a, b) =>
+          a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 :
+                                                                            1);
+}
+
+/**
+ * Returns the form-associated custom elements owned by `form`, in tree order.
+ */
+export function formAssociatedElements(form: HTMLFormElement):
+    Array<HTMLElement> {
+  const elements: Array<HTMLElement> = [];
+  const set = form.__CE_formAssociatedElements;
+  if (set) {
+    set.forEach(element => elements.push(element));
+  }
+  return sortInTreeOrder(elements);
+}
+
+/**
+ * Resets waiting for the dispatch of their form's 'reset' event to be done.
+ * Any listener can cancel the event, and the form is only reset if none did.
+ */
+const pendingResets: Array<{event: Event, reset: () => void}> = [];
+
+/**
+ * Runs the pending resets whose 'reset' event has been dispatched, unless the
+ * event was canceled. This is called once `HTMLFormElement#reset` returns and,
+ * for resets started otherwise (e.g. by a reset button), in a task.
+ */
+export function flushPendingResets() {
+  for (let i = 0; i < pendingResets.length; i++) {
+    const {event, reset} = pendingResets[i];
+    // Dispatch is done once the event is no longer in any phase.
+    if (event.eventPhase === 0) {
+      pendingResets.splice(i--, 1);
+      if (!event.defaultPrevented) {
+        reset();
+      }
+    }
+  }
+}
+
+/**
+ * Adds or removes `element` from the set of form-associated custom elements
+ * owned by `form`. The first time an element is added to a form, listeners are
+ * added to the form so that the element can take part in its submission and
+ * reset.
+ */
+export function setFormAssociation(
+    internals: CustomElementInternals,
+    element: HTMLElement,
+    form: HTMLFormElement,
+    associated: boolean) {
+  let set = form.__CE_formAssociatedElements;
+  if (!associated) {
+    if (set) {
+      set.delete(element);
+    }
+    return;
+  }
+
+  if (!set) {
+    set = form.__CE_formAssociatedElements = new Set();
+    // The 'formdata' event is dispatched natively or by the formdata-event
+    // polyfill when the form's entry list is constructed.
+    form.addEventListener('formdata', (event: Event) => {
+      const formData = (event as Event & {formData: FormData})['formData'];
+      const elements = formAssociatedElements(form);
+      for (let i = 0; i < elements.length; i++) {
+        const internalsForElement = elements[i].__CE_internals;
+        if (internalsForElement) {
+          internalsForElement.internal_appendEntries(formData);
+        }
+      }
+    });
+    form.addEventListener('reset', (event: Event) => {
+      if (pendingResets.length === 0) {
+        setTimeout(flushPendingResets);
+      }
+      pendingResets.push({
+        event,
+        reset: () => {
+          const elements = formAssociatedElements(form);
+          for (let i = 0; i < elements.length; i++) {
+            internals.formResetCallback(elements[i]);
+          }
+        },
+      });
+    }, true);
+  }
+  set.add(element);
+}
+
+/**
+ * Returns the `label` elements associated with `element`, in tree order.
+ */
+export function findLabels(element: HTMLElement): Array<HTMLLabelElement> {
+  const labels: Array<HTMLLabelElement> = [];
+
+  for (let node = element.parentNode; node; node = node.parentNode) {
+    if ((node as Element).localName === 'label' &&
+        Native.Element_getAttribute.call(node as Element, 'for') === null) {
+      labels.push(node as HTMLLabelElement);
+      break;
+    }
+  }
+
+  const id = Native.Element_getAttribute.call(element, 'id');
+  if (id) {
+    let root: Node = element;
+    while (root.parentNode) {
+      root = root.parentNode;
+    }
+    const querySelectorAll = (root as Element).querySelectorAll;
+    if (querySelectorAll) {
+      const candidates =
+          querySelectorAll.call(root, 'label') as NodeListOf<HTMLLabelElement>;
+      for (let i = 0; i < candidates.length; i++) {
+        if (Native.Element_getAttribute.call(candidates[i], 'for') === id) {
+          labels.push(candidates[i]);
+        }
+      }
+    }
+  }
+
+  return sortInTreeOrder(labels);
+}
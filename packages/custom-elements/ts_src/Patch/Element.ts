@@ -21,9 +21,26 @@ export default function(internals: CustomElementInternals) {
   if (Native.Element_attachShadow) {
     Element.prototype.attachShadow = function(
         this: Element, init: ShadowRootInit) {
+      const registry = init && init.customElements;
+      if (registry) {
+        // Don't pass the polyfilled registry to the native implementation,
+        // which might try to use it.
+        const givenInit = init as unknown as {[key: string]: unknown};
+        const nativeInit: {[key: string]: unknown} = {};
+        const keys = Object.keys(givenInit);
+        for (let i = 0; i < keys.length; i++) {
+          if (keys[i] !== 'customElements') {
+            nativeInit[keys[i]] = givenInit[keys[i]];
+          }
+        }
+        init = nativeInit as unknown as ShadowRootInit;
+      }
       const shadowRoot = Native.Element_attachShadow.call(this, init);
       internals.patchNode(shadowRoot);
       this.__CE_shadowRoot = shadowRoot;
+      if (registry) {
+        internals.associateWithRegistry(shadowRoot, registry);
+      }
       return shadowRoot;
     };
   }
@@ -12,6 +12,7 @@
 import AlreadyConstructedMarker from '../AlreadyConstructedMarker.js';
 import CustomElementInternals from '../CustomElementInternals.js';
 import CEState from '../CustomElementState.js';
+import ElementInternals from '../ElementInternals.js';
 import {Constructor} from '../Externs.js';
 import * as Native from './Native.js';
 
@@ -23,9 +24,9 @@ export default function(internals: CustomElementInternals) {
     // equivalent.
     const constructor = this.constructor as Constructor<HTMLElement>;
 
-    // Always look up the definition from the global registry.
-    const registry = document.__CE_registry!;
-    const definition = registry.internal_constructorToDefinition(constructor);
+    // The definition being constructed is used if there is one; otherwise,
+    // the global registry is preferred over scoped registries.
+    const definition = internals.constructorToDefinition(constructor);
     if (!definition) {
       throw new Error(
           'Failed to construct a custom element: ' +
@@ -74,4 +75,26 @@ export default function(internals: CustomElementInternals) {
   });
 
   window['HTMLElement'] = PatchedHTMLElement as unknown as typeof HTMLElement;
+
+  /**
+   * @see https://html.spec.whatwg.org/multipage/custom-elements.html#dom-attachinternals
+   */
+  HTMLElement.prototype.attachInternals = function(this: HTMLElement) {
+    // An element being upgraded has its definition but not its state yet.
+    const isUpgrading =
+        this.__CE_state === undefined && this.__CE_definition !== undefined;
+    if (this.__CE_state !== CEState.custom && !isUpgrading) {
+      throw new Error(
+          'Failed to execute \'attachInternals\': ' +
+          'Unable to attach ElementInternals to a non-custom element.');
+    }
+    if (this.__CE_internals) {
+      throw new Error(
+          'Failed to execute \'attachInternals\': ' +
+          'ElementInternals for the specified element was already attached.');
+    }
+    const elementInternals = new ElementInternals(this);
+    this.__CE_internals = elementInternals;
+    return elementInternals;
+  };
 }
@@ -0,0 +1,22 @@
+/**
+ * @license
+ * Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt The complete set of authors may be found
+ * at http://polymer.github.io/AUTHORS.txt The complete set of contributors may
+ * be found at http://polymer.github.io/CONTRIBUTORS.txt Code distributed by
+ * Google as part of the polymer project is also subject to an additional IP
+ * rights grant found at http://polymer.github.io/PATENTS.txt
+ */
+
+import * as FormAssociated from '../FormAssociated.js';
+import * as Native from './Native.js';
+
+export default function() {
+  // The form's 'reset' event has been dispatched once the native `reset`
+  // returns, so form-associated custom elements are reset synchronously.
+  HTMLFormElement.prototype.reset = function(this: HTMLFormElement) {
+    Native.HTMLFormElement_reset.call(this);
+    FormAssociated.flushPendingResets();
+  };
+}
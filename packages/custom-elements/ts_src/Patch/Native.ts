@@ -47,7 +47,11 @@ export const Element_before = window.Element.prototype['before'];
 export const Element_after = window.Element.prototype['after'];
 export const Element_replaceWith = window.Element.prototype['replaceWith'];
 export const Element_remove = window.Element.prototype['remove'];
+export const ShadowRoot_innerHTML = window.ShadowRoot ?
+    Object.getOwnPropertyDescriptor(window.ShadowRoot.prototype, 'innerHTML') :
+    undefined;
 export const HTMLElement = window.HTMLElement;
+export const HTMLFormElement_reset = window.HTMLFormElement.prototype.reset;
 export const HTMLElement_innerHTML =
     Object.getOwnPropertyDescriptor(window.HTMLElement.prototype, 'innerHTML');
 export const HTMLElement_insertAdjacentElement =
@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt The complete set of authors may be found
+ * at http://polymer.github.io/AUTHORS.txt The complete set of contributors may
+ * be found at http://polymer.github.io/CONTRIBUTORS.txt Code distributed by
+ * Google as part of the polymer project is also subject to an additional IP
+ * rights grant found at http://polymer.github.io/PATENTS.txt
+ */
+
+import CustomElementInternals from '../CustomElementInternals.js';
+import CEState from '../CustomElementState.js';
+import * as Utilities from '../Utilities.js';
+
+import * as Native from './Native.js';
+
+/**
+ * Adds the element creation methods used with scoped custom element
+ * registries and patches `innerHTML`. Elements created through a shadow root
+ * use the registry given to `attachShadow` (or the global registry, if none
+ * was given).
+ */
+export default function(internals: CustomElementInternals) {
+  if (!window.ShadowRoot) {
+    return;
+  }
+
+  ShadowRoot.prototype.createElement = function(
+      this: ShadowRoot, localName: string) {
+    return internals.createAnElement(
+        this.ownerDocument!, localName, null, internals.registryForNode(this));
+  };
+
+  ShadowRoot.prototype.createElementNS = function(
+      this: ShadowRoot, namespace: string|null, localName: string) {
+    return internals.createAnElement(
+        this.ownerDocument!,
+        localName,
+        namespace,
+        internals.registryForNode(this));
+  };
+
+  ShadowRoot.prototype.importNode = function<T extends Node>(
+      this: ShadowRoot, node: T, deep = false): T {
+    const doc = this.ownerDocument!;
+    const clone = Native.Document_importNode.call(doc, node, !!deep) as T;
+    const registry = internals.registryForNode(this);
+    // Only create custom elements if this shadow root is associated with a
+    // registry.
+    if (!registry) {
+      internals.patchTree(clone);
+    } else {
+      internals.patchAndUpgradeTree(clone, {
+        upgrade: element => internals.upgradeReaction(element, registry),
+      });
+      if (registry !== doc.__CE_registry) {
+        internals.associateWithRegistry(clone, registry);
+      }
+    }
+    return clone;
+  };
+
+  const innerHTML = Native.ShadowRoot_innerHTML;
+  if (innerHTML && innerHTML.get && innerHTML.set) {
+    Object.defineProperty(ShadowRoot.prototype, 'innerHTML', {
+      enumerable: innerHTML.enumerable,
+      configurable: true,
+      get: innerHTML.get,
+      set: function(this: ShadowRoot, htmlString) {
+        let removedElements: undefined|Array<Element> = undefined;
+        if (Utilities.isConnected(this)) {
+          removedElements = [];
+          internals.forEachElement(
+              this, element => removedElements!.push(element));
+        }
+
+        innerHTML.set!.call(this, htmlString);
+
+        if (removedElements) {
+          for (let i = 0; i < removedElements.length; i++) {
+            const element = removedElements[i];
+            if (element.__CE_state === CEState.custom) {
+              internals.disconnectedCallback(element);
+            }
+          }
+        }
+
+        if (!internals.registryForNode(this)) {
+          internals.patchTree(this);
+        } else {
+          internals.patchAndUpgradeTree(this);
+        }
+      },
+    });
+  }
+}
@@ -15,7 +15,9 @@ import PatchDocument from './Patch/Document.js';
 import PatchDocumentFragment from './Patch/DocumentFragment.js';
 import PatchElement from './Patch/Element.js';
 import PatchHTMLElement from './Patch/HTMLElement.js';
+import PatchHTMLFormElement from './Patch/HTMLFormElement.js';
 import PatchNode from './Patch/Node.js';
+import PatchShadowRoot from './Patch/ShadowRoot.js';
 
 const priorCustomElements = window['customElements'];
 
@@ -28,10 +30,12 @@ function installPolyfill() {
       {noDocumentConstructionObserver, shadyDomFastWalk});
 
   PatchHTMLElement(internals);
+  PatchHTMLFormElement();
   PatchDocument(internals);
   PatchDocumentFragment(internals);
   PatchNode(internals);
   PatchElement(internals);
+  PatchShadowRoot(internals);
 
   const customElements = new CustomElementRegistry(internals);
 
@@ -39,3 +39,47 @@ HTMLImports.importForElement = function(element) {};
  * @param {!(HTMLDocument|Element)} doc
  */
 HTMLImports.loadImports = function(doc) {};
+
+/**
+ * Imports an HTML module, resolving to the default export of its module
+ * scripts, or else to its document.
+ * @param {string} url
+ * @return {!Promise<*>}
+ */
+HTMLImports.importModule = function(url) {};
+
+/**
+ * Returns the document of an HTML module, once it has loaded.
+ * @param {string} url
+ * @return {?DocumentFragment}
+ */
+HTMLImports.importForModule = function(url) {};
+
+/**
+ * Sets the loader used for imports and HTML modules, an object with a
+ * `load(url, success, fail)` method, or null to restore the default.
+ * @param {Object} loader
+ */
+HTMLImports.setLoader = function(loader) {};
+
+/**
+ * Creates a loader which uses `fetch()`, with the options `credentials`,
+ * `timeout`, `retries` and `retryDelay`.
+ * @param {Object=} options
+ * @return {!Object}
+ */
+HTMLImports.createFetchLoader = function(options) {};
+
+/**
+ * Returns the imports loaded by the polyfill so far, the links between them
+ * and warnings for circular and duplicate imports.
+ * @return {!Object}
+ */
+HTMLImports.getGraph = function() {};
+
+/**
+ * Registers the contents of resources by url, which are then loaded from the
+ * bundle instead of the network.
+ * @param {!Object<string, string>} manifest
+ */
+HTMLImports.registerBundle = function(manifest) {};
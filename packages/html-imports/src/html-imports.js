@@ -31,6 +31,12 @@
     });
   }
 
+  // The CSP nonce of the page, taken from the script loading the polyfill.
+  // Cloned scripts and styles need it to run under a CSP using nonces.
+  const polyfillScript = document.currentScript;
+  const pageNonce = polyfillScript ?
+    polyfillScript.nonce || polyfillScript.getAttribute('nonce') || '' : '';
+
   /**
    * @param {Array|NodeList|NamedNodeMap} list
    * @param {!Function} callback
@@ -59,6 +65,21 @@
     return node.querySelectorAll(selector);
   };
 
+  /**
+   * Copies the attributes of an element to its clone, and its nonce or else
+   * the page's nonce. The nonce attribute is hidden once an element is
+   * connected, its value is only available from the `nonce` property.
+   * @param {!Element} element
+   * @param {!Element} clone
+   */
+  const cloneAttributes = (element, clone) => {
+    forEach(element.attributes, attr => clone.setAttribute(attr.name, attr.value));
+    const nonce = element['nonce'] || element.getAttribute('nonce') || pageNonce;
+    if (nonce) {
+      clone.setAttribute('nonce', nonce);
+    }
+  };
+
   /**
    * @param {!DocumentFragment} fragment
    */
@@ -67,7 +88,7 @@
       forEach(QSA(template.content, scriptsSelector), script => {
         const clone = /** @type {!HTMLScriptElement} */
           (document.createElement('script'));
-        forEach(script.attributes, attr => clone.setAttribute(attr.name, attr.value));
+        cloneAttributes(script, clone);
         clone.textContent = script.textContent;
         script.parentNode.replaceChild(clone, script);
       });
@@ -79,6 +100,121 @@
   const CSS_URL_REGEXP = /(url\()([^)]*)(\))/g;
   const CSS_IMPORT_REGEXP = /(@import[\s]+(?!url\())([^;]*)(;)/g;
   const STYLESHEET_REGEXP = /(<link[^>]*)(rel=['|"]?stylesheet['|"]?[^>]*>)/g;
+  // Code that a module specifier string follows.
+  const MODULE_SPECIFIER_PREFIX_REGEXP =
+    /(?:\bimport\s*\(\s*|\bimport\s*(?:[\w$*{}\s,]*?\s*\bfrom\s*)?|\bexport\s*[\w$*{}\s,]*?\s*\bfrom\s*)$/;
+  const RELATIVE_SPECIFIER_REGEXP = /^\.{0,2}\//;
+  const IMPORT_META_URL_REGEXP = /\bimport\.meta\.url\b/g;
+  const IMPORT_META_DOCUMENT_REGEXP = /\bimport\.meta\.document\b/g;
+  // Code a regular expression can follow, rather than a division.
+  const REGEXP_PREFIX_REGEXP =
+    /(?:[(,=:[!&|?{};+\-*%<>~^]|(?:^|[^\w$.])(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await))\s*$/;
+
+  /**
+   * Returns the index after the end of the string, template literal text,
+   * comment or regular expression which starts at `start`. Template literal
+   * text ends with the `${` of a substitution or its closing backtick.
+   * @param {string} text
+   * @param {number} start
+   * @return {number}
+   */
+  const endOfLiteral = (text, start) => {
+    const c = text[start];
+    let i = start + 1;
+    if (c === '/' && text[i] === '/') {
+      i = text.indexOf('\n', i);
+      return i < 0 ? text.length : i;
+    }
+    if (c === '/' && text[i] === '*') {
+      i = text.indexOf('*/', i + 1);
+      return i < 0 ? text.length : i + 2;
+    }
+    // Template literal text may start after the `}` of a substitution.
+    const close = c === '}' ? '`' : c;
+    let inClass = false;
+    for (; i < text.length; i++) {
+      const d = text[i];
+      if (d === '\\') {
+        i++;
+      } else if (close === '`') {
+        if (d === '`' || d === '$' && text[i + 1] === '{') {
+          return i + (d === '`' ? 1 : 2);
+        }
+      } else if (d === '\n') {
+        return i;
+      } else if (close === '/' && (d === '[' || d === ']')) {
+        inClass = d === '[';
+      } else if (d === close && !inClass) {
+        return i + 1;
+      }
+    }
+    return text.length;
+  };
+
+  /**
+   * Splits a script into code and the strings, template literal text,
+   * comments and regular expressions in between, so that only code is
+   * rewritten. Whether a `/` starts a regular expression is guessed from the
+   * code it follows.
+   * @param {string} text
+   * @return {!Array<{type: string, text: string}>} `code`, `string` or `other`
+   *   tokens.
+   */
+  const tokenizeScript = (text) => {
+    const tokens = [];
+    // The brace depths at which template literal substitutions end.
+    const substitutions = [];
+    let depth = 0;
+    let start = 0;
+    // The end of the code before the current token, skipping comments. An
+    // expression can start after `(` and can't after `)`.
+    let context = '(';
+    const push = (type, end) => {
+      if (end > start) {
+        tokens.push({type, text: text.slice(start, end)});
+      }
+      start = end;
+    };
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      const comment = c === '/' && (text[i + 1] === '/' || text[i + 1] === '*');
+      const code = context + text.slice(Math.max(start, i - 32), i);
+      let type = null;
+      if (c === '\'' || c === '"') {
+        type = 'string';
+      } else if (c === '`' || comment ||
+          c === '/' && REGEXP_PREFIX_REGEXP.test(code)) {
+        type = 'other';
+      } else if (c === '{') {
+        depth++;
+      } else if (c === '}') {
+        if (substitutions.length &&
+            substitutions[substitutions.length - 1] === depth) {
+          substitutions.pop();
+          type = 'other';
+        } else {
+          depth--;
+        }
+      }
+      if (type) {
+        push('code', i);
+        const end = endOfLiteral(text, i);
+        push(type, end);
+        if (comment) {
+          context = code.slice(-32);
+        } else if ((c === '`' || c === '}') &&
+            text.slice(end - 2, end) === '${') {
+          substitutions.push(depth);
+          context = '(';
+        } else {
+          context = ')';
+        }
+        i = end - 1;
+      }
+    }
+    push('code', text.length);
+    return tokens;
+  };
 
   // path fixup: style elements in imports must be made relative to the main
   // document. We fixup url's in url() and @import.
@@ -109,6 +245,35 @@
       });
     },
 
+    /**
+     * Makes the relative module specifiers and `import.meta` of an inline
+     * module script relative to its HTML module, since it is run from a blob
+     * url.
+     * @param {string} text
+     * @param {string} base
+     * @return {string}
+     */
+    replaceModuleUrls(text, base) {
+      const url = JSON.stringify(base);
+      const tokens = tokenizeScript(text);
+      return tokens.map((token, i) => {
+        if (token.type === 'code') {
+          return token.text
+            .replace(IMPORT_META_DOCUMENT_REGEXP, `HTMLImports.importForModule(${url})`)
+            .replace(IMPORT_META_URL_REGEXP, url);
+        }
+        const quote = token.text[0];
+        const specifier = token.text.slice(1, -1);
+        const prev = tokens[i - 1];
+        if (token.type === 'string' && prev && prev.type === 'code' &&
+            MODULE_SPECIFIER_PREFIX_REGEXP.test(prev.text) &&
+            RELATIVE_SPECIFIER_REGEXP.test(specifier)) {
+          return quote + Path.resolveUrl(specifier, base) + quote;
+        }
+        return token.text;
+      }).join('');
+    },
+
     resolveUrl(url, base) {
       // Lazy feature detection.
       if (Path.__workingURL === undefined) {
@@ -147,7 +312,7 @@
     /**
      * @param {!string} url
      * @param {!function(!string, string=)} success
-     * @param {!function(!string)} fail
+     * @param {!function(!string, string=)} fail
      */
     load(url, success, fail) {
       if (!url) {
@@ -183,14 +348,336 @@
             request.status >= 200 && request.status < 300) {
             success(resource, redirectedUrl);
           } else {
-            fail(resource);
+            fail(resource, `error: HTTP ${request.status}`);
           }
         };
+        request.onerror = () => fail('', `error: network error loading ${url}`);
         request.send();
       }
     }
   };
 
+  /********************* bundles *********************/
+
+  const bundleSelector = 'script[type="application/html-imports+json"]';
+
+  /**
+   * Contents of bundled resources, by url without fragment.
+   * @type {!Object<string, string>}
+   */
+  const bundle = {};
+
+  /**
+   * Registers the contents of resources by url, which are then loaded from the
+   * bundle instead of the network. Relative urls are resolved against the
+   * document.
+   * @param {!Object<string, string>} manifest
+   */
+  const registerBundle = manifest => {
+    Object.keys(manifest).forEach(url => {
+      const key = Path.resolveUrl(url, document.baseURI).split('#')[0];
+      bundle[key] = String(manifest[url]);
+    });
+  };
+
+  /**
+   * Registers the manifests of the bundle scripts in the document which were
+   * not read yet. Scripts without a valid manifest fire an error event.
+   */
+  const readBundleScripts = () => {
+    forEach(QSA(document, bundleSelector), script => {
+      if (script['__bundled']) return;
+      script['__bundled'] = true;
+      let manifest = null;
+      try {
+        manifest = JSON.parse(script.textContent);
+      } catch (e) {
+        manifest = null;
+      }
+      if (manifest && typeof manifest === 'object') {
+        registerBundle(/** @type {!Object<string, string>} */ (manifest));
+      } else {
+        script.dispatchEvent(newCustomEvent('error', {
+          bubbles: false,
+          cancelable: false,
+          detail: undefined
+        }));
+      }
+    });
+  };
+
+  /**
+   * Returns the bundled content of a url, or undefined.
+   * @param {!string} url
+   * @return {string|undefined}
+   */
+  const bundled = url => {
+    readBundleScripts();
+    const key = url.split('#')[0];
+    return bundle.hasOwnProperty(key) ? bundle[key] : undefined;
+  };
+
+  /********************* fetch processor *********************/
+
+  /**
+   * Creates a loader which uses `fetch()`, for `setLoader()`. Requests which
+   * fail, time out, or respond with a server error are retried after a delay
+   * which doubles with each retry.
+   *
+   * Options:
+   * - credentials: the credentials mode of requests, `same-origin` by default
+   * - timeout: milliseconds after which a request is aborted, 0 for none
+   * - retries: the number of times a request is retried, 0 by default
+   * - retryDelay: milliseconds before the first retry, 100 by default
+   * @param {Object=} options
+   * @return {!Object}
+   */
+  const createFetchLoader = (options = {}) => {
+    const credentials = options['credentials'] || 'same-origin';
+    const timeout = options['timeout'] || 0;
+    const retries = options['retries'] || 0;
+    const retryDelay = options['retryDelay'] === undefined ?
+      100 : options['retryDelay'];
+    return {
+      /**
+       * @param {!string} url
+       * @param {!function(!string, string=)} success
+       * @param {!function(!string, string=)} fail
+       */
+      'load': (url, success, fail) => {
+        const attempt = retry => {
+          const controller = window.AbortController ? new AbortController() : null;
+          let timer = 0;
+          let done = false;
+          const retryOrFail = (message, retryable, reason = message) => {
+            done = true;
+            clearTimeout(timer);
+            if (retryable && retry < retries) {
+              setTimeout(() => attempt(retry + 1), retryDelay * Math.pow(2, retry));
+            } else {
+              fail(message, reason);
+            }
+          };
+          if (timeout) {
+            timer = setTimeout(() => {
+              if (!done) {
+                controller && controller.abort();
+                retryOrFail(`error: timed out loading ${url}`, true);
+              }
+            }, timeout);
+          }
+          fetch(url, {
+            credentials: credentials,
+            signal: controller ? controller.signal : undefined
+          }).then(response => response.text().then(resource => {
+            if (done) {
+              return;
+            }
+            if (response.ok) {
+              done = true;
+              clearTimeout(timer);
+              success(resource, response.url || undefined);
+            } else {
+              const status = response.status;
+              retryOrFail(resource, status >= 500 || status === 408 || status === 429,
+                `error: HTTP ${status}`);
+            }
+          })).catch(error => {
+            if (!done) {
+              retryOrFail(`error: ${error}`, true);
+            }
+          });
+        };
+        attempt(0);
+      }
+    };
+  };
+
+  /**
+   * The loader set with `setLoader()`, or null to use Xhr.
+   * @type {Object}
+   */
+  let customLoader = null;
+
+  /**
+   * Loads a resource from the bundle, or else with the current loader. Data
+   * urls are always handled by Xhr.
+   * @param {!string} url
+   * @param {!function(!string, string=)} success
+   * @param {!function(!string, string=)} fail
+   */
+  const load = (url, success, fail) => {
+    const resource = url && !url.match(/^data:/) ? bundled(url) : undefined;
+    if (resource !== undefined) {
+      // Respond asynchronously like a request does, so that a load is never
+      // done before the loads started next to it.
+      setTimeout(() => success(/** @type {string} */ (resource)));
+    } else if (customLoader && url && !url.match(/^data:/)) {
+      customLoader['load'](url, success, fail);
+    } else {
+      Xhr.load(url, success, fail);
+    }
+  };
+
+  /**
+   * Sets the loader used for imports and HTML modules, an object with a
+   * `load(url, success, fail)` method, or null to restore the default.
+   * @param {Object} loader
+   */
+  const setLoader = loader => {
+    customLoader = loader || null;
+  };
+
+  /********************* import graph *********************/
+
+  /**
+   * @return {number} milliseconds since the navigation start, or the epoch
+   * without `performance.now()`.
+   */
+  const now = () => window.performance && performance.now ?
+    performance.now() : Date.now();
+
+  /**
+   * @param {{url: string, redirectedUrl: ?string}} node
+   * @return {string} the url of the document loaded for the node.
+   */
+  const documentUrl = node => (node.redirectedUrl || node.url).split('#')[0];
+
+  /**
+   * Records the imports loaded by the importer, the links between them, and
+   * the circular or duplicate imports found, for `getGraph()`.
+   */
+  class ImportGraph {
+    constructor() {
+      /** @type {!Object<string, {url: string, status: string, redirectedUrl: ?string, error: ?string, startTime: number, endTime: ?number}>} */
+      this.nodes = {};
+      /** @type {!Array<{from: string, to: string}>} */
+      this.edges = [];
+      /** @type {!Array<{type: string, url: string, message: string}>} */
+      this.warnings = [];
+    }
+
+    /**
+     * Records the import of a url by a link, once per link. Links importing
+     * a url twice from the same document, or closing a cycle, are reported.
+     * @param {!HTMLLinkElement} link
+     * @param {string} url
+     */
+    addLink(link, url) {
+      if (link['__graphed']) return;
+      link['__graphed'] = true;
+      const from = importingUrl(link);
+      if (this.edges.some(e => e.from === from && e.to === url)) {
+        this.warn('duplicate', url, `${from} imports ${url} more than once`);
+        return;
+      }
+      this.edges.push({from, to: url});
+      const path = this.findPath(url, from);
+      if (path) {
+        this.warn('cycle', url, `Circular import: ${path.concat(url).join(' -> ')}`);
+      }
+    }
+
+    /**
+     * @param {string} url
+     */
+    loadStarted(url) {
+      this.nodes[url] = {
+        url,
+        status: 'pending',
+        redirectedUrl: null,
+        error: null,
+        startTime: now(),
+        endTime: null
+      };
+    }
+
+    /**
+     * Records the end of a load. Urls loading the same document, e.g. through
+     * redirects or fragments, are reported.
+     * @param {string} url
+     * @param {?string} redirectedUrl
+     * @param {?string} error
+     */
+    loadEnded(url, redirectedUrl, error) {
+      const node = this.nodes[url];
+      node.endTime = now();
+      node.status = error ? 'error' : 'loaded';
+      node.error = error;
+      // Response urls do not have the fragment of the url.
+      node.redirectedUrl = redirectedUrl && redirectedUrl !== url.split('#')[0] ?
+        redirectedUrl : null;
+      if (error) return;
+      const loadedUrl = documentUrl(node);
+      Object.keys(this.nodes).forEach(other => {
+        if (other !== url && this.nodes[other].status === 'loaded' &&
+            documentUrl(this.nodes[other]) === loadedUrl) {
+          this.warn('duplicate', url,
+            `${other} and ${url} both load ${loadedUrl}`);
+        }
+      });
+    }
+
+    /**
+     * Returns the urls of a chain of imports from one url to another, or null.
+     * @param {string} from
+     * @param {string} to
+     * @return {?Array<string>}
+     */
+    findPath(from, to) {
+      const visited = {};
+      const search = (url, path) => {
+        path = path.concat(url);
+        if (url === to) return path;
+        if (visited[url]) return null;
+        visited[url] = true;
+        for (let i = 0; i < this.edges.length; i++) {
+          const found = this.edges[i].from === url &&
+            search(this.edges[i].to, path);
+          if (found) return found;
+        }
+        return null;
+      };
+      return search(from, []);
+    }
+
+    /**
+     * @param {string} type
+     * @param {string} url
+     * @param {string} message
+     */
+    warn(type, url, message) {
+      this.warnings.push({type, url, message});
+    }
+
+    /**
+     * Returns a copy of the graph, with the duration of loads.
+     * @return {!Object}
+     */
+    snapshot() {
+      return {
+        'nodes': Object.keys(this.nodes).map(url => {
+          const n = this.nodes[url];
+          return {
+            'url': n.url,
+            'status': n.status,
+            'redirectedUrl': n.redirectedUrl,
+            'error': n.error,
+            'startTime': n.startTime,
+            'endTime': n.endTime,
+            'duration': n.endTime === null ? null : n.endTime - n.startTime
+          };
+        }),
+        'edges': this.edges.map(e => ({'from': e.from, 'to': e.to})),
+        'warnings': this.warnings.map(w => ({
+          'type': w.type,
+          'url': w.url,
+          'message': w.message
+        }))
+      };
+    }
+  }
+
   /********************* importer *********************/
 
   const isIE = /Trident/.test(navigator.userAgent);
@@ -229,6 +716,7 @@
   class Importer {
     constructor() {
       this.documents = {};
+      this.graph = new ImportGraph();
       // Used to keep track of pending loads, so that flattening and firing of
       // events can be done when all resources are ready.
       this.inflight = 0;
@@ -259,6 +747,7 @@
      */
     loadImport(link) {
       const url = link.href;
+      this.graph.addLink(link, url);
       // This resource is already being handled by another import.
       if (this.documents[url] !== undefined) {
         // If import is already loaded, we can safely associate it to the link
@@ -273,14 +762,20 @@
       this.inflight++;
       // Mark it as pending to notify others this url is being loaded.
       this.documents[url] = 'pending';
-      Xhr.load(url, (resource, redirectedUrl) => {
+      this.graph.loadStarted(url);
+      load(url, (resource, redirectedUrl) => {
+        this.graph.loadEnded(url, redirectedUrl || null, null);
         const doc = this.makeDocument(resource, redirectedUrl || url);
+        // Links in the subtree are imported by this url.
+        doc['__importUrl'] = url;
         this.documents[url] = doc;
         this.inflight--;
         // Load subtree.
         this.loadImports(doc);
         this.processImportsIfLoadingDone();
-      }, () => {
+      }, (resource, reason) => {
+        this.graph.loadEnded(url, null,
+          reason || resource || `error: failed to load ${url}`);
         // If load fails, handle error.
         this.documents[url] = null;
         this.inflight--;
@@ -290,11 +785,13 @@
 
     /**
      * Creates a new document containing resource and normalizes urls accordingly.
+     * Inline module scripts are only allowed in HTML modules.
      * @param {string=} resource
      * @param {string=} url
+     * @param {boolean=} isModule
      * @return {!DocumentFragment}
      */
-    makeDocument(resource, url) {
+    makeDocument(resource, url, isModule) {
       if (!resource) {
         return document.createDocumentFragment();
       }
@@ -349,13 +846,24 @@
           n.parentNode.replaceChild(clone, n);
           n = clone;
         }
+        // Styles are applied as they are, scripts get the nonce when cloned.
+        if (pageNonce && n.localName !== 'script' && !isImportLink(n) &&
+            !n.getAttribute('nonce')) {
+          n.setAttribute('nonce', pageNonce);
+        }
         // Mark for easier selectors.
         n.setAttribute(importDependencyAttr, '');
         // Generate source map hints for inline scripts.
         if (n.localName === 'script' && !n.src && n.textContent) {
+          if (n.type === 'module' && isModule) {
+            return;
+          }
           if(n.type === 'module') {
             throw new Error('Inline module scripts are not supported in HTML Imports.');
           }
+          // Integrity does not apply to inline scripts, and would fail for
+          // the source map hint.
+          n.removeAttribute('integrity');
           const num = inlineScriptIndex ? `-${inlineScriptIndex}` : '';
           const content = n.textContent + `\n//# sourceURL=${url}${num}.js\n`;
           // We use the src attribute so it triggers load/error events, and it's
@@ -388,7 +896,7 @@
     cloneStyle(style) {
       const clone = /** @type {!HTMLStyleElement} */(style.ownerDocument.createElement('style'));
       clone.textContent = style.textContent;
-      forEach(style.attributes, attr => clone.setAttribute(attr.name, attr.value));
+      cloneAttributes(style, clone);
       return clone;
     }
 
@@ -477,7 +985,7 @@
             (document.createElement('script'));
           // Remove import-dependency attribute to avoid double cloning.
           s.removeAttribute(importDependencyAttr);
-          forEach(s.attributes, attr => clone.setAttribute(attr.name, attr.value));
+          cloneAttributes(s, clone);
           // Update currentScript and replace original with clone script.
           currentScript = clone;
           s.parentNode.replaceChild(clone, s);
@@ -603,6 +1111,19 @@
       ( /** @type {!HTMLLinkElement} */ (node).rel === 'import');
   };
 
+  /**
+   * Returns the url of the import containing a link, or of the main document.
+   * @param {!HTMLLinkElement} link
+   * @return {string}
+   */
+  const importingUrl = link => {
+    for (let node = link.parentNode; node; node = node.parentNode) {
+      if (isImportLink(node)) return node.href;
+      if (node['__importUrl']) return node['__importUrl'];
+    }
+    return document.URL;
+  };
+
   /**
    * Waits for an element to finish loading. If already done loading, it will
    * mark the element accordingly.
@@ -713,6 +1234,131 @@
     return doc;
   }
 
+  /********************* html modules *********************/
+
+  const moduleScriptsSelector = 'script[type="module"]';
+
+  /**
+   * HTML module records by url, holding the module document and the promise
+   * for its exports.
+   * @type {!Object<string, {document: ?DocumentFragment, exports: ?Promise<*>}>}
+   */
+  const modules = {};
+
+  /**
+   * Imports a module using the native loader. This is created lazily as
+   * browsers without modules fail to parse `import()`.
+   * @type {?function(string): !Promise<!Object>}
+   */
+  let nativeImport = null;
+
+  /**
+   * @param {string} url
+   * @return {!Promise<!Object>}
+   */
+  const importScriptModule = url => {
+    if (!nativeImport) {
+      nativeImport = /** @type {function(string): !Promise<!Object>} */
+        (new Function('url', 'return import(url);'));
+    }
+    return nativeImport(url);
+  };
+
+  /**
+   * Runs a module script of an HTML module and returns its exports.
+   * @param {!HTMLScriptElement} script
+   * @param {string} url the url of the HTML module
+   * @return {!Promise<!Object>}
+   */
+  const runModuleScript = (script, url) => {
+    if (script.src) {
+      return importScriptModule(script.src);
+    }
+    const blob = new Blob([Path.replaceModuleUrls(script.textContent, url)],
+      {type: 'text/javascript'});
+    const blobUrl = URL.createObjectURL(blob);
+    const revoke = () => URL.revokeObjectURL(blobUrl);
+    const exports = importScriptModule(blobUrl);
+    exports.then(revoke, revoke);
+    return exports;
+  };
+
+  /**
+   * Runs the module scripts of an HTML module in order, and resolves to the
+   * default export of the first script with one, or else to the document.
+   * @param {!DocumentFragment} doc
+   * @param {string} url
+   * @return {!Promise<*>}
+   */
+  const runModuleScripts = (doc, url) => {
+    const scripts = /** @type {!NodeList<!HTMLScriptElement>} */
+      (QSA(doc, moduleScriptsSelector));
+    let result = Promise.resolve();
+    let hasDefault = false;
+    let defaultExport;
+    forEach(scripts, script => {
+      result = result.then(() => runModuleScript(script, url)).then(exports => {
+        if (!hasDefault && 'default' in exports) {
+          hasDefault = true;
+          defaultExport = exports['default'];
+        }
+      });
+    });
+    return result.then(() => hasDefault ? defaultExport : doc);
+  };
+
+  /**
+   * Loads an HTML module: its document is made like an import's document,
+   * then its module scripts are run.
+   * @param {string} url
+   * @param {{document: ?DocumentFragment, exports: ?Promise<*>}} record
+   * @return {!Promise<*>}
+   */
+  const loadModule = (url, record) => {
+    return new Promise((resolve, reject) => {
+      load(url, (resource, redirectedUrl) => {
+        if (redirectedUrl && !modules[redirectedUrl]) {
+          modules[redirectedUrl] = record;
+        }
+        url = redirectedUrl || url;
+        try {
+          // makeDocument does not depend on the state of the importer, which
+          // does not exist with native imports.
+          record.document = Importer.prototype.makeDocument.call(
+            importer || Importer.prototype, resource, url, true);
+          resolve(runModuleScripts(record.document, url));
+        } catch (e) {
+          reject(e);
+        }
+      }, () => reject(new Error(`Failed to load HTML module ${url}`)));
+    });
+  };
+
+  /**
+   * Imports an HTML module, resolving to the default export of its module
+   * scripts, or else to its document. Modules are loaded once per url.
+   * @param {string} url
+   * @return {!Promise<*>}
+   */
+  const importModule = url => {
+    url = Path.resolveUrl(url, document.baseURI);
+    if (!modules[url]) {
+      const record = modules[url] = {document: null, exports: null};
+      record.exports = loadModule(url, record);
+    }
+    return /** @type {!Promise<*>} */ (modules[url].exports);
+  };
+
+  /**
+   * Returns the document of an HTML module, once it has loaded.
+   * @param {string} url
+   * @return {?DocumentFragment}
+   */
+  const importForModule = url => {
+    const record = modules[Path.resolveUrl(url, document.baseURI)];
+    return record ? record.document : null;
+  };
+
   let importer = null;
   /**
    * Ensures imports contained in the element are imported.
@@ -725,6 +1371,14 @@
     }
   };
 
+  /**
+   * Returns the imports loaded by the polyfill so far: their load timings,
+   * redirect targets and failure reasons, the links between them, and
+   * warnings for circular and duplicate imports.
+   * @return {!Object}
+   */
+  const getGraph = () => (importer ? importer.graph : new ImportGraph()).snapshot();
+
   const newCustomEvent = (type, params) => {
     if (typeof window.CustomEvent === 'function') {
       return new CustomEvent(type, params);
@@ -817,5 +1471,11 @@
   scope.whenReady = whenReady;
   scope.importForElement = importForElement;
   scope.loadImports = loadImports;
+  scope.importModule = importModule;
+  scope.importForModule = importForModule;
+  scope.setLoader = setLoader;
+  scope.createFetchLoader = createFetchLoader;
+  scope.getGraph = getGraph;
+  scope.registerBundle = registerBundle;
 
 })(window.HTMLImports = (window.HTMLImports || {}));
\ No newline at end of file
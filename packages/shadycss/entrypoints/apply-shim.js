@@ -205,6 +205,15 @@ if (!window.ShadyCSS || !window.ShadyCSS.ScopingShim) {
       return getComputedStyleValue(element, property);
     },
 
+    /**
+     * @param {{name: string, syntax: (string|undefined), inherits: boolean, initialValue: (string|undefined)}} definition
+     */
+    registerProperty(definition) {
+      if (window.CSS && window.CSS.registerProperty) {
+        window.CSS.registerProperty(definition);
+      }
+    },
+
     flushCustomStyles() {
       applyShimInterface.flushCustomStyles();
     },
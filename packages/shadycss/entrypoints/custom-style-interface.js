@@ -71,6 +71,15 @@ if (!window.ShadyCSS) {
       return getComputedStyleValue(element, property);
     },
 
+    /**
+     * @param {{name: string, syntax: (string|undefined), inherits: boolean, initialValue: (string|undefined)}} definition
+     */
+    registerProperty(definition) {
+      if (window.CSS && window.CSS.registerProperty) {
+        window.CSS.registerProperty(definition);
+      }
+    },
+
     flushCustomStyles() {},
     nativeCss: nativeCssVariables,
     nativeShadow: nativeShadow,
@@ -11,11 +11,16 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 'use strict';
 
 import ScopingShim from '../src/scoping-shim.js';
+import {polyfillAdoptedStyleSheets} from '../src/adopted-style-sheets.js';
+import {registerProperty, polyfillRegisterProperty} from '../src/registered-properties.js';
 import {nativeCssVariables, nativeShadow, cssBuild, disableRuntime} from '../src/style-settings.js';
 
-/** @const {ScopingShim} */
+/** @const {!ScopingShim} */
 const scopingShim = new ScopingShim();
 
+polyfillAdoptedStyleSheets(scopingShim);
+polyfillRegisterProperty();
+
 let ApplyShim, CustomStyleInterface;
 
 if (window['ShadyCSS']) {
@@ -90,6 +95,17 @@ window.ShadyCSS = {
     return scopingShim.getComputedStyleValue(element, property);
   },
 
+  /**
+   * @param {{name: string, syntax: (string|undefined), inherits: boolean, initialValue: (string|undefined)}} definition
+   */
+  registerProperty(definition) {
+    if (window.CSS && window.CSS.registerProperty) {
+      window.CSS.registerProperty(definition);
+    } else if (!nativeCssVariables) {
+      registerProperty(definition);
+    }
+  },
+
   nativeCss: nativeCssVariables,
 
   nativeShadow: nativeShadow,
@@ -0,0 +1,551 @@
+/**
+@license
+Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+This code may only be used under the BSD style license found at http://polymer.github.io/LICENSE.txt
+The complete set of authors may be found at http://polymer.github.io/AUTHORS.txt
+The complete set of contributors may be found at http://polymer.github.io/CONTRIBUTORS.txt
+Code distributed by Google as part of the polymer project is also
+subject to an additional IP rights grant found at http://polymer.github.io/PATENTS.txt
+*/
+
+'use strict';
+
+import {parse, stringify} from './css-parse.js';
+import {nativeShadow} from './style-settings.js';
+import * as StyleUtil from './style-util.js';
+import StyleProperties from './style-properties.js';
+import {getStylePlaceholder} from './style-placeholder.js';
+import templateMap from './template-map.js';
+import ScopingShim from './scoping-shim.js'; // eslint-disable-line no-unused-vars
+
+/**
+ * Constructable stylesheets and `adoptedStyleSheets`.
+ *
+ * When `new CSSStyleSheet()` is unavailable, it is polyfilled by objects that
+ * inherit from `CSSStyleSheet.prototype` and keep their rules as text.
+ *
+ * When `adoptedStyleSheets` is unavailable, or ShadyDOM is in use, adopting a
+ * sheet renders its text into a `<style>` element:
+ * - for a document, at the end of its `<head>`.
+ * - for a native shadowRoot, at the end of the shadowRoot.
+ * - for a ShadyDOM shadowRoot, in the document `<head>` after the styles for
+ * the host's element type, scoped to that type by the ScopingShim. As for
+ * styles with custom property values, the style is also scoped to a class
+ * added to the host, so it is shared only by the shadowRoots whose hosts are
+ * of the same type and that adopted the same sheets in the same order.
+ *
+ * Mutating an adopted sheet re-renders the text of each of its adopters.
+ */
+
+const NativeCSSStyleSheet = window['CSSStyleSheet'];
+
+/** @const {boolean} */
+export const nativeConstructableStyleSheets = (() => {
+  try {
+    new NativeCSSStyleSheet();
+    return 'replaceSync' in NativeCSSStyleSheet.prototype;
+  } catch (e) {
+    return false;
+  }
+})();
+
+/** @const {boolean} */
+export const nativeAdoptedStyleSheets = nativeConstructableStyleSheets &&
+  'adoptedStyleSheets' in Document.prototype;
+
+let nextSheetId = 0;
+
+class SheetData {
+  constructor() {
+    /**
+     * Identifies the sheet in the key of a scope.
+     * @type {number}
+     */
+    this.id = nextSheetId++;
+    /**
+     * The text of each rule, if the sheet was constructed by the polyfill.
+     * @type {?Array<string>}
+     */
+    this.ruleTexts = null;
+    /** @type {!Array<!Document|!ShadowRoot>} */
+    this.adopters = [];
+    /**
+     * Scoped text of the sheet, by scope.
+     * @type {!Object<string, string>}
+     */
+    this.scopedCssText = {};
+  }
+}
+
+class ScopeData {
+  /**
+   * @param {string} key
+   * @param {string} is
+   * @param {string|undefined} typeExtension
+   * @param {!Array<!CSSStyleSheet>} sheets
+   * @param {string} selector
+   */
+  constructor(key, is, typeExtension, sheets, selector) {
+    this.key = key;
+    this.is = is;
+    this.typeExtension = typeExtension;
+    /**
+     * The sheets adopted by the shadowRoots of this scope, in order.
+     * @type {!Array<!CSSStyleSheet>}
+     */
+    this.sheets = sheets;
+    /**
+     * The class added to the hosts of the shadowRoots of this scope.
+     * @type {string}
+     */
+    this.selector = selector;
+    /**
+     * The number of shadowRoots in this scope.
+     * @type {number}
+     */
+    this.count = 0;
+    /** @type {?HTMLStyleElement} */
+    this.style = null;
+  }
+}
+
+/**
+ * Scopes, by element type and the ids of their sheets.
+ * @type {!Object<string, !ScopeData>}
+ */
+const scopeDataMap = {};
+
+/**
+ * The number of scopes created for each element type, used to name their
+ * classes.
+ * @type {!Object<string, number>}
+ */
+const scopeCounts = {};
+
+/** @type {?ScopingShim} */
+let scopingShim = null;
+
+/**
+ * @param {!CSSStyleSheet} sheet
+ * @return {!SheetData}
+ */
+function ensureSheetData(sheet) {
+  if (!sheet['__shadyAdoptedSheet']) {
+    sheet['__shadyAdoptedSheet'] = new SheetData();
+  }
+  return sheet['__shadyAdoptedSheet'];
+}
+
+/**
+ * Returns the data for `sheet` if it was constructed by the polyfill.
+ * @param {!CSSStyleSheet} sheet
+ * @return {?SheetData}
+ */
+function polyfilledSheetData(sheet) {
+  const data = sheet['__shadyAdoptedSheet'];
+  return data && data.ruleTexts ? data : null;
+}
+
+/**
+ * @param {*} sheet
+ * @return {boolean}
+ */
+function isConstructed(sheet) {
+  if (!(sheet instanceof NativeCSSStyleSheet)) {
+    return false;
+  }
+  if (polyfilledSheetData(/** @type {!CSSStyleSheet} */(sheet))) {
+    return true;
+  }
+  // Native sheets don't expose whether they were constructed, but sheets
+  // created from markup always have an owner node or parent sheet.
+  return nativeConstructableStyleSheets && !sheet.ownerNode &&
+    !sheet.parentStyleSheet;
+}
+
+/**
+ * @param {!CSSStyleSheet} sheet
+ * @return {string}
+ */
+function cssTextForSheet(sheet) {
+  const data = polyfilledSheetData(sheet);
+  if (data) {
+    return data.ruleTexts.join('\n');
+  }
+  const rules = sheet.cssRules;
+  let cssText = '';
+  for (let i = 0; i < rules.length; i++) {
+    cssText += rules[i].cssText + '\n';
+  }
+  return cssText;
+}
+
+/**
+ * Splits `cssText` into the text of its top level rules.
+ * @param {string} cssText
+ * @return {!Array<string>}
+ */
+function ruleTextsForCssText(cssText) {
+  const rules = parse(cssText)['rules'] || [];
+  const ruleTexts = [];
+  for (let i = 0; i < rules.length; i++) {
+    const text = stringify(rules[i], true).trim();
+    if (text) {
+      ruleTexts.push(text);
+    }
+  }
+  return ruleTexts;
+}
+
+/**
+ * @param {string} method
+ * @param {string} message
+ * @return {!Error}
+ */
+function sheetError(method, message) {
+  return new Error(
+    `Failed to execute '${method}' on 'CSSStyleSheet': ${message}`);
+}
+
+/**
+ * Implementations of the `CSSStyleSheet` methods for sheets constructed by the
+ * polyfill.
+ */
+const polyfilledSheetMethods = {
+  /**
+   * @this {!CSSStyleSheet}
+   * @param {string} cssText
+   */
+  replaceSync(cssText) {
+    polyfilledSheetData(this).ruleTexts = ruleTextsForCssText(String(cssText));
+    sheetChanged(this);
+  },
+
+  /**
+   * @this {!CSSStyleSheet}
+   * @param {string} cssText
+   * @return {!Promise<!CSSStyleSheet>}
+   */
+  replace(cssText) {
+    polyfilledSheetMethods.replaceSync.call(this, cssText);
+    return Promise.resolve(this);
+  },
+
+  /**
+   * @this {!CSSStyleSheet}
+   * @param {string} rule
+   * @param {number=} index
+   * @return {number}
+   */
+  insertRule(rule, index = 0) {
+    const ruleTexts = polyfilledSheetData(this).ruleTexts;
+    if (index > ruleTexts.length) {
+      throw sheetError('insertRule', `The index provided (${index}) is ` +
+        `larger than the maximum index (${ruleTexts.length}).`);
+    }
+    const parsed = ruleTextsForCssText(String(rule));
+    if (parsed.length !== 1) {
+      throw sheetError('insertRule', `Failed to parse the rule '${rule}'.`);
+    }
+    ruleTexts.splice(index, 0, parsed[0]);
+    sheetChanged(this);
+    return index;
+  },
+
+  /**
+   * @this {!CSSStyleSheet}
+   * @param {number} index
+   */
+  deleteRule(index) {
+    const ruleTexts = polyfilledSheetData(this).ruleTexts;
+    if (index >= ruleTexts.length) {
+      throw sheetError('deleteRule', `The index provided (${index}) is ` +
+        `larger than the maximum index (${ruleTexts.length - 1}).`);
+    }
+    ruleTexts.splice(index, 1);
+    sheetChanged(this);
+  }
+};
+
+/**
+ * Polyfill for the `CSSStyleSheet` constructor. The returned sheet is an
+ * instance of `CSSStyleSheet`, but only supports `cssRules`, `insertRule`,
+ * `deleteRule`, `replace` and `replaceSync`.
+ * @return {!CSSStyleSheet}
+ */
+function PolyfilledCSSStyleSheet() {
+  const sheet = /** @type {!CSSStyleSheet} */(
+    Object.create(NativeCSSStyleSheet.prototype));
+  ensureSheetData(sheet).ruleTexts = [];
+  return sheet;
+}
+
+/**
+ * Patches the `CSSStyleSheet` constructor, if needed, and its methods so that
+ * mutations of adopted sheets are re-applied.
+ */
+function patchCSSStyleSheet() {
+  const proto = NativeCSSStyleSheet.prototype;
+  ['replace', 'replaceSync', 'insertRule', 'deleteRule'].forEach((method) => {
+    const nativeMethod = proto[method];
+    proto[method] = function(...args) {
+      if (polyfilledSheetData(this)) {
+        return polyfilledSheetMethods[method].apply(this, args);
+      }
+      if (!nativeMethod) {
+        throw sheetError(method,
+          `Can't call ${method} on non-constructed CSSStyleSheets.`);
+      }
+      const result = nativeMethod.apply(this, args);
+      if (method === 'replace') {
+        return result.then((sheet) => {
+          sheetChanged(this);
+          return sheet;
+        });
+      }
+      sheetChanged(this);
+      return result;
+    };
+  });
+
+  if (nativeConstructableStyleSheets) {
+    return;
+  }
+
+  const cssRules = Object.getOwnPropertyDescriptor(proto, 'cssRules');
+  if (cssRules && cssRules.configurable) {
+    Object.defineProperty(proto, 'cssRules', {
+      /** @this {!CSSStyleSheet} */
+      get() {
+        const data = polyfilledSheetData(this);
+        if (data) {
+          return data.ruleTexts.map((cssText) => ({'cssText': cssText}));
+        }
+        return cssRules.get.call(this);
+      },
+      enumerable: cssRules.enumerable,
+      configurable: true
+    });
+  }
+
+  PolyfilledCSSStyleSheet.prototype = proto;
+  window['CSSStyleSheet'] = PolyfilledCSSStyleSheet;
+}
+
+/**
+ * Re-applies `sheet` to each of its adopters.
+ * @param {!CSSStyleSheet} sheet
+ */
+function sheetChanged(sheet) {
+  const data = sheet['__shadyAdoptedSheet'];
+  if (!data) {
+    return;
+  }
+  data.scopedCssText = {};
+  const scopes = [];
+  for (let i = 0; i < data.adopters.length; i++) {
+    const adopter = data.adopters[i];
+    if (isScopedAdopter(adopter)) {
+      const scope = adopter['__shadyAdoptedScope'];
+      if (scope && scopes.indexOf(scope) < 0) {
+        scopes.push(scope);
+      }
+    } else {
+      updateAdopterStyle(adopter);
+    }
+  }
+  scopes.forEach(updateScopeStyle);
+}
+
+/**
+ * True if the adopter's sheets must be scoped, i.e. it is a ShadyDOM
+ * shadowRoot.
+ * @param {!Document|!ShadowRoot} adopter
+ * @return {boolean}
+ */
+function isScopedAdopter(adopter) {
+  return !nativeShadow && adopter.nodeType === Node.DOCUMENT_FRAGMENT_NODE;
+}
+
+/**
+ * Returns the scope of the shadowRoots with a host of the same type as the
+ * host of `root` that adopted `sheets`.
+ * @param {!ShadowRoot} root
+ * @param {!Array<!CSSStyleSheet>} sheets
+ * @return {!ScopeData}
+ */
+function scopeDataForSheets(root, sheets) {
+  const {is, typeExtension} = StyleUtil.getIsExtends(root.host);
+  const key = [is].concat(
+    sheets.map((sheet) => ensureSheetData(sheet).id)).join(' ');
+  if (!scopeDataMap[key]) {
+    scopeCounts[is] = (scopeCounts[is] || 0) + 1;
+    scopeDataMap[key] = new ScopeData(key, is, typeExtension, sheets,
+      `${is}-adopted-${scopeCounts[is]}`);
+  }
+  return scopeDataMap[key];
+}
+
+/**
+ * Moves `root` from its current scope to `scope`, updating the class of its
+ * host. A scope's style is removed once it has no shadowRoots.
+ * @param {!ShadowRoot} root
+ * @param {?ScopeData} scope
+ */
+function setRootScope(root, scope) {
+  const previous = root['__shadyAdoptedScope'] || null;
+  if (previous === scope) {
+    return;
+  }
+  const host = root.host;
+  if (previous) {
+    host.classList.remove(previous.selector);
+    if (--previous.count === 0) {
+      delete scopeDataMap[previous.key];
+      if (previous.style && previous.style.parentNode) {
+        previous.style.parentNode.removeChild(previous.style);
+      }
+    }
+  }
+  root['__shadyAdoptedScope'] = scope;
+  // Kept by `ScopingShim#setElementClass`.
+  host['__shadyAdoptedScopeSelector'] = scope ? scope.selector : undefined;
+  if (scope) {
+    host.classList.add(scope.selector);
+    if (scope.count++ === 0) {
+      updateScopeStyle(scope);
+    }
+  }
+}
+
+/**
+ * Renders the scoped text of the sheets adopted by shadowRoots in `scope`.
+ * @param {!ScopeData} scope
+ */
+function updateScopeStyle(scope) {
+  let cssText = '';
+  for (let i = 0; i < scope.sheets.length; i++) {
+    const data = ensureSheetData(scope.sheets[i]);
+    if (data.scopedCssText[scope.is] === undefined) {
+      data.scopedCssText[scope.is] = scopingShim.transformAdoptedCssText(
+        cssTextForSheet(scope.sheets[i]), scope.is, scope.typeExtension);
+    }
+    cssText += data.scopedCssText[scope.is];
+  }
+  if (cssText) {
+    const rules = parse(cssText);
+    StyleProperties.scopeRulesToHostClass(rules, scope.is,
+      scope.typeExtension, scope.selector);
+    cssText = StyleUtil.toCssText(rules);
+  }
+  if (!scope.style) {
+    if (!cssText) {
+      return;
+    }
+    // Adopted sheets apply after the element's own styles.
+    const template = templateMap[scope.is];
+    const contextNode = (template && template._style) ||
+      getStylePlaceholder(scope.is);
+    scope.style = StyleUtil.applyCss(cssText, scope.is, null, contextNode);
+  } else {
+    scope.style.textContent = cssText;
+  }
+}
+
+/**
+ * Renders the text of the sheets adopted by a document or a native
+ * shadowRoot.
+ * @param {!Document|!ShadowRoot} adopter
+ */
+function updateAdopterStyle(adopter) {
+  const sheets = adopter['__shadyAdoptedStyleSheets'];
+  let style = adopter['__shadyAdoptedStyle'];
+  if (!style) {
+    style = adopter['__shadyAdoptedStyle'] =
+      StyleUtil.createScopeStyle('', '');
+  }
+  style.textContent = sheets.map(cssTextForSheet).join('\n');
+  const container = adopter.nodeType === Node.DOCUMENT_NODE ?
+    /** @type {!Document} */(adopter).head : adopter;
+  if (style.parentNode !== container || style !== container.lastChild) {
+    container.appendChild(style);
+  }
+}
+
+/**
+ * @param {!Document|!ShadowRoot} adopter
+ * @param {*} value
+ */
+function setAdoptedStyleSheets(adopter, value) {
+  if (!value || typeof value.length !== 'number') {
+    throw new TypeError(`Failed to set the 'adoptedStyleSheets' property: ` +
+      `The provided value cannot be converted to a sequence.`);
+  }
+  const sheets = Array.prototype.slice.call(
+    /** @type {!IArrayLike<!CSSStyleSheet>} */ (value));
+  for (let i = 0; i < sheets.length; i++) {
+    if (!isConstructed(sheets[i])) {
+      throw new Error(`Failed to set the 'adoptedStyleSheets' property: ` +
+        `Can't adopt non-constructed stylesheets.`);
+    }
+  }
+  const previous = adopter['__shadyAdoptedStyleSheets'] || [];
+  previous.forEach((sheet) => {
+    if (sheets.indexOf(sheet) < 0) {
+      const adopters = ensureSheetData(sheet).adopters;
+      adopters.splice(adopters.indexOf(adopter), 1);
+    }
+  });
+  sheets.forEach((sheet) => {
+    const adopters = ensureSheetData(sheet).adopters;
+    if (adopters.indexOf(adopter) < 0) {
+      adopters.push(adopter);
+    }
+  });
+  adopter['__shadyAdoptedStyleSheets'] =
+    Object.freeze ? Object.freeze(sheets) : sheets;
+  if (isScopedAdopter(adopter)) {
+    const root = /** @type {!ShadowRoot} */(adopter);
+    setRootScope(root, sheets.length ? scopeDataForSheets(root, sheets) : null);
+  } else {
+    updateAdopterStyle(adopter);
+  }
+}
+
+/**
+ * @param {!Object} proto
+ */
+function patchAdoptedStyleSheets(proto) {
+  Object.defineProperty(proto, 'adoptedStyleSheets', {
+    /** @this {!Document|!ShadowRoot} */
+    get() {
+      return this['__shadyAdoptedStyleSheets'] || [];
+    },
+    /** @this {!Document|!ShadowRoot} */
+    set(value) {
+      setAdoptedStyleSheets(this, value);
+    },
+    enumerable: true,
+    configurable: true
+  });
+}
+
+/**
+ * Installs the polyfill, if needed. Sheets adopted by ShadyDOM shadowRoots
+ * are scoped by `shim`.
+ * @param {!ScopingShim} shim
+ */
+export function polyfillAdoptedStyleSheets(shim) {
+  if (!NativeCSSStyleSheet ||
+      (nativeShadow && nativeAdoptedStyleSheets)) {
+    return;
+  }
+  scopingShim = shim;
+  patchCSSStyleSheet();
+  if (!nativeAdoptedStyleSheets) {
+    patchAdoptedStyleSheets(Document.prototype);
+  }
+  if (window['ShadowRoot']) {
+    patchAdoptedStyleSheets(window['ShadowRoot'].prototype);
+  }
+}
@@ -13,6 +13,10 @@ export const MIXIN_MATCH = /(?:^|\W+)@apply\s*\(?([^);\n]*)\)?/gi;
 export const VAR_CONSUMED = /(--[\w-]+)\s*([:,;)]|$)/gi;
 export const ANIMATION_MATCH = /(animation\s*:)|(animation-name\s*:)/;
 export const MEDIA_MATCH = /@media\s(.*)/;
+export const SUPPORTS_MATCH = /@supports\s*(.*)/;
+export const INITIAL_VALUE = /(?:^|[;\s])initial-value\s*:\s*([^;]*)/;
+export const SYNTAX = /(?:^|[;\s])syntax\s*:\s*(["'])(.*?)\1/;
+export const INHERITS = /(?:^|[;\s])inherits\s*:\s*(true|false)\s*(?:;|$)/;
 export const IS_VAR = /^--/;
 export const BRACKETED = /\{[^}]*\}/g;
 export const HOST_PREFIX = '(?:^|[^.#[:])';
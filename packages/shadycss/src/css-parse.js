@@ -123,6 +123,9 @@ function parseCss(node, text) {
         node['type'] = types.KEYFRAMES_RULE;
         node['keyframesName'] =
           node['selector'].split(RX.multipleSpaces).pop();
+      } else {
+        let name = s.match(RX.atRuleName);
+        node['type'] = name && AT_RULE_TYPES[name[1]] || 0;
       }
     } else {
       if (s.indexOf(VAR_START) === 0) {
@@ -139,9 +142,121 @@ function parseCss(node, text) {
       parseCss(r, text);
     }
   }
+  if (isNestingRule(node)) {
+    parseNestedDeclarations(node, text);
+  } else if (!node['parent'] || node['atRule']) {
+    parseLayerStatements(node, text);
+  }
   return node;
 }
 
+/**
+ * Returns true if the given node has nested rules (CSS nesting): a style rule
+ * or a group rule inside of a style rule, which contains rules other than
+ * mixins.
+ * @param {StyleNode} node
+ * @return {boolean}
+ */
+export function isNestingRule(node) {
+  let r$ = node['rules'];
+  if (!r$ || r$.some((r) => r['type'] === types.MIXIN_RULE)) {
+    return false;
+  }
+  return node['type'] === types.STYLE_RULE || isNestedGroupRule(node);
+}
+
+/**
+ * Returns true if the given node is a group rule inside of a style rule, whose
+ * declarations apply to the selector of the style rule.
+ * @param {StyleNode} node
+ * @return {boolean}
+ */
+export function isNestedGroupRule(node) {
+  if (NESTED_GROUP_RULES.indexOf(node['type']) === -1) {
+    return false;
+  }
+  for (let p = node['parent']; p; p = p['parent']) {
+    if (p['type'] === types.STYLE_RULE) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * The declarations of a rule with nested rules are those before its first
+ * nested rule. Declarations after a nested rule are added to the rules as
+ * NESTED_DECLARATIONS nodes, to keep their order.
+ * @param {StyleNode} node
+ * @param {string} text
+ */
+function parseNestedDeclarations(node, text) {
+  let r$ = node['rules'];
+  let rules = [];
+  let start = node['start'];
+  for (let i = 0; i <= r$.length; i++) {
+    let r = r$[i];
+    let gap = text.substring(start, r ? r['start'] - 1 : node['end'] - 1);
+    // the selector of a nested rule follows the last `;`
+    let declarations = (r ? gap.substring(0, gap.lastIndexOf(';') + 1) : gap)
+      .trim();
+    if (i === 0) {
+      node['parsedCssText'] = node['cssText'] = declarations;
+    } else if (declarations) {
+      let nested = new StyleNode();
+      nested['start'] = start;
+      nested['end'] = start + gap.length;
+      nested['parent'] = node;
+      nested['parsedCssText'] = nested['cssText'] = declarations;
+      nested['type'] = types.NESTED_DECLARATIONS;
+      rules.push(nested);
+    }
+    if (r) {
+      rules.push(r);
+      start = r['end'];
+    }
+  }
+  node['rules'] = rules;
+}
+
+/**
+ * `@layer` statements like `@layer base, theme;` have no block, so the lexer
+ * does not see them. Add them to the rules before the rule that follows them
+ * to keep the order of layers.
+ * @param {StyleNode} node
+ * @param {string} text
+ */
+function parseLayerStatements(node, text) {
+  let r$ = node['rules'] || [];
+  let rules = [];
+  let start = node['start'];
+  for (let i = 0; i <= r$.length; i++) {
+    let r = r$[i];
+    let end = r ? r['start'] - 1 :
+      node['parent'] ? node['end'] - 1 : node['end'];
+    let gap = text.substring(start, end);
+    let m;
+    RX.layerStatement.lastIndex = 0;
+    while ((m = RX.layerStatement.exec(gap))) {
+      let statement = new StyleNode();
+      statement['start'] = statement['end'] = start + RX.layerStatement.lastIndex;
+      statement['parent'] = node;
+      statement['parsedSelector'] = statement['selector'] =
+        m[1].replace(RX.multipleSpaces, ' ').trim();
+      statement['atRule'] = true;
+      statement['type'] = types.LAYER_RULE;
+      rules.push(statement);
+    }
+    if (r) {
+      rules.push(r);
+      start = r['end'];
+    }
+  }
+  if (rules.length > r$.length) {
+    node['rules'] = rules;
+  }
+}
+
 /**
  * conversion of sort unicode escapes with spaces like `\33 ` (and longer) into
  * expanded form that doesn't require trailing space `\000033`
@@ -172,17 +287,16 @@ export function stringify(node, preserveProperties, text = '') {
   if (node['cssText'] || node['rules']) {
     let r$ = node['rules'];
     if (r$ && !_hasMixinRules(r$)) {
+      // the declarations of a rule with nested rules come before them
+      if (isNestingRule(node)) {
+        cssText = _declarationsText(node, preserveProperties);
+      }
       for (let i = 0, l = r$.length, r;
         (i < l) && (r = r$[i]); i++) {
         cssText = stringify(r, preserveProperties, cssText);
       }
     } else {
-      cssText = preserveProperties ? node['cssText'] :
-        removeCustomProps(node['cssText']);
-      cssText = cssText.trim();
-      if (cssText) {
-        cssText = '  ' + cssText + '\n';
-      }
+      cssText = _declarationsText(node, preserveProperties);
     }
   }
   // emit rule if there is cssText
@@ -194,10 +308,25 @@ export function stringify(node, preserveProperties, text = '') {
     if (node['selector']) {
       text += CLOSE_BRACE + '\n\n';
     }
+  } else if (node['type'] === types.LAYER_RULE) {
+    // `@layer` statements and empty layers still define the order of layers
+    text += node['selector'] + ';\n\n';
   }
   return text;
 }
 
+/**
+ * @param {StyleNode} node
+ * @param {boolean=} preserveProperties
+ * @return {string}
+ */
+function _declarationsText(node, preserveProperties) {
+  let cssText = preserveProperties ? node['cssText'] :
+    removeCustomProps(node['cssText']);
+  cssText = cssText.trim();
+  return cssText ? '  ' + cssText + '\n' : '';
+}
+
 /**
  * @param {Array<StyleNode>} rules
  * @return {boolean}
@@ -241,9 +370,35 @@ export const types = {
   STYLE_RULE: 1,
   KEYFRAMES_RULE: 7,
   MEDIA_RULE: 4,
-  MIXIN_RULE: 1000
+  FONT_FACE_RULE: 5,
+  SUPPORTS_RULE: 12,
+  MIXIN_RULE: 1000,
+  // these rules have no `CSSRule` type constant
+  LAYER_RULE: 1001,
+  CONTAINER_RULE: 1002,
+  SCOPE_RULE: 1003,
+  PROPERTY_RULE: 1004,
+  // declarations following a nested rule
+  NESTED_DECLARATIONS: 1005
 }
 
+/**
+ * Group rules which may be nested in style rules.
+ * @type {!Array<number>}
+ */
+const NESTED_GROUP_RULES = [types.MEDIA_RULE, types.SUPPORTS_RULE,
+  types.LAYER_RULE, types.CONTAINER_RULE, types.SCOPE_RULE];
+
+/** @type {!Object<string, number>} */
+const AT_RULE_TYPES = {
+  'font-face': types.FONT_FACE_RULE,
+  'supports': types.SUPPORTS_RULE,
+  'layer': types.LAYER_RULE,
+  'container': types.CONTAINER_RULE,
+  'scope': types.SCOPE_RULE,
+  'property': types.PROPERTY_RULE
+};
+
 const OPEN_BRACE = '{';
 const CLOSE_BRACE = '}';
 
@@ -256,6 +411,8 @@ const RX = {
   mixinApply: /@apply\s*\(?[^);]*\)?\s*(?:[;\n]|$)?/gim,
   varApply: /[^;:]*?:[^;]*?var\([^;]*\)(?:[;\n]|$)?/gim,
   keyframesRule: /^@[^\s]*keyframes/,
+  atRuleName: /^@([\w-]+)/,
+  layerStatement: /(@layer\s[^;{}]*);/g,
   multipleSpaces: /\s+/g
 }
 
@@ -0,0 +1,308 @@
+/**
+@license
+Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+This code may only be used under the BSD style license found at http://polymer.github.io/LICENSE.txt
+The complete set of authors may be found at http://polymer.github.io/AUTHORS.txt
+The complete set of contributors may be found at http://polymer.github.io/CONTRIBUTORS.txt
+Code distributed by Google as part of the polymer project is also
+subject to an additional IP rights grant found at http://polymer.github.io/PATENTS.txt
+*/
+
+'use strict';
+
+import {StyleNode} from './css-parse.js'; // eslint-disable-line no-unused-vars
+import {nativeCssVariables} from './style-settings.js';
+import * as RX from './common-regex.js';
+
+/**
+ * Registered custom properties for the custom property shim, from
+ * `CSS.registerProperty()` and `@property` rules.
+ *
+ * A registered property takes its initial value when it is not set, or is set
+ * to a value which does not match its syntax. A property which does not
+ * inherit is not taken from the scope of the host's owner, and within a scope
+ * only applies to rules for the host itself.
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   syntax: string,
+ *   inherits: boolean,
+ *   initialValue: string,
+ *   fromRule: boolean
+ * }}
+ */
+let PropertyRegistration; // eslint-disable-line no-unused-vars
+
+/** @type {!Object<string, !PropertyRegistration>} */
+const registry = {};
+
+/** @type {?Array<string>} */
+let nonInherited = null;
+
+/** @type {number} */
+let registrations = 0;
+
+const NUMBER = '[+-]?(?:\\d+|\\d*\\.\\d+)(?:e[+-]?\\d+)?';
+
+const MATH_FUNCTION = /^(?:calc|min|max|clamp)\(.*\)$/i;
+
+/**
+ * Patterns of the values of the supported syntax component names. Numeric
+ * types also accept math functions.
+ * @type {!Object<string, !RegExp>}
+ */
+const DATA_TYPES = {
+  '<length>': new RegExp(`^(?:0|${NUMBER}(?:px|em|rem|ex|ch|vw|vh|vmin|vmax|cm|mm|q|in|pt|pc))$`, 'i'),
+  '<number>': new RegExp(`^${NUMBER}$`, 'i'),
+  '<integer>': /^[+-]?\d+$/,
+  '<percentage>': new RegExp(`^${NUMBER}%$`, 'i'),
+  '<length-percentage>': new RegExp(`^(?:0|${NUMBER}(?:px|em|rem|ex|ch|vw|vh|vmin|vmax|cm|mm|q|in|pt|pc|%))$`, 'i'),
+  '<angle>': new RegExp(`^(?:0|${NUMBER}(?:deg|grad|rad|turn))$`, 'i'),
+  '<time>': new RegExp(`^${NUMBER}(?:s|ms)$`, 'i'),
+  '<resolution>': new RegExp(`^${NUMBER}(?:dpi|dpcm|dppx|x)$`, 'i'),
+  '<color>': /^(?:#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(.*\)|[a-z]+)$/i,
+  '<url>': /^url\(.*\)$/i,
+  '<image>': /^(?:url|image|image-set|cross-fade|element|(?:repeating-)?(?:linear|radial|conic)-gradient)\(.*\)$/i,
+  '<transform-function>': /^[a-z][\w-]*\(.*\)$/i,
+  '<custom-ident>': /^-?[_a-z][\w-]*$/i
+};
+
+const NUMERIC_TYPES = ['<length>', '<number>', '<integer>', '<percentage>',
+  '<length-percentage>', '<angle>', '<time>', '<resolution>'];
+
+const CSS_WIDE_KEYWORDS = /^(?:initial|inherit|unset|revert|revert-layer|default)$/i;
+
+const SYNTAX_COMPONENT = /^(<[\w-]+>|-?[_a-zA-Z][\w-]*)([+#]?)$/;
+
+/**
+ * Splits a value into the values separated by whitespace or commas, outside
+ * of functions.
+ * @param {string} value
+ * @param {string} separator
+ * @return {!Array<string>}
+ */
+function splitValue(value, separator) {
+  const values = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    const c = value[i];
+    if (c === '(') {
+      depth++;
+    } else if (c === ')') {
+      depth--;
+    }
+    const split = depth === 0 &&
+      (separator === ',' ? c === ',' : /\s/.test(c));
+    if (split) {
+      values.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  values.push(current);
+  return values.map((v) => v.trim()).filter((v, i, a) =>
+    separator === ',' || v || a.length === 1);
+}
+
+/**
+ * @param {string} value
+ * @param {string} type a data type like `<length>` or a keyword
+ * @return {boolean}
+ */
+function matchesType(value, type) {
+  if (type[0] !== '<') {
+    return value === type;
+  }
+  if (NUMERIC_TYPES.indexOf(type) !== -1 && MATH_FUNCTION.test(value)) {
+    return true;
+  }
+  if (type === '<custom-ident>' && CSS_WIDE_KEYWORDS.test(value)) {
+    return false;
+  }
+  return DATA_TYPES[type].test(value);
+}
+
+/**
+ * Returns the components of a syntax string, or null if it is not supported.
+ * @param {string} syntax
+ * @return {?Array<{type: string, multiplier: string}>}
+ */
+function parseSyntax(syntax) {
+  const components = [];
+  const alternatives = syntax.split('|');
+  for (let i = 0; i < alternatives.length; i++) {
+    const m = alternatives[i].trim().match(SYNTAX_COMPONENT);
+    if (!m) {
+      return null;
+    }
+    let type = m[1];
+    let multiplier = m[2];
+    if (type === '<transform-list>' && !multiplier) {
+      type = '<transform-function>';
+      multiplier = '+';
+    }
+    if (type[0] === '<' ? !DATA_TYPES[type] : CSS_WIDE_KEYWORDS.test(type)) {
+      return null;
+    }
+    components.push({type, multiplier});
+  }
+  return components;
+}
+
+/**
+ * Returns true if the given value matches a syntax string.
+ * @param {string} value
+ * @param {string} syntax
+ * @return {boolean}
+ */
+export function matchesSyntax(value, syntax) {
+  if (syntax.trim() === '*') {
+    return true;
+  }
+  const components = parseSyntax(syntax);
+  value = value.trim();
+  return Boolean(components) && Boolean(value) && components.some(({type, multiplier}) => {
+    const values = multiplier ?
+      splitValue(value, multiplier === '#' ? ',' : ' ') : [value];
+    return values.every((v) => Boolean(v) && matchesType(v, type));
+  });
+}
+
+/**
+ * @param {string} message
+ * @return {!Error}
+ */
+function registerPropertyError(message) {
+  return new Error(
+    `Failed to execute 'registerProperty' on 'CSS': ${message}`);
+}
+
+/**
+ * Validates a registration and returns the error it fails with, if any.
+ * @param {string} name
+ * @param {string} syntax
+ * @param {string|undefined} initialValue
+ * @return {string}
+ */
+function validateRegistration(name, syntax, initialValue) {
+  if (name.indexOf('--') !== 0) {
+    return `The name provided is not a custom property name.`;
+  }
+  if (syntax.trim() !== '*' && !parseSyntax(syntax)) {
+    return `The syntax provided is not a valid custom property syntax.`;
+  }
+  if (syntax.trim() !== '*' &&
+      (initialValue === undefined || !matchesSyntax(initialValue, syntax))) {
+    return `The initial value provided does not parse for the given syntax.`;
+  }
+  return '';
+}
+
+/**
+ * Registers a custom property like `CSS.registerProperty()`.
+ * @param {{name: string, syntax: (string|undefined), inherits: boolean, initialValue: (string|undefined)}} definition
+ */
+export function registerProperty(definition) {
+  const name = String(definition.name);
+  const syntax = definition.syntax === undefined ? '*' :
+    String(definition.syntax);
+  const initialValue = definition.initialValue === undefined ? undefined :
+    String(definition.initialValue);
+  if (typeof definition.inherits !== 'boolean') {
+    throw new TypeError(`Failed to execute 'registerProperty' on 'CSS': ` +
+      `required member inherits is undefined.`);
+  }
+  const error = validateRegistration(name, syntax, initialValue);
+  if (error) {
+    throw registerPropertyError(error);
+  }
+  if (registry[name] && !registry[name].fromRule) {
+    throw registerPropertyError(`The name provided has already been registered.`);
+  }
+  registry[name] = {
+    name,
+    syntax,
+    inherits: definition.inherits,
+    initialValue: initialValue ? initialValue.trim() : '',
+    fromRule: false
+  };
+  nonInherited = null;
+  registrations++;
+}
+
+/**
+ * Registers the custom property of an `@property` rule. Invalid rules and
+ * rules for properties registered with `CSS.registerProperty()` are ignored.
+ * @param {StyleNode} rule
+ */
+export function registerPropertyRule(rule) {
+  const name = rule['selector'].split(/\s+/).pop();
+  const cssText = rule['parsedCssText'];
+  const syntax = cssText.match(RX.SYNTAX);
+  const inherits = cssText.match(RX.INHERITS);
+  const initialValue = cssText.match(RX.INITIAL_VALUE);
+  if (!syntax || !inherits || (registry[name] && !registry[name].fromRule) ||
+      validateRegistration(name, syntax[2],
+        initialValue ? initialValue[1] : undefined)) {
+    return;
+  }
+  registry[name] = {
+    name,
+    syntax: syntax[2],
+    inherits: inherits[1] === 'true',
+    initialValue: initialValue ? initialValue[1].trim() : '',
+    fromRule: true
+  };
+  nonInherited = null;
+  registrations++;
+}
+
+/**
+ * @param {string} name
+ * @return {?PropertyRegistration}
+ */
+export function getRegisteredProperty(name) {
+  return registry.hasOwnProperty(name) ? registry[name] : null;
+}
+
+/**
+ * Returns the number of registrations so far, which changes whenever the
+ * value of a custom property can change because of a registration.
+ * @return {number}
+ */
+export function registrationCount() {
+  return registrations;
+}
+
+/**
+ * Returns the names of registered properties which do not inherit.
+ * @return {!Array<string>}
+ */
+export function nonInheritedProperties() {
+  if (!nonInherited) {
+    nonInherited = Object.keys(registry).filter((name) => !registry[name].inherits);
+  }
+  return nonInherited;
+}
+
+/**
+ * Makes `CSS.registerProperty()` register properties with the custom property
+ * shim, as well as natively if it is supported.
+ */
+export function polyfillRegisterProperty() {
+  const CSS = window['CSS'];
+  if (nativeCssVariables || !CSS) {
+    return;
+  }
+  const nativeRegisterProperty = CSS['registerProperty'];
+  CSS['registerProperty'] = function(definition) {
+    registerProperty(definition);
+    if (nativeRegisterProperty) {
+      nativeRegisterProperty.call(CSS, definition);
+    }
+  };
+}
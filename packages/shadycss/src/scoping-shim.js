@@ -11,7 +11,7 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 'use strict';
 
 import {parse, StyleNode} from './css-parse.js';
-import {nativeShadow, nativeCssVariables, disableRuntime} from './style-settings.js';
+import {nativeShadow, nativeCssVariables, nativeCssNesting, disableRuntime} from './style-settings.js';
 import StyleTransformer from './style-transformer.js';
 import * as StyleUtil from './style-util.js';
 import StyleProperties from './style-properties.js';
@@ -20,8 +20,10 @@ import StyleInfo from './style-info.js';
 import StyleCache from './style-cache.js';
 import {flush as watcherFlush, getOwnerScope, getCurrentScope} from './document-watcher.js';
 import templateMap from './template-map.js';
+import {trackShadowParts, observeShadowParts, flush as partsFlush} from './shadow-parts.js';
 import * as ApplyShimUtils from './apply-shim-utils.js';
 import {updateNativeProperties, detectMixin} from './common-utils.js';
+import {getRegisteredProperty, registrationCount} from './registered-properties.js';
 import {CustomStyleInterfaceInterface, CustomStyleProvider} from './custom-style-interface.js'; // eslint-disable-line no-unused-vars
 
 /** @type {!Object<string, string>} */
@@ -32,6 +34,23 @@ const adoptedCssTextMap = {};
  */
 const styleCache = new StyleCache();
 
+/**
+ * Number of property registrations the style cache was filled with.
+ * @type {number}
+ */
+let styleCacheRegistrations = 0;
+
+/**
+ * Expands nested rules, unless they are kept in a ShadowRoot of a browser
+ * which supports CSS nesting.
+ * @param {StyleNode} ast
+ */
+function desugarNesting(ast) {
+  if (!nativeShadow || !nativeCssNesting) {
+    StyleTransformer.desugarNesting(ast);
+  }
+}
+
 export default class ScopingShim {
   constructor() {
     this._scopeCounter = {};
@@ -47,6 +66,7 @@ export default class ScopingShim {
   }
   flush() {
     watcherFlush();
+    partsFlush();
   }
   _generateScopeSelector(name) {
     let id = this._scopeCounter[name] = (this._scopeCounter[name] || 0) + 1;
@@ -97,11 +117,13 @@ export default class ScopingShim {
       extends: typeExtension,
     };
     let cssText = this._gatherStyles(template) + (adoptedCssTextMap[elementName] || '');
+    trackShadowParts(cssText);
     // check if the styling has mixin definitions or uses
     this._ensure();
     if (!optimalBuild) {
       let hasMixins = !cssBuild && detectMixin(cssText);
       let ast = parse(cssText);
+      desugarNesting(ast);
       // only run the applyshim transforms if there is a mixin involved
       if (hasMixins && nativeCssVariables && this._applyShim) {
         this._applyShim['transformRules'](ast, elementName);
@@ -128,6 +150,27 @@ export default class ScopingShim {
   prepareAdoptedCssText(cssTextArray, elementName) {
     adoptedCssTextMap[elementName] = cssTextArray.join(' ');
   }
+  /**
+   * Returns the text of a stylesheet adopted by a shadowRoot whose host is of
+   * the given element type, scoped to that type.
+   * @param {string} cssText
+   * @param {string} elementName
+   * @param {string=} typeExtension
+   * @return {string}
+   */
+  transformAdoptedCssText(cssText, elementName, typeExtension) {
+    this._ensure();
+    trackShadowParts(cssText);
+    const ast = parse(cssText);
+    desugarNesting(ast);
+    if (nativeCssVariables && this._applyShim && detectMixin(cssText)) {
+      this._applyShim['transformRules'](ast, elementName);
+    }
+    if (nativeShadow) {
+      return StyleUtil.toCssText(ast);
+    }
+    return StyleTransformer.css(ast, elementName, typeExtension);
+  }
   /**
    * Prepare template for the given element type
    * @param {!HTMLTemplateElement} template
@@ -293,6 +336,7 @@ export default class ScopingShim {
       }
       return;
     }
+    observeShadowParts(host);
     const styleInfo = StyleInfo.get(host) || this._prepareHost(host);
     // if there is no style info at this point, bail
     if (!styleInfo) {
@@ -387,19 +431,113 @@ export default class ScopingShim {
   }
   _applyStyleProperties(host, styleInfo) {
     let is = StyleUtil.getIsExtends(host).is;
-    let cacheEntry = styleCache.fetch(is, styleInfo.styleProperties, styleInfo.ownStylePropertyNames);
+    let names = styleInfo.ownStylePropertyNames;
+    // registering a property can change the value of any rule
+    if (registrationCount() !== styleCacheRegistrations) {
+      styleCacheRegistrations = registrationCount();
+      styleCache.clear();
+    }
+    let previous = this._previousStyleCacheEntry(is, styleInfo);
+    /** @type {?{ruleCssText: !Object<number, string>, changed: !Array<string>}} */
+    let previousRules = null;
+    if (previous) {
+      let changed = StyleProperties.changedProperties(names, previous.properties, styleInfo.styleProperties);
+      // none of the properties consumed by the element's styles changed
+      if (!changed.length && this._ownsStyle(styleInfo, previous)) {
+        return styleInfo.customStyle;
+      }
+      previousRules = {ruleCssText: previous.ruleCssText, changed: changed};
+    }
+    let cacheEntry = styleCache.fetch(is, styleInfo.styleProperties, names);
+    let ruleCssText = {};
+    if (!cacheEntry && previous && previousRules && this._canPatchStyle(styleInfo, previous)) {
+      return this._patchStyleProperties(host, styleInfo, previous, ruleCssText, previousRules);
+    }
     let cachedScopeSelector = cacheEntry && cacheEntry.scopeSelector;
     let cachedStyle = cacheEntry ? cacheEntry.styleElement : null;
     let oldScopeSelector = styleInfo.scopeSelector;
     // only generate new scope if cached style is not found
     styleInfo.scopeSelector = cachedScopeSelector || this._generateScopeSelector(is);
-    let style = StyleProperties.applyElementStyle(host, styleInfo.styleProperties, styleInfo.scopeSelector, cachedStyle);
+    let style = StyleProperties.applyElementStyle(host, styleInfo.styleProperties,
+      styleInfo.scopeSelector, cachedStyle, ruleCssText, previousRules);
     if (!nativeShadow) {
       StyleProperties.applyElementScopeSelector(host, styleInfo.scopeSelector, oldScopeSelector);
     }
     if (!cacheEntry) {
-      styleCache.store(is, styleInfo.styleProperties, style, styleInfo.scopeSelector);
+      cacheEntry = styleCache.store(is, styleInfo.styleProperties, style,
+        styleInfo.scopeSelector, names, styleInfo.styleRules, ruleCssText);
     }
+    styleInfo.styleCacheEntry = cacheEntry;
+    return style;
+  }
+  /**
+   * Returns the cache entry for the properties the element's style was last
+   * generated with, if it is still cached and is for the current rules.
+   *
+   * @param {string} is
+   * @param {!StyleInfo} styleInfo
+   * @return {Object}
+   */
+  _previousStyleCacheEntry(is, styleInfo) {
+    let previous = styleInfo.styleCacheEntry;
+    if (!previous || previous.rules !== styleInfo.styleRules ||
+        styleCache.fetch(is, previous.properties, styleInfo.ownStylePropertyNames) !== previous) {
+      return null;
+    }
+    return previous;
+  }
+  /**
+   * Returns true if the element's style is the one generated for a cache
+   * entry.
+   *
+   * @param {!StyleInfo} styleInfo
+   * @param {!Object} entry
+   * @return {boolean}
+   */
+  _ownsStyle(styleInfo, entry) {
+    return Boolean(styleInfo.customStyle) &&
+      styleInfo.scopeSelector === entry.scopeSelector &&
+      (nativeShadow || styleInfo.customStyle === entry.styleElement);
+  }
+  /**
+   * Returns true if the element's style can be updated in place, which is the
+   * case when no other element uses it.
+   *
+   * @param {!StyleInfo} styleInfo
+   * @param {!Object} previous
+   * @return {boolean}
+   */
+  _canPatchStyle(styleInfo, previous) {
+    return this._ownsStyle(styleInfo, previous) &&
+      (nativeShadow || styleInfo.customStyle['_useCount'] === 1);
+  }
+  /**
+   * Updates the element's style in place, recalculating only the rules which
+   * consume changed properties.
+   *
+   * @param {!HTMLElement} host
+   * @param {!StyleInfo} styleInfo
+   * @param {!Object} previous
+   * @param {!Object<number, string>} ruleCssText
+   * @param {{ruleCssText: !Object<number, string>, changed: !Array<string>}} previousRules
+   * @return {HTMLStyleElement}
+   */
+  _patchStyleProperties(host, styleInfo, previous, ruleCssText, previousRules) {
+    let is = StyleUtil.getIsExtends(host).is;
+    let names = styleInfo.ownStylePropertyNames;
+    let style = styleInfo.customStyle;
+    // the style no longer matches the properties it was cached for
+    if (previous.styleElement === style) {
+      styleCache.remove(is, previous.properties, names);
+    }
+    let cssText = StyleProperties.transformStyles(host, styleInfo.styleProperties,
+      /** @type {string} */ (styleInfo.scopeSelector), ruleCssText, previousRules);
+    if (style.textContent !== cssText) {
+      style.textContent = cssText;
+    }
+    styleInfo.styleCacheEntry = styleCache.store(is, styleInfo.styleProperties,
+      style, /** @type {string} */ (styleInfo.scopeSelector), names,
+      styleInfo.styleRules, ruleCssText);
     return style;
   }
   _updateProperties(host, styleInfo) {
@@ -414,6 +552,8 @@ export default class ScopingShim {
       ownerProperties = ownerStyleInfo.styleProperties;
     }
     let props = Object.create(ownerProperties || null);
+    // registered properties which do not inherit are not taken from the owner
+    StyleProperties.clearNonInheritedProperties(props);
     let hostAndRootProps = StyleProperties.hostAndRootPropertiesForScope(host, styleInfo.styleRules, styleInfo.cssBuild);
     let propertyData = StyleProperties.propertyDataFromStyles(ownerStyleInfo.styleRules, host);
     let propertiesMatchingHost = propertyData.properties
@@ -494,10 +634,13 @@ export default class ScopingShim {
     if (StyleUtil.isOptimalCssBuild(cssBuild)) {
       return;
     }
+    trackShadowParts(style.textContent);
     let ast = StyleUtil.rulesForStyle(style);
+    desugarNesting(ast);
     StyleUtil.forEachRule(ast, (rule) => {
       if (nativeShadow) {
         StyleTransformer.normalizeRootSelector(rule);
+        StyleTransformer.normalizeStateSelector(rule);
       } else {
         StyleTransformer.documentRule(rule);
       }
@@ -510,6 +653,7 @@ export default class ScopingShim {
       style.textContent = StyleUtil.toCssText(ast);
     } else {
       this._documentOwnerStyleInfo.styleRules['rules'].push(ast);
+      StyleProperties.collectRegisteredProperties(ast);
     }
   }
   _revalidateApplyShim(style) {
@@ -524,8 +668,16 @@ export default class ScopingShim {
     let value;
     if (!nativeCssVariables) {
       // element is either a style host, or an ancestor of a style host
-      let styleInfo = StyleInfo.get(element) || StyleInfo.get(this._styleOwnerForNode(element));
-      value = styleInfo.styleProperties[property];
+      let ownStyleInfo = StyleInfo.get(element);
+      let styleInfo = ownStyleInfo || StyleInfo.get(this._styleOwnerForNode(element));
+      let registration = getRegisteredProperty(property);
+      // registered properties which do not inherit only apply to style hosts
+      if (ownStyleInfo || !registration || registration.inherits) {
+        value = styleInfo.styleProperties[property];
+      }
+      if (!value && registration) {
+        value = registration.initialValue;
+      }
     }
     // fall back to the property value from the computed styling
     value = value || window.getComputedStyle(element).getPropertyValue(property);
@@ -570,6 +722,10 @@ export default class ScopingShim {
         classes.push(StyleProperties.XSCOPE_NAME, styleInfo.scopeSelector);
       }
     }
+    // The scope of the sheets adopted by the element's shadowRoot.
+    if (element['__shadyAdoptedScopeSelector']) {
+      classes.push(element['__shadyAdoptedScopeSelector']);
+    }
     StyleUtil.setElementClassRaw(element, classes.join(' '));
   }
   _styleInfoForNode(node) {
@@ -581,6 +737,7 @@ export default class ScopingShim {
    */
   scopeNode(node, scope) {
     StyleTransformer.element(node, scope);
+    observeShadowParts(node);
   }
   /**
    * @param {!Element} node
@@ -624,6 +781,7 @@ ScopingShim.prototype['unscopeNode'] = ScopingShim.prototype.unscopeNode;
 ScopingShim.prototype['scopeForNode'] = ScopingShim.prototype.scopeForNode;
 ScopingShim.prototype['currentScopeForNode'] = ScopingShim.prototype.currentScopeForNode;
 ScopingShim.prototype['prepareAdoptedCssText'] = ScopingShim.prototype.prepareAdoptedCssText;
+ScopingShim.prototype['transformAdoptedCssText'] = ScopingShim.prototype.transformAdoptedCssText;
 /* eslint-enable no-self-assign */
 Object.defineProperties(ScopingShim.prototype, {
   'nativeShadow': {
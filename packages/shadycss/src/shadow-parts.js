@@ -0,0 +1,193 @@
+/**
+@license
+Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+This code may only be used under the BSD style license found at http://polymer.github.io/LICENSE.txt
+The complete set of authors may be found at http://polymer.github.io/AUTHORS.txt
+The complete set of contributors may be found at http://polymer.github.io/CONTRIBUTORS.txt
+Code distributed by Google as part of the polymer project is also
+subject to an additional IP rights grant found at http://polymer.github.io/PATENTS.txt
+*/
+
+'use strict';
+
+import {nativeShadow} from './style-settings.js';
+import {getIsExtends, wrap} from './style-util.js';
+
+/**
+ * `::part()` and `exportparts` under ShadyDOM.
+ *
+ * The StyleTransformer rewrites `x-foo::part(label)` to
+ * `x-foo [shady-part~="x-foo:label"]`. This module reflects that attribute
+ * onto each element with a `part` attribute inside a ShadyDOM shadowRoot. Its
+ * value holds a `<host>:<name>` token for each of the element's part names,
+ * where `<host>` is the scope name of the shadowRoot's host, and a token for
+ * each name the part is forwarded as by the `exportparts` attribute of that
+ * host, of the next host up, and so on.
+ *
+ * Tracking starts once styling which uses `::part()` has been seen. The
+ * attribute is then updated a microtask after a `part` or `exportparts`
+ * attribute or the children of an observed shadowRoot change.
+ */
+
+export const PART_ATTRIBUTE = 'shady-part';
+
+const PART_PSEUDO = /::part\(/;
+
+let tracking = false;
+
+let updatePending = false;
+
+/** @type {?MutationObserver} */
+let observer = null;
+
+/**
+ * Elements the attribute was set on by the last update.
+ * @type {!Array<!Element>}
+ */
+let partElements = [];
+
+/**
+ * Parses the value of an `exportparts` attribute into the outer names each
+ * inner part name is forwarded as.
+ * @param {?string} value
+ * @return {!Object<string, !Array<string>>}
+ */
+function parseExportparts(value) {
+  const map = {};
+  (value || '').split(',').forEach((entry) => {
+    const names = entry.split(':').map((name) => name.trim());
+    const inner = names[0];
+    const outer = names.length > 1 ? names[1] : inner;
+    if (names.length > 2 || !inner || !outer) {
+      return;
+    }
+    (map[inner] = map[inner] || []).push(outer);
+  });
+  return map;
+}
+
+/**
+ * @param {!Node} node
+ */
+function observeRoot(node) {
+  const root = wrap(node).getRootNode();
+  if (!observer || !root.host || root.__shadyPartsObserved) {
+    return;
+  }
+  root.__shadyPartsObserved = true;
+  observer.observe(root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['part', 'exportparts']
+  });
+}
+
+/**
+ * Returns the tokens of the attribute for the given part element, following
+ * `exportparts` up the chain of shadow hosts.
+ * @param {!Element} element
+ * @return {!Array<string>}
+ */
+function tokensForPart(element) {
+  const tokens = [];
+  let names = element.getAttribute('part').split(/\s+/).filter(Boolean);
+  let node = element;
+  while (names.length) {
+    observeRoot(node);
+    const host = wrap(node).getRootNode().host;
+    if (!host) {
+      break;
+    }
+    const is = getIsExtends(host).is;
+    names.forEach((name) => tokens.push(`${is}:${name}`));
+    const exported = parseExportparts(host.getAttribute('exportparts'));
+    names = names.reduce((outer, name) => outer.concat(exported[name] || []), []);
+    node = host;
+  }
+  return tokens;
+}
+
+function update() {
+  updatePending = false;
+  if (observer) {
+    observer.takeRecords();
+  }
+  // Parts are looked up in the rendered tree.
+  window['ShadyDOM']['flush']();
+  const nativeMethods = window['ShadyDOM']['nativeMethods'];
+  const elements = Array.from(
+    nativeMethods['querySelectorAll'].call(document, '[part]'));
+  const current = [];
+  elements.forEach((element) => {
+    const value = tokensForPart(element).join(' ');
+    if (value) {
+      current.push(element);
+      if (nativeMethods['getAttribute'].call(element, PART_ATTRIBUTE) !== value) {
+        nativeMethods['setAttribute'].call(element, PART_ATTRIBUTE, value);
+      }
+    }
+  });
+  partElements.forEach((element) => {
+    if (current.indexOf(element) < 0) {
+      nativeMethods['removeAttribute'].call(element, PART_ATTRIBUTE);
+    }
+  });
+  partElements = current;
+}
+
+/**
+ * Schedules an update of the attribute reflecting forwarded parts.
+ */
+export function invalidateShadowParts() {
+  if (!tracking || updatePending) {
+    return;
+  }
+  updatePending = true;
+  Promise.resolve().then(() => {
+    if (updatePending) {
+      update();
+    }
+  });
+}
+
+/**
+ * Starts tracking parts if the given css uses `::part()`.
+ * @param {string} cssText
+ */
+export function trackShadowParts(cssText) {
+  if (tracking || nativeShadow || !PART_PSEUDO.test(cssText)) {
+    return;
+  }
+  tracking = true;
+  const MutationObserver = window['ShadyDOM']['MutationObserver'];
+  if (MutationObserver) {
+    observer = new MutationObserver(invalidateShadowParts);
+  }
+  invalidateShadowParts();
+}
+
+/**
+ * Observes the shadowRoot containing the given node, or of the given host,
+ * for changes to parts.
+ * @param {!Node} node
+ */
+export function observeShadowParts(node) {
+  if (!tracking) {
+    return;
+  }
+  observeRoot(wrap(node).shadowRoot || node);
+  invalidateShadowParts();
+}
+
+/**
+ * Updates the attribute now if an update is pending.
+ */
+export function flush() {
+  if (observer && observer.takeRecords().length) {
+    updatePending = true;
+  }
+  if (updatePending) {
+    update();
+  }
+}
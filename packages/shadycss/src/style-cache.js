@@ -9,44 +9,113 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 */
 'use strict';
 
+/**
+ * @typedef {{
+ *   properties: !Object<string, string>,
+ *   styleElement: HTMLStyleElement,
+ *   scopeSelector: string,
+ *   rules: *,
+ *   ruleCssText: Object<number, string>
+ * }}
+ */
+let StyleCacheEntry; // eslint-disable-line no-unused-vars
+
 export default class StyleCache {
   constructor(typeMax = 100) {
-    // map element name -> [{properties, styleElement, scopeSelector}]
+    // map element name -> {keys, entries}, where entries maps the values of
+    // the properties consumed by the element's styles to
+    // {properties, styleElement, scopeSelector, rules, ruleCssText}
     this.cache = {};
     /** @type {number} */
     this.typeMax = typeMax;
   }
 
-  _validate(cacheEntry, properties, ownPropertyNames) {
+  /**
+   * @param {Object} properties
+   * @param {!Array<string>} ownPropertyNames
+   * @return {string}
+   */
+  _key(properties, ownPropertyNames) {
+    let values = [];
     for (let idx = 0; idx < ownPropertyNames.length; idx++) {
-      let pn = ownPropertyNames[idx];
-      if (cacheEntry.properties[pn] !== properties[pn]) {
-        return false;
-      }
+      let value = properties[ownPropertyNames[idx]];
+      values.push(value === undefined ? null : value);
     }
-    return true;
+    return JSON.stringify(values);
   }
 
-  store(tagname, properties, styleElement, scopeSelector) {
-    let list = this.cache[tagname] || [];
-    list.push({properties, styleElement, scopeSelector});
-    if (list.length > this.typeMax) {
-      list.shift();
+  /**
+   * @param {string} tagname
+   * @param {Object} properties
+   * @param {HTMLStyleElement} styleElement
+   * @param {string} scopeSelector
+   * @param {!Array<string>} ownPropertyNames
+   * @param {*=} rules the style rules the style was generated from
+   * @param {Object<number, string>=} ruleCssText the cssText of each rule,
+   *   by rule index, with custom properties applied
+   * @return {!StyleCacheEntry}
+   */
+  store(tagname, properties, styleElement, scopeSelector, ownPropertyNames, rules, ruleCssText) {
+    let typeCache = this.cache[tagname] || {keys: [], entries: {}};
+    let key = this._key(properties, ownPropertyNames);
+    // keep a snapshot of the consumed values, the properties object inherits
+    // from the owner's properties which can change
+    let values = {};
+    for (let idx = 0; idx < ownPropertyNames.length; idx++) {
+      values[ownPropertyNames[idx]] = properties[ownPropertyNames[idx]];
+    }
+    if (!typeCache.entries.hasOwnProperty(key)) {
+      typeCache.keys.push(key);
     }
-    this.cache[tagname] = list;
+    let entry = typeCache.entries[key] = {
+      properties: values,
+      styleElement,
+      scopeSelector,
+      rules: rules || null,
+      ruleCssText: ruleCssText || null
+    };
+    if (typeCache.keys.length > this.typeMax) {
+      delete typeCache.entries[typeCache.keys.shift()];
+    }
+    this.cache[tagname] = typeCache;
+    return entry;
   }
 
+  /**
+   * @param {string} tagname
+   * @param {Object} properties
+   * @param {!Array<string>} ownPropertyNames
+   * @return {StyleCacheEntry|undefined}
+   */
   fetch(tagname, properties, ownPropertyNames) {
-    let list = this.cache[tagname];
-    if (!list) {
+    let typeCache = this.cache[tagname];
+    if (!typeCache) {
       return;
     }
-    // reverse list for most-recent lookups
-    for (let idx = list.length - 1; idx >= 0; idx--) {
-      let entry = list[idx];
-      if (this._validate(entry, properties, ownPropertyNames)) {
-        return entry;
-      }
+    let key = this._key(properties, ownPropertyNames);
+    if (typeCache.entries.hasOwnProperty(key)) {
+      return typeCache.entries[key];
     }
   }
+
+  /**
+   * @param {string} tagname
+   * @param {Object} properties
+   * @param {!Array<string>} ownPropertyNames
+   */
+  remove(tagname, properties, ownPropertyNames) {
+    let typeCache = this.cache[tagname];
+    if (!typeCache) {
+      return;
+    }
+    let key = this._key(properties, ownPropertyNames);
+    if (typeCache.entries.hasOwnProperty(key)) {
+      delete typeCache.entries[key];
+      typeCache.keys.splice(typeCache.keys.indexOf(key), 1);
+    }
+  }
+
+  clear() {
+    this.cache = {};
+  }
 }
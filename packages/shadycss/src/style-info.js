@@ -65,6 +65,8 @@ export default class StyleInfo {
     this.scopeSelector = null;
     /** @type {HTMLStyleElement} */
     this.customStyle = null;
+    /** @type {Object} */
+    this.styleCacheEntry = null;
   }
   _getStyleRules() {
     return this.styleRules;
@@ -10,12 +10,13 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 
 'use strict';
 
-import {removeCustomPropAssignment, StyleNode} from './css-parse.js'; // eslint-disable-line no-unused-vars
+import {removeCustomPropAssignment, StyleNode, types} from './css-parse.js'; // eslint-disable-line no-unused-vars
 import {nativeShadow} from './style-settings.js';
 import StyleTransformer from './style-transformer.js';
 import * as StyleUtil from './style-util.js';
 import * as RX from './common-regex.js';
 import StyleInfo from './style-info.js';
+import {registerPropertyRule, getRegisteredProperty, nonInheritedProperties, matchesSyntax} from './registered-properties.js';
 
 // TODO: dedupe with shady
 /**
@@ -41,6 +42,48 @@ const IS_IE = navigator.userAgent.match('Trident');
 
 const XSCOPE_NAME = 'x-scope';
 
+const hostRuleSelector = /^:host(?:\(.*\))?$/;
+
+const documentRuleSelector = /^(?::root|html)$/;
+
+/**
+ * Returns true if every selector of a rule selects the scope's host, or the
+ * document root for the document scope.
+ * @param {StyleNode} rule
+ * @param {string} hostScope
+ * @param {string} cssBuild
+ * @return {boolean}
+ */
+function isHostRule(rule, hostScope, cssBuild) {
+  let selectors = StyleUtil.splitSelectorList(rule['parsedSelector'] || '');
+  return selectors.every((selector) => {
+    selector = selector.trim();
+    if (hostScope === 'html') {
+      return documentRuleSelector.test(selector);
+    }
+    return cssBuild === 'shady' ?
+      selector.indexOf(hostScope) === 0 && selector.indexOf(' ') === -1 :
+      hostRuleSelector.test(selector);
+  });
+}
+
+/**
+ * Returns the given value, or the initial value of a registered property if
+ * the value is unset or does not match the property's syntax.
+ * @param {string} name
+ * @param {string} value
+ * @return {string}
+ */
+function registeredValue(name, value) {
+  let registration = getRegisteredProperty(name);
+  if (registration && registration.initialValue &&
+      (!value || value === 'initial' ||
+        !matchesSyntax(value, registration.syntax))) {
+    return registration.initialValue;
+  }
+  return value;
+}
+
 class StyleProperties {
   /** @return {string} */
   get XSCOPE_NAME() {
@@ -64,6 +107,7 @@ class StyleProperties {
     });
     // Cache all found keyframes rules for later reference:
     rules._keyframes = keyframes;
+    this.collectRegisteredProperties(rules);
     // return this list of property names *consumes* in these styles.
     let names = [];
     for (let i in props) {
@@ -85,10 +129,35 @@ class StyleProperties {
       rule['rules'] = null;
     }
     info.cssText = this.collectCssText(rule);
+    // track the properties the rule consumes, so that only the rules which
+    // consume changed properties need to be recalculated
+    let consumed = {};
+    this.collectPropertiesInCssText(info.cssText, consumed);
+    info.consumedProperties = Object.keys(consumed);
     rule.propertyInfo = info;
     return info;
   }
 
+  /**
+   * Registers the custom properties of `@property` rules.
+   *
+   * @param {StyleNode} rules
+   */
+  collectRegisteredProperties(rules) {
+    if (!rules) {
+      return;
+    }
+    if (rules['type'] === types.PROPERTY_RULE) {
+      registerPropertyRule(rules);
+    }
+    let r$ = rules['rules'];
+    if (r$) {
+      for (let i = 0; i < r$.length; i++) {
+        this.collectRegisteredProperties(r$[i]);
+      }
+    }
+  }
+
   // collects the custom properties from a rule's cssText
   collectProperties(rule, properties) {
     let info = rule.propertyInfo;
@@ -147,10 +216,25 @@ class StyleProperties {
     let names = Object.getOwnPropertyNames(props);
     for (let i=0, n; i < names.length; i++) {
       n = names[i];
-      props[n] = this.valueForProperty(props[n], props);
+      props[n] = registeredValue(n, this.valueForProperty(props[n], props));
     }
   }
 
+  /**
+   * Hides registered properties which do not inherit, so that they take
+   * their initial value.
+   *
+   * @param {Object} props
+   * @return {Object}
+   */
+  clearNonInheritedProperties(props) {
+    let names = nonInheritedProperties();
+    for (let i = 0; i < names.length; i++) {
+      props[names[i]] = '';
+    }
+    return props;
+  }
+
   // given a property value, returns the reified value
   // a property value may be:
   // (1) a literal value like: red or 5px;
@@ -172,6 +256,10 @@ class StyleProperties {
             return prefix + suffix;
           }
           let propertyValue = self.valueForProperty(props[value], props);
+          // registered properties are never unset, they have an initial value
+          if (propertyValue !== 'apply-shim-inherit') {
+            propertyValue = registeredValue(value, propertyValue);
+          }
           // if value is "initial", then the variable should be treated as unset
           if (!propertyValue || propertyValue === 'initial') {
             // fallback may be --a or var(--a) or literal
@@ -218,6 +306,41 @@ class StyleProperties {
     return parts.join(';');
   }
 
+  /**
+   * Returns the names of the given properties whose values differ.
+   *
+   * @param {!Array<string>} names
+   * @param {Object} previous
+   * @param {Object} props
+   * @return {!Array<string>}
+   */
+  changedProperties(names, previous, props) {
+    let changed = [];
+    for (let i = 0; i < names.length; i++) {
+      if (previous[names[i]] !== props[names[i]]) {
+        changed.push(names[i]);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Returns true if a rule consumes any of the given properties.
+   *
+   * @param {StyleNode} rule
+   * @param {!Array<string>} names
+   * @return {boolean}
+   */
+  ruleConsumesProperties(rule, names) {
+    let consumed = this.decorateRule(rule).consumedProperties;
+    for (let i = 0; i < names.length; i++) {
+      if (consumed.indexOf(names[i]) !== -1) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   applyProperties(rule, props) {
     let output = '';
     // dynamically added sheets may not be decorated so ensure they are.
@@ -386,25 +509,47 @@ class StyleProperties {
   }
 
   /**
+   * Applies properties to the styles of an element and returns the scoped
+   * cssText.
+   *
+   * When `previous` is given, rules which do not consume any of
+   * `previous.changed` reuse their cssText from `previous.ruleCssText`
+   * instead of being recalculated.
+   *
    * @param {Element} element
    * @param {Object} properties
    * @param {string} scopeSelector
+   * @param {Object<number, string>=} ruleCssText collects the cssText of
+   *   each rule, by rule index, with properties applied
+   * @param {?{ruleCssText: !Object<number, string>, changed: !Array<string>}=} previous
+   * @return {string}
    */
-  transformStyles(element, properties, scopeSelector) {
+  transformStyles(element, properties, scopeSelector, ruleCssText, previous) {
     let self = this;
     let {is, typeExtension} = StyleUtil.getIsExtends(element);
     let hostSelector = StyleTransformer
       ._calcHostScope(is, typeExtension);
-    let rxHostSelector = element.extends ?
-      '\\' + hostSelector.slice(0, -1) + '\\]' :
-      hostSelector;
-    let hostRx = new RegExp(RX.HOST_PREFIX + rxHostSelector +
-      RX.HOST_SUFFIX);
+    let hostRx = this._hostSelectorRx(hostSelector, Boolean(element.extends));
     let {styleRules: rules, cssBuild} = StyleInfo.get(element);
     let keyframeTransforms =
       this._elementKeyframeTransforms(element, rules, scopeSelector);
+    // registered properties which do not inherit only apply to the host
+    let descendantProperties = nonInheritedProperties().length ?
+      this.clearNonInheritedProperties(Object.create(properties)) :
+      properties;
     return StyleTransformer.elementStyles(element, rules, function(rule) {
-      self.applyProperties(rule, properties);
+      let index = rule.index;
+      if (previous && index !== undefined &&
+          previous.ruleCssText.hasOwnProperty(index) &&
+          !self.ruleConsumesProperties(rule, previous.changed)) {
+        rule['cssText'] = previous.ruleCssText[index];
+      } else {
+        self.applyProperties(rule,
+          isHostRule(rule, hostSelector, cssBuild) ? properties : descendantProperties);
+      }
+      if (ruleCssText && index !== undefined) {
+        ruleCssText[index] = rule['cssText'];
+      }
       if (!nativeShadow &&
           !StyleUtil.isKeyframesSelector(rule) &&
           rule['cssText']) {
@@ -474,6 +619,36 @@ class StyleProperties {
             .replace(rule['keyframesName'], rule.transformedKeyframesName);
   }
 
+  /**
+   * @param {string} hostSelector
+   * @param {boolean} extended
+   * @return {!RegExp}
+   */
+  _hostSelectorRx(hostSelector, extended) {
+    let rxHostSelector = extended ?
+      '\\' + hostSelector.slice(0, -1) + '\\]' :
+      hostSelector;
+    return new RegExp(RX.HOST_PREFIX + rxHostSelector + RX.HOST_SUFFIX);
+  }
+
+  /**
+   * Scopes `rules`, already scoped to the element type `is`, to the hosts
+   * with the class `scopeId`, as for styles with custom property values.
+   * @param {StyleNode} rules
+   * @param {string} is
+   * @param {string|undefined} typeExtension
+   * @param {string} scopeId
+   */
+  scopeRulesToHostClass(rules, is, typeExtension, scopeId) {
+    let hostSelector = StyleTransformer._calcHostScope(is, typeExtension);
+    let hostRx = this._hostSelectorRx(hostSelector, Boolean(typeExtension));
+    StyleUtil.forEachRule(rules, (rule) => {
+      if (!StyleUtil.isKeyframesSelector(rule)) {
+        this._scopeSelector(rule, hostRx, hostSelector, scopeId);
+      }
+    });
+  }
+
   // Strategy: x scope shim a selector e.g. to scope `.x-foo-42` (via classes):
   // non-host selector: .a.x-foo -> .x-foo-42 .a.x-foo
   // host selector: x-foo.wide -> .x-foo-42.wide
@@ -525,12 +700,14 @@ class StyleProperties {
    * @param {Object} properties
    * @param {string} selector
    * @param {HTMLStyleElement} style
+   * @param {Object<number, string>=} ruleCssText
+   * @param {?{ruleCssText: !Object<number, string>, changed: !Array<string>}=} previous
    * @return {HTMLStyleElement}
    */
-  applyElementStyle(element, properties, selector, style) {
+  applyElementStyle(element, properties, selector, style, ruleCssText, previous) {
     // calculate cssText to apply
     let cssText = style ? style.textContent || '' :
-      this.transformStyles(element, properties, selector);
+      this.transformStyles(element, properties, selector, ruleCssText, previous);
     // if shady and we have a cached style that is not style, decrement
     let styleInfo = StyleInfo.get(element);
     let s = styleInfo.customStyle;
@@ -592,6 +769,10 @@ class StyleProperties {
   applyCustomStyle(style, properties) {
     let rules = StyleUtil.rulesForStyle(/** @type {HTMLStyleElement} */(style));
     let self = this;
+    // registered properties which do not inherit only apply to the root
+    let descendantProperties = nonInheritedProperties().length ?
+      this.clearNonInheritedProperties(Object.create(properties)) :
+      properties;
     style.textContent =
         StyleUtil.toCssText(rules, function(/** StyleNode */ rule) {
           let css = rule['cssText'] = rule['parsedCssText'];
@@ -607,7 +788,8 @@ class StyleProperties {
             // are not and this makes this case unique.
             css = removeCustomPropAssignment(/** @type {string} */ (css));
             // replace with reified properties, scenario is same as mixin
-            rule['cssText'] = self.valueForProperties(css, properties);
+            rule['cssText'] = self.valueForProperties(css,
+              isHostRule(rule, 'html', '') ? properties : descendantProperties);
           }
         });
   }
@@ -11,6 +11,14 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 'use strict';
 
 export const nativeShadow = !(window['ShadyDOM'] && window['ShadyDOM']['inUse']);
+
+/** @type {boolean} */
+export const nativeCustomStates = Boolean(window.CSS && CSS.supports &&
+  CSS.supports('selector(:state(x))'));
+
+/** @type {boolean} */
+export const nativeCssNesting = Boolean(window.CSS && CSS.supports &&
+  CSS.supports('selector(&)'));
 let nativeCssVariables_;
 
 /**
@@ -10,9 +10,10 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 
 'use strict';
 
-import {StyleNode} from './css-parse.js'; // eslint-disable-line no-unused-vars
+import {StyleNode, types, isNestingRule, isNestedGroupRule} from './css-parse.js';
 import * as StyleUtil from './style-util.js';
-import {nativeShadow} from './style-settings.js';
+import {nativeShadow, nativeCustomStates} from './style-settings.js';
+import {PART_ATTRIBUTE} from './shadow-parts.js';
 
 /* Transforms ShadowDOM styling into ShadyDOM styling
 
@@ -33,6 +34,32 @@ import {nativeShadow} from './style-settings.js';
 
 * :host(:dir[rtl]) -> scopeName:dir(rtl) -> [dir="rtl"] scopeName, scopeName[dir="rtl"]
 
+* :state(foo) -> [state--foo] (the custom elements polyfill reflects custom
+  states to these attributes)
+
+* :host(:state(foo)) -> scopeName[state--foo]
+
+* :host(:focus) -> scopeName[shady-focus]
+
+* :host(:focus-within) -> scopeName[shady-focus-within] (ShadyDOM reflects
+  focus onto shadow hosts with these attributes)
+
+* :is(.a .b, .c), :where(...) -> :is(.a.scope .b.scope, .c.scope) (the
+  argument is a selector list which is scoped like any other)
+
+* :has(> .a) -> :has(> .a.scope)
+
+* :host-context(.dark) ... -> .dark scopeName ..., scopeName.dark ...
+
+* @scope (.a) to (.b) -> @scope (.a.scope) to (.b.scope), and @scope without
+  a prelude -> @scope (scopeName), as the style is no longer in the shadowRoot
+
+* x-foo::part(label) -> x-foo.scope [shady-part~="x-foo:label"]
+
+* :host::part(label) -> scopeName [shady-part~="scopeName:label"] (the part
+  tracking reflects part names, including those forwarded by `exportparts`,
+  to this attribute; the host must be matched by its type selector)
+
 */
 const SCOPE_NAME = 'style-scope';
 
@@ -169,6 +196,10 @@ class StyleTransformer {
     // static shimming work when a proper build exists.
     if (cssText === '') {
       if (nativeShadow || cssBuild === 'shady') {
+        if (nativeShadow && cssBuild !== 'shady') {
+          StyleUtil.forEachRule(styleRules,
+            (rule) => this.normalizeStateSelector(rule));
+        }
         cssText = StyleUtil.toCssText(styleRules, callback);
       } else {
         let {is, typeExtension} = StyleUtil.getIsExtends(element);
@@ -178,10 +209,115 @@ class StyleTransformer {
     return cssText.trim();
   }
 
-  // Given a string of cssText and a scoping string (scope), returns
-  // a string of scoped css where each selector is transformed to include
-  // a class created from the scope. ShadowDOM selectors are also transformed
-  // (e.g. :host) to use the scoping selector.
+  /**
+   * Expands nested rules (CSS nesting) into rules of their own, so that they
+   * can be scoped and work in browsers without CSS nesting.
+   *
+   * .a { color: red; &:hover { color: blue; } .b { color: green; } }
+   *   -> .a { color: red; } .a:hover { color: blue; } .a .b { color: green; }
+   *
+   * A selector list in a parent rule is expanded into the selectors of the
+   * nested rule, instead of being matched as `:is()`.
+   *
+   * @param {StyleNode} rules
+   */
+  desugarNesting(rules) {
+    if (rules && rules['rules']) {
+      rules['rules'] = this._desugarRules(rules['rules'], rules, null);
+    }
+  }
+
+  /**
+   * @param {!Array<StyleNode>} rules
+   * @param {StyleNode} parent
+   * @param {Array<string>} parentSelectors
+   * @return {!Array<StyleNode>}
+   */
+  _desugarRules(rules, parent, parentSelectors) {
+    /** @type {!Array<StyleNode>} */
+    let output = [];
+    for (let i = 0; i < rules.length; i++) {
+      let rule = rules[i];
+      let type = rule['type'];
+      let nested = isNestingRule(rule) ? rule['rules'] : null;
+      let groupRule = isNestedGroupRule(rule);
+      if (type === types.STYLE_RULE) {
+        let selectors = parentSelectors ?
+          this._resolveNestedSelector(rule['parsedSelector'], parentSelectors) :
+          null;
+        if (selectors) {
+          rule['parsedSelector'] = rule['selector'] = selectors.join(', ');
+        }
+        output.push(rule);
+        if (nested) {
+          rule['rules'] = null;
+          output = output.concat(this._desugarRules(nested, parent,
+            selectors || StyleUtil.splitSelectorList(rule['parsedSelector'])
+              .map((part) => part.trim())));
+        }
+      } else if (type === types.NESTED_DECLARATIONS) {
+        rule['type'] = types.STYLE_RULE;
+        rule['parsedSelector'] = rule['selector'] = parentSelectors.join(', ');
+        output.push(rule);
+      } else if (rule['rules'] && !parentSelectors) {
+        rule['rules'] = this._desugarRules(rule['rules'], rule, null);
+        output.push(rule);
+      } else {
+        if (groupRule && parentSelectors && rule['cssText']) {
+          // the declarations of a group rule apply to the parent selector
+          let declarations = new StyleNode();
+          declarations['parent'] = rule;
+          declarations['parsedCssText'] = declarations['cssText'] =
+            rule['cssText'];
+          declarations['parsedSelector'] = declarations['selector'] =
+            parentSelectors.join(', ');
+          declarations['type'] = types.STYLE_RULE;
+          rule['parsedCssText'] = rule['cssText'] = '';
+          rule['rules'] = [declarations].concat(nested ?
+            this._desugarRules(nested, rule, parentSelectors) : []);
+        } else if (nested) {
+          rule['rules'] = this._desugarRules(nested, rule, parentSelectors);
+        }
+        output.push(rule);
+      }
+      // reparent last, as nested group rules are found by their ancestors
+      rule['parent'] = parent;
+    }
+    return output;
+  }
+
+  /**
+   * Returns the selectors of a nested rule, where `&` is replaced with each
+   * of the selectors of its parent, or the parent selectors are prepended.
+   *
+   * @param {string} selector
+   * @param {!Array<string>} parentSelectors
+   * @return {!Array<string>}
+   */
+  _resolveNestedSelector(selector, parentSelectors) {
+    let resolved = [];
+    StyleUtil.splitSelectorList(selector).forEach((part) => {
+      part = part.trim();
+      parentSelectors.forEach((parent) => {
+        resolved.push(part.indexOf(NESTING_SELECTOR) !== -1 ?
+          part.replace(NESTING_SELECTOR_RX, parent) : `${parent} ${part}`);
+      });
+    });
+    return resolved;
+  }
+
+  /**
+   * Given a string of cssText and a scoping string (scope), returns
+   * a string of scoped css where each selector is transformed to include
+   * a class created from the scope. ShadowDOM selectors are also transformed
+   * (e.g. :host) to use the scoping selector.
+   *
+   * @param {StyleNode} rules
+   * @param {string} scope
+   * @param {string=} ext
+   * @param {function(StyleNode, string, string)=} callback
+   * @return {string}
+   */
   css(rules, scope, ext, callback) {
     let hostScope = this._calcHostScope(scope, ext);
     scope = this._calcElementScope(scope);
@@ -223,6 +359,10 @@ class StyleTransformer {
    * @param {string=} hostScope
    */
   _transformRule(rule, transformer, scope, hostScope) {
+    if (this._transformScopeRules(rule, transformer, scope, hostScope)) {
+      // the scoping root of an `@scope` rule without a prelude is the host
+      rule['selector'] = rule['selector'].replace(SCOPE_PSEUDO, HOST);
+    }
     // NOTE: save transformedSelector for subsequent matching of elements
     // against selectors (e.g. when calculating style properties)
     rule['selector'] = /** @type {?} */ (rule).transformedSelector =
@@ -247,6 +387,60 @@ class StyleTransformer {
     return p$.filter((part) => Boolean(part)).join(COMPLEX_SELECTOR_SEP);
   }
 
+  /**
+   * Transforms the preludes of the `@scope` rules containing a css rule.
+   * Returns true if the closest one has no prelude and is scoped to the host.
+   *
+   * @param {StyleNode} rule
+   * @param {Function} transformer
+   * @param {string=} scope
+   * @param {string=} hostScope
+   * @return {boolean}
+   */
+  _transformScopeRules(rule, transformer, scope, hostScope) {
+    let scopedToHost;
+    for (let parent = rule['parent']; parent; parent = parent['parent']) {
+      if (parent['type'] === types.SCOPE_RULE) {
+        parent['selector'] = this._transformScopePrelude(
+          parent['parsedSelector'], transformer, scope, hostScope);
+        if (scopedToHost === undefined) {
+          scopedToHost = parent['parsedSelector'] === SCOPE_START &&
+            Boolean(hostScope);
+        }
+      }
+    }
+    return Boolean(scopedToHost);
+  }
+
+  /**
+   * @param {string} selector
+   * @param {Function} transformer
+   * @param {string=} scope
+   * @param {string=} hostScope
+   * @return {string}
+   */
+  _transformScopePrelude(selector, transformer, scope, hostScope) {
+    let output = '';
+    let start;
+    while ((start = selector.indexOf('(')) !== -1) {
+      const end = StyleUtil.findMatchingParen(selector, start);
+      if (end === -1) {
+        break;
+      }
+      const list = StyleUtil.splitSelectorList(selector.slice(start + 1, end))
+        .map((part) => transformer.call(this, part, scope, hostScope))
+        .filter((part) => Boolean(part))
+        .join(COMPLEX_SELECTOR_SEP);
+      output += `${selector.slice(0, start)}(${list})`;
+      selector = selector.slice(end + 1);
+    }
+    output += selector;
+    if (output === SCOPE_START && hostScope) {
+      output += ` (${hostScope})`;
+    }
+    return output;
+  }
+
   /**
    * @param {string} selector
    * @return {string}
@@ -262,6 +456,31 @@ class StyleTransformer {
     });
   }
 
+  /**
+   * Replace `:state()` pseudo-classes with the attribute selectors matching
+   * the attributes used to reflect custom states.
+   *
+   * @param {string} selector
+   * @return {string}
+   */
+  _transformStatePseudo(selector) {
+    return selector.replace(STATE_PAREN,
+      (m, state) => `[${STATE_ATTRIBUTE_PREFIX}${state.trim()}]`);
+  }
+
+  /**
+   * Replace `:focus` and `:focus-within` inside `:host()` with the attribute
+   * selectors matching the attributes ShadyDOM uses to reflect focus onto
+   * shadow hosts.
+   *
+   * @param {string} selector
+   * @return {string}
+   */
+  _transformHostFocusPseudo(selector) {
+    return selector.replace(FOCUS_PSEUDO,
+      (m, within) => within ? FOCUS_WITHIN_ATTRIBUTE : FOCUS_ATTRIBUTE);
+  }
+
   /**
    * Preserve `:matches()` selectors by replacing them with MATCHES_REPLACMENT
    * and returning an array of `:matches()` selectors.
@@ -300,6 +519,127 @@ class StyleTransformer {
     return matches.reduce((acc, cur, idx) => acc + cur + parts[idx + 1], parts[0]);
   }
 
+  /**
+   * Preserve `:is()`, `:where()` and `:has()` selectors by scoping their
+   * selector lists and replacing them with `:` and FUNCTIONAL_REPLACEMENT,
+   * and returning an array of the scoped pseudo-classes. Those inside
+   * `:host()` apply to the host, and those inside `::slotted()` to light DOM
+   * children, so they are preserved as is.
+   * Use `_replaceFunctionalPseudo` to replace the preserved parts.
+   *
+   * @param {string} selector
+   * @param {string} scope
+   * @param {string=} hostScope
+   * @return {{selector: string, pseudos: !Array<string>}}
+   */
+  _preserveFunctionalPseudo(selector, scope, hostScope) {
+    /** @type {!Array<string>} */
+    const pseudos = [];
+    let output = '';
+    let match;
+    while ((match = selector.match(FUNCTIONAL_PSEUDO))) {
+      const start = match.index;
+      const end = StyleUtil.findMatchingParen(selector, start + match[0].length - 1);
+      if (end === -1) {
+        throw new Error(`${match.input} selector missing ')'`);
+      }
+      output += selector.slice(0, start);
+      let list = selector.slice(start + match[0].length, end);
+      if (!this._isInsideParen(output, HOST) &&
+          !this._isInsideParen(output, SLOTTED)) {
+        list = StyleUtil.splitSelectorList(list)
+          .map((part) => this._transformComplexSelector(part, scope, hostScope))
+          .join(', ');
+      }
+      pseudos.push(`${match[1]}(${list})`);
+      output += PSEUDO_PREFIX + FUNCTIONAL_REPLACEMENT;
+      selector = selector.slice(end + 1);
+    }
+    return {selector: output + selector, pseudos};
+  }
+
+  /**
+   * Replace FUNCTIONAL_REPLACEMENT characters with the given set of
+   * `:is()`, `:where()` and `:has()` selectors.
+   *
+   * @param {string} selector
+   * @param {!Array<string>} pseudos
+   * @return {string}
+   */
+  _replaceFunctionalPseudo(selector, pseudos) {
+    const parts = selector.split(FUNCTIONAL_REPLACEMENT);
+    return pseudos.reduce((acc, cur, idx) => acc + cur + parts[idx + 1], parts[0]);
+  }
+
+  /**
+   * Returns true if the given start of a selector ends inside of the
+   * parentheses of the given pseudo, e.g. `:host()`.
+   *
+   * @param {string} selector
+   * @param {string} pseudo
+   * @return {boolean}
+   */
+  _isInsideParen(selector, pseudo) {
+    const start = selector.lastIndexOf(`${pseudo}(`);
+    return start >= 0 &&
+      StyleUtil.findMatchingParen(selector, start + pseudo.length) === -1;
+  }
+
+  /**
+   * :host-context(...) ... -> ... scopeName ..., scopeName... ...
+   *
+   * The host matches if it or any of its ancestors matches the compound
+   * selector, which is not scoped as the ancestor may be in any scope.
+   *
+   * @param {string} selector
+   * @param {string} scope
+   * @param {string=} hostScope
+   * @return {string}
+   */
+  _transformHostContextSelector(selector, scope, hostScope) {
+    const start = HOST_CONTEXT.length - 1;
+    const end = StyleUtil.findMatchingParen(selector, start);
+    if (end === -1) {
+      throw new Error(`${selector} selector missing ')'`);
+    }
+    const context = selector.slice(start + 1, end).trim();
+    const rest = selector.slice(end + 1);
+    const ancestor = `${context} ${
+      this._transformComplexSelector(HOST + rest, scope, hostScope)}`;
+    const self = this._transformComplexSelector(
+      `${HOST}(${context})${rest}`, scope, hostScope);
+    return self.indexOf(SELECTOR_NO_MATCH) === 0 ? ancestor :
+      `${ancestor}, ${self}`;
+  }
+
+  /**
+   * Split `::part()` and what follows it from a complex selector, returning
+   * the selector of the host and the selector of the part inside it, which
+   * matches the names the host exposes the part as. The part is empty if the
+   * host is not matched by its type selector or `:host`.
+   *
+   * @param {string} selector
+   * @param {string=} hostScope
+   * @return {{selector: string, part: string}}
+   */
+  _transformPartPseudo(selector, hostScope) {
+    const match = selector.match(PART_PAREN);
+    const names = match ? match[1].trim().split(/\s+/) : [''];
+    const hostSelector = selector.slice(0, match ? match.index : 0);
+    const compound = hostSelector.split(/[\s>+~]+/).pop();
+    let is = compound.indexOf(HOST) === 0 ? hostScope || '' :
+      compound.split(SIMPLE_SELECTOR_PREFIX)[0];
+    is = is.replace(IS_ATTRIBUTE, '$1');
+    if (!is || !names[0]) {
+      return {selector, part: ''};
+    }
+    const part = names.map((name) => `[${PART_ATTRIBUTE}~="${is}:${name}"]`);
+    return {
+      selector: hostSelector,
+      part: ` ${part.join('')}${selector.slice(match.index + match[0].length)}`
+    };
+  }
+
 /**
  * @param {string} selector
  * @param {string} scope
@@ -307,7 +647,28 @@ class StyleTransformer {
  */
   _transformComplexSelector(selector, scope, hostScope) {
     let stop = false;
-    selector = selector.trim();
+    selector = this._transformStatePseudo(selector.trim());
+    if (selector.indexOf(HOST_CONTEXT) === 0) {
+      return this._transformHostContextSelector(selector, scope, hostScope);
+    }
+    // Scope the selector lists of `:is()`, `:where()` and `:has()`, and
+    // preserve them so that SIMPLE_SELECTOR_SEP does not split them
+    const isFunctional = FUNCTIONAL_PSEUDO.test(selector);
+    /** @type {!Array<string>} */
+    let pseudos;
+    if (isFunctional) {
+      ({selector, pseudos} =
+        this._preserveFunctionalPseudo(selector, scope, hostScope));
+    }
+    // `::part()` may only be followed by pseudo-classes and elements, so it is
+    // removed here and appended once the host's compound selector is scoped.
+    let part = '';
+    if (PART.test(selector)) {
+      ({selector, part} = this._transformPartPseudo(selector, hostScope));
+      if (!part) {
+        return SELECTOR_NO_MATCH;
+      }
+    }
     // Remove spaces inside of selectors like `:nth-of-type` because it confuses SIMPLE_SELECTOR_SEP
     let isNth = NTH.test(selector);
     if (isNth) {
@@ -340,6 +701,10 @@ class StyleTransformer {
     if (isNth) {
       selector = this._twiddleNthPlus(selector);
     }
+    if (isFunctional) {
+      selector = this._replaceFunctionalPseudo(selector, pseudos);
+    }
+    selector += part;
     selector = selector.replace(DIR_PAREN, (m, before, dir, after) =>
       `[dir="${dir}"] ${before}${after}, ${before}[dir="${dir}"]${after}`);
     return selector;
@@ -406,7 +771,7 @@ class StyleTransformer {
         let typeSelector = paren.split(SIMPLE_SELECTOR_PREFIX)[0];
         // if the type selector is our hostScope then avoid pre-pending it
         if (typeSelector === hostScope) {
-          return paren;
+          return this._transformHostFocusPseudo(paren);
         // otherwise, this selector should not match in this scope so
         // output a bogus selector.
         } else {
@@ -415,9 +780,8 @@ class StyleTransformer {
       } else {
         // make sure to do a replace here to catch selectors like:
         // `:host(.foo)::before`
-        return selector.replace(HOST_PAREN, function(m, host, paren) {
-          return hostScope + paren;
-        });
+        return selector.replace(HOST_PAREN, (m, host, paren) =>
+          hostScope + this._transformHostFocusPseudo(paren));
       }
     // if no paren, do a straight :host replacement.
     // TODO(sorvell): this should not strictly be necessary but
@@ -448,14 +812,28 @@ class StyleTransformer {
     }
   }
 
+  /**
+   * Rewrite `:state()` in a rule that is not otherwise transformed because
+   * Shadow DOM is native, in browsers that can't match custom states (e.g.
+   * when custom elements are polyfilled).
+   * @param {StyleNode} rule
+   */
+  normalizeStateSelector(rule) {
+    if (!nativeCustomStates && rule['selector']) {
+      rule['selector'] = this._transformStatePseudo(rule['selector']);
+    }
+  }
+
 /**
  * @param {string} selector
  */
   _transformDocumentSelector(selector) {
+    selector = this._transformStatePseudo(selector);
     if (selector.match(HOST)) {
       // remove ':host' type selectors in document rules
       return '';
-    } else if (selector.match(SLOTTED)) {
+    } else if (selector.match(SLOTTED) || selector.match(PART) ||
+        selector.match(FUNCTIONAL_PSEUDO)) {
       return this._transformComplexSelector(selector, SCOPE_DOC_SELECTOR);
     } else {
       return this._transformSimpleSelector(selector.trim(), SCOPE_DOC_SELECTOR);
@@ -466,9 +844,14 @@ class StyleTransformer {
 const NTH = /:(nth[-\w]+)\(([^)]+)\)/;
 const SCOPE_DOC_SELECTOR = `:not(.${SCOPE_NAME})`;
 const COMPLEX_SELECTOR_SEP = ',';
+const SCOPE_START = '@scope';
+const SCOPE_PSEUDO = /:scope\b/g;
+const NESTING_SELECTOR = '&';
+const NESTING_SELECTOR_RX = /&/g;
 const SIMPLE_SELECTOR_SEP = /(^|[\s>+~]+)((?:\[.+?\]|[^\s>+~=[])+)/g;
 const SIMPLE_SELECTOR_PREFIX = /[[.:#*]/;
 const HOST = ':host';
+const HOST_CONTEXT = ':host-context(';
 const ROOT = ':root';
 const SLOTTED = '::slotted';
 const SLOTTED_START = new RegExp(`^(${SLOTTED})`);
@@ -485,5 +868,15 @@ const CLASS = 'class';
 const SELECTOR_NO_MATCH = 'should_not_match';
 const MATCHES = /:(?:matches|any|-(?:webkit|moz)-any)/;
 const MATCHES_REPLACEMENT = '\u{e000}';
+const FUNCTIONAL_PSEUDO = /:(is|where|has)\(/;
+const FUNCTIONAL_REPLACEMENT = '\u{e001}';
+const STATE_PAREN = /:state\(([^)]*)\)/g;
+const STATE_ATTRIBUTE_PREFIX = 'state--';
+const FOCUS_PSEUDO = /:focus(-within)?(?![\w-])/g;
+const FOCUS_ATTRIBUTE = '[shady-focus]';
+const FOCUS_WITHIN_ATTRIBUTE = '[shady-focus-within]';
+const PART = /::part\(/;
+const PART_PAREN = /::part\(([^)]*)\)/;
+const IS_ATTRIBUTE = /^\[is=["']?([^"'\]]*)["']?\]$/;
 
 export default new StyleTransformer();
@@ -12,7 +12,7 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 
 import {nativeShadow, nativeCssVariables, cssBuild} from './style-settings.js';
 import {parse, stringify, types, StyleNode} from './css-parse.js'; // eslint-disable-line no-unused-vars
-import {MEDIA_MATCH} from './common-regex.js';
+import {MEDIA_MATCH, SUPPORTS_MATCH} from './common-regex.js';
 import {processUnscopedStyle, isUnscopedStyle} from './unscoped-style-handler.js';
 
 /**
@@ -77,6 +77,13 @@ export function forEachRule(node, styleRuleCallback, keyframesRuleCallback, only
           skipRules = true;
         }
       }
+    } else if (type === types.SUPPORTS_RULE) {
+      let supports = window.CSS && window.CSS.supports;
+      let condition = node['selector'].match(SUPPORTS_MATCH);
+      // if rule is a non matching @supports rule, skip subrules
+      if (supports && condition && !window.CSS.supports(condition[1])) {
+        skipRules = true;
+      }
     }
   }
   if (type === types.STYLE_RULE) {
@@ -22,7 +22,8 @@ IWrapper.prototype._activeElement;
 // NOTE: For some reason, Closure likes to remove focus() from the IWrapper
 // class. Not yet clear why focus() is affected and not any other methods (e.g.
 // blur).
-IWrapper.prototype.focus = function() {};
+/** @param {Object=} options */
+IWrapper.prototype.focus = function(options) {};
 
 /** @type {!boolean|undefined} */
 Event.prototype.__composed;
@@ -39,6 +40,38 @@ Event.prototype.__composedPath;
 /** @type {!Array<!EventTarget>|undefined} */
 Event.prototype.__relatedTargetComposedPath;
 
+/** @type {string} */
+ShadowRoot.prototype.slotAssignment;
+
+/** @type {boolean} */
+ShadowRoot.prototype.delegatesFocus;
+
+/**
+ * @param {...!Node} nodes
+ */
+HTMLSlotElement.prototype.assign = function(nodes) {};
+
+/** @param {string} html */
+Element.prototype.setHTMLUnsafe = function(html) {};
+
+/** @param {...(!Node|string)} nodes */
+Element.prototype.replaceChildren = function(nodes) {};
+
+/** @param {...(!Node|string)} nodes */
+Document.prototype.replaceChildren = function(nodes) {};
+
+/** @param {...(!Node|string)} nodes */
+DocumentFragment.prototype.replaceChildren = function(nodes) {};
+
+/** @param {string} html */
+ShadowRoot.prototype.setHTMLUnsafe = function(html) {};
+
+/**
+ * @param {string} html
+ * @return {!Document}
+ */
+Document.parseHTMLUnsafe = function(html) {};
+
 /**
  * Prevent renaming of this method on ShadyRoot for testing and debugging.
  */
@@ -14,6 +14,8 @@ import {enqueue} from './flush.js';
 import {ensureShadyDataForNode, shadyDataForNode} from './shady-data.js';
 import {recordChildNodes} from './link-nodes.js';
 import {patchShadyRoot} from './patch-shadyRoot.js';
+import {setupDelegatesFocus} from './delegates-focus.js';
+import {withoutChildListRecords} from './observe-changes.js';
 
 // Do not export this object. It must be passed as the first argument to the
 // ShadyRoot constructor in `attachShadow` to prevent the constructor from
@@ -25,6 +27,10 @@ const CATCHALL_NAME = '__catchall';
 
 const MODE_CLOSED = 'closed';
 
+const SLOT_ASSIGNMENT_NAMED = 'named';
+
+const SLOT_ASSIGNMENT_MANUAL = 'manual';
+
 let isRendering = utils.settings['deferConnectionCallbacks'] && document.readyState === 'loading';
 let rootRendered;
 
@@ -63,6 +69,22 @@ class ShadyRoot {
     this.host = host;
     /** @type {!string|undefined} */
     this.mode = options && options.mode;
+    /** @type {string} */
+    this.slotAssignment = options &&
+        options['slotAssignment'] === SLOT_ASSIGNMENT_MANUAL ?
+        SLOT_ASSIGNMENT_MANUAL : SLOT_ASSIGNMENT_NAMED;
+    /** @type {boolean} */
+    this.delegatesFocus = Boolean(options && options['delegatesFocus']);
+    if (this.delegatesFocus) {
+      setupDelegatesFocus(this.host);
+    }
+    /**
+     * True if this root was created from a declarative
+     * `<template shadowrootmode>`; such a root is reused by the first call to
+     * `attachShadow` on its host.
+     * @type {boolean}
+     */
+    this._declarative = Boolean(options && options['shadyDeclarative']);
     recordChildNodes(this.host);
     const hostData = ensureShadyDataForNode(this.host);
     /** @type {!ShadyRoot} */
@@ -76,10 +98,12 @@ class ShadyRoot {
     // NOTE: optimization flag, only require an asynchronous render
     // to record parsed children if flag is not set.
     if (utils.settings['preferPerformance']) {
-      let n;
-      while ((n = this.host[utils.NATIVE_PREFIX + 'firstChild'])) {
-        this.host[utils.NATIVE_PREFIX + 'removeChild'](n);
-      }
+      withoutChildListRecords(() => {
+        let n;
+        while ((n = this.host[utils.NATIVE_PREFIX + 'firstChild'])) {
+          this.host[utils.NATIVE_PREFIX + 'removeChild'](n);
+        }
+      });
     } else {
       this._asyncRender();
     }
@@ -141,22 +165,26 @@ class ShadyRoot {
     const wasRendering = isRendering;
     isRendering = true;
     this._renderPending = false;
-    if (this._slotList) {
-      this._distribute();
-      this._compose();
-    }
-    // NOTE: optimization flag, only process parsed children
-    // if optimization flag is not set.
-    // on initial render remove any undistributed children.
-    if (!utils.settings['preferPerformance'] && !this._hasRendered) {
-      for (let n=this.host[utils.SHADY_PREFIX + 'firstChild']; n; n = n[utils.SHADY_PREFIX + 'nextSibling']) {
-        const data = shadyDataForNode(n);
-        if (n[utils.NATIVE_PREFIX + 'parentNode'] === this.host &&
-            (n.localName === 'slot' || !data.assignedSlot)) {
-          this.host[utils.NATIVE_PREFIX + 'removeChild'](n);
+    // Composing the rendered tree does not mutate the logical tree, so it is
+    // not reported to mutation observers.
+    withoutChildListRecords(() => {
+      if (this._slotList) {
+        this._distribute();
+        this._compose();
+      }
+      // NOTE: optimization flag, only process parsed children
+      // if optimization flag is not set.
+      // on initial render remove any undistributed children.
+      if (!utils.settings['preferPerformance'] && !this._hasRendered) {
+        for (let n=this.host[utils.SHADY_PREFIX + 'firstChild']; n; n = n[utils.SHADY_PREFIX + 'nextSibling']) {
+          const data = shadyDataForNode(n);
+          if (n[utils.NATIVE_PREFIX + 'parentNode'] === this.host &&
+              (n.localName === 'slot' || !data.assignedSlot)) {
+            this.host[utils.NATIVE_PREFIX + 'removeChild'](n);
+          }
         }
       }
-    }
+    });
     this._hasRendered = true;
     isRendering = wasRendering;
     if (rootRendered) {
@@ -172,8 +200,12 @@ class ShadyRoot {
       this._clearSlotAssignedNodes(slot);
     }
     // distribute host children.
-    for (let n=this.host[utils.SHADY_PREFIX + 'firstChild']; n; n=n[utils.SHADY_PREFIX + 'nextSibling']) {
-      this._distributeNodeToSlot(n);
+    if (this.slotAssignment === SLOT_ASSIGNMENT_MANUAL) {
+      this._distributeManuallyAssignedNodes();
+    } else {
+      for (let n=this.host[utils.SHADY_PREFIX + 'firstChild']; n; n=n[utils.SHADY_PREFIX + 'nextSibling']) {
+        this._distributeNodeToSlot(n);
+      }
     }
     // fallback content, slotchange, and dirty roots
     for (let i=0; i < this._slotList.length; i++) {
@@ -201,11 +233,20 @@ class ShadyRoot {
         // dirty if previously less assigned nodes than previously assigned.
         if (prevAssignedNodes.length > slotData.assignedNodes.length) {
           slotData.dirty = true;
+        // manually assigned nodes can be reordered without changing slots.
+        } else if (this.slotAssignment === SLOT_ASSIGNMENT_MANUAL) {
+          for (let j=0; j < prevAssignedNodes.length; j++) {
+            if (prevAssignedNodes[j] !== slotData.assignedNodes[j]) {
+              slotData.dirty = true;
+              break;
+            }
+          }
         }
       }
       /* Note: A slot is marked dirty whenever a node is newly assigned to it
       or a node is assigned to a different slot (done in `_distributeNodeToSlot`)
-      or if the number of nodes assigned to the slot has decreased (done above);
+      or if the number of nodes assigned to the slot has decreased or, for
+      manual assignment, their order has changed (done above);
       */
       if (slotData.dirty) {
         slotData.dirty = false;
@@ -248,6 +289,31 @@ class ShadyRoot {
     }
   }
 
+  /**
+   * Distributes host children to the slots they were assigned to via
+   * `HTMLSlotElement#assign`, in the order they were assigned. Used instead of
+   * distributing by name when the root was attached with
+   * `slotAssignment: 'manual'`. Assigned nodes which are not children of the
+   * host are ignored until they are added to it.
+   */
+  _distributeManuallyAssignedNodes() {
+    for (let i=0; i < this._slotList.length; i++) {
+      const slot = this._slotList[i];
+      const manuallyAssignedNodes = shadyDataForNode(slot).manuallyAssignedNodes;
+      if (manuallyAssignedNodes) {
+        for (let j=0; j < manuallyAssignedNodes.length; j++) {
+          const node = manuallyAssignedNodes[j];
+          // Use the logical parent: a node removed from the host is still
+          // its native child until the host renders.
+          const nodeData = shadyDataForNode(node);
+          if (nodeData && nodeData.parentNode === this.host) {
+            this._distributeNodeToSlot(node, slot);
+          }
+        }
+      }
+    }
+  }
+
   /**
    * Clears the assignedNodes tracking data for a given `slot`. Note, the current
    * assigned node data is tracked (via _previouslyAssignedNodes and
@@ -529,13 +595,15 @@ class ShadyRoot {
     const data = shadyDataForNode(slot);
     let n$ = data.flattenedNodes;
     if (n$) {
-      for (let i=0; i<n$.length; i++) {
-        let node = n$[i];
-        let parent = node[utils.NATIVE_PREFIX + 'parentNode'];
-        if (parent) {
-          parent[utils.NATIVE_PREFIX + 'removeChild'](node);
+      withoutChildListRecords(() => {
+        for (let i=0; i<n$.length; i++) {
+          let node = n$[i];
+          let parent = node[utils.NATIVE_PREFIX + 'parentNode'];
+          if (parent) {
+            parent[utils.NATIVE_PREFIX + 'removeChild'](node);
+          }
         }
-      }
+      });
     }
     data.flattenedNodes = [];
     data.assignedNodes = [];
@@ -561,6 +629,27 @@ export const attachShadow = (host, options) => {
   if (!options) {
     throw new Error('Not enough arguments.');
   }
+  // A declarative shadow root is handed to the first `attachShadow` call
+  // (e.g. from a custom element upgraded after parsing), with its contents
+  // cleared, if the call asks for the same mode.
+  const hostData = shadyDataForNode(host);
+  const existingRoot = hostData && hostData.root;
+  if (existingRoot && existingRoot._declarative) {
+    if (existingRoot.mode !== options.mode) {
+      // This should be a DOMException but DOMException isn't constructible in
+      // all browsers.
+      const error = new Error(`Failed to execute 'attachShadow' on ` +
+        `'Element': The declarative shadow root has a different mode.`);
+      error.name = 'NotSupportedError';
+      throw error;
+    }
+    existingRoot._declarative = false;
+    let n;
+    while ((n = existingRoot[utils.SHADY_PREFIX + 'firstChild'])) {
+      existingRoot[utils.SHADY_PREFIX + 'removeChild'](n);
+    }
+    return existingRoot;
+  }
   let root;
   // Optimization for booting up a shadowRoot from a fragment rather than
   // creating one.
@@ -579,7 +668,8 @@ export const attachShadow = (host, options) => {
       root._addSlots(slotsAdded);
       root._asyncRender();
     }
-    /** @type {ShadowRoot} */(root).host[utils.NATIVE_PREFIX + 'appendChild'](root);
+    withoutChildListRecords(() =>
+      /** @type {ShadowRoot} */(root).host[utils.NATIVE_PREFIX + 'appendChild'](root));
   } else {
     root = new ShadyRoot(ShadyRootConstructionToken, host, options);
   }
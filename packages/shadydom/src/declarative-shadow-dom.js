@@ -0,0 +1,180 @@
+/**
+@license
+Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+This code may only be used under the BSD style license found at http://polymer.github.io/LICENSE.txt
+The complete set of authors may be found at http://polymer.github.io/AUTHORS.txt
+The complete set of contributors may be found at http://polymer.github.io/CONTRIBUTORS.txt
+Code distributed by Google as part of the polymer project is also
+subject to an additional IP rights grant found at http://polymer.github.io/PATENTS.txt
+*/
+
+import * as utils from './utils.js';
+import {shadyDataForNode} from './shady-data.js';
+import {query} from './patches/ParentNode.js';
+
+const NativeMutationObserver = window.MutationObserver;
+
+const MODE_ATTRIBUTE = 'shadowrootmode';
+
+const DELEGATES_FOCUS_ATTRIBUTE = 'shadowrootdelegatesfocus';
+
+/**
+ * @param {!Node} node
+ * @return {boolean}
+ */
+const isDeclarativeTemplate = (node) =>
+  node.localName === 'template' &&
+  node[utils.NATIVE_PREFIX + 'hasAttribute'](MODE_ATTRIBUTE);
+
+/**
+ * Returns the content of the given template, ensuring the template polyfill
+ * has given it one if the template was created by a parser it doesn't patch.
+ * @param {!HTMLTemplateElement} template
+ * @return {?DocumentFragment}
+ */
+const contentForTemplate = (template) => {
+  if (!template.content && window.HTMLTemplateElement['decorate']) {
+    window.HTMLTemplateElement['decorate'](template);
+  }
+  return template.content || null;
+}
+
+/**
+ * Turns the given declarative template into a shadow root on its parent,
+ * following the HTML parser's steps for `<template shadowrootmode>`: the
+ * template is left in place if its parent already has a shadow root or the
+ * mode is invalid.
+ * @param {!HTMLTemplateElement} template
+ */
+const attachDeclarativeShadowRoot = (template) => {
+  const host = template[utils.SHADY_PREFIX + 'parentNode'];
+  const mode = template[utils.NATIVE_PREFIX + 'getAttribute'](MODE_ATTRIBUTE);
+  if (!host || host.nodeType !== Node.ELEMENT_NODE ||
+      (mode !== 'open' && mode !== 'closed')) {
+    return;
+  }
+  const hostData = shadyDataForNode(host);
+  if (hostData && hostData.root) {
+    return;
+  }
+  const content = contentForTemplate(template);
+  if (!content) {
+    return;
+  }
+  // Declarative roots nested in the template are attached first so that the
+  // whole tree is upgraded before it is rendered.
+  attachDeclarativeShadowRoots(content);
+  // The template's content belongs to an inert document, so its children
+  // are moved into a fragment owned by the host's document which then
+  // becomes the shadow root.
+  const fragment = host.ownerDocument.createDocumentFragment();
+  let n;
+  while ((n = content[utils.NATIVE_PREFIX + 'firstChild'])) {
+    fragment[utils.NATIVE_PREFIX + 'appendChild'](n);
+  }
+  host[utils.SHADY_PREFIX + 'removeChild'](template);
+  const root = host[utils.SHADY_PREFIX + 'attachShadow']({
+    'mode': mode,
+    'delegatesFocus':
+      template[utils.NATIVE_PREFIX + 'hasAttribute'](DELEGATES_FOCUS_ATTRIBUTE),
+    'shadyDeclarative': true,
+    'shadyUpgradeFragment': fragment
+  });
+  // The fragment cannot be upgraded in place on all browsers (IE), in which
+  // case a new root was created.
+  if (root !== fragment) {
+    root[utils.SHADY_PREFIX + 'appendChild'](fragment);
+  }
+  // The prefixed `attachShadow` bypasses the CE polyfill's patch, which
+  // records the root so that `ElementInternals#shadowRoot` can return it
+  // when it is closed.
+  host['__CE_shadowRoot'] = root;
+  // Custom elements in the template's content were created in an inert
+  // document and are not upgraded by being moved into the shadow root.
+  if (utils.hasCustomElements() && host.ownerDocument === document) {
+    window.customElements.upgrade(host);
+  }
+}
+
+/**
+ * Converts each `<template shadowrootmode>` in the given tree into a shadow
+ * root on the template's parent, as the HTML parser does when declarative
+ * Shadow DOM is supported.
+ * @param {!Node} node
+ */
+export const attachDeclarativeShadowRoots = (node) => {
+  query(node, isDeclarativeTemplate).forEach((template) =>
+    attachDeclarativeShadowRoot(/** @type {!HTMLTemplateElement} */(template)));
+}
+
+/**
+ * Implements `Document.parseHTMLUnsafe`: parses the given HTML into a new
+ * document, converting declarative shadow roots.
+ * @param {string} html
+ * @return {!Document}
+ */
+export const parseHTMLUnsafe = (html) => {
+  const doc = /** @type {!Document} */(
+    new DOMParser().parseFromString(html, 'text/html'));
+  attachDeclarativeShadowRoots(doc);
+  return doc;
+}
+
+/**
+ * Returns true once the parser has moved past the end tag of the given node,
+ * i.e. a node follows it or one of its ancestors.
+ * @param {!Node} node
+ * @return {boolean}
+ */
+const isParsed = (node) => {
+  for (let n = node; n; n = n[utils.NATIVE_PREFIX + 'parentNode']) {
+    if (n[utils.NATIVE_PREFIX + 'nextSibling']) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Converts declarative shadow roots in the main document as it is parsed.
+ * A template is converted once the parser is past its parent, so that the
+ * parent's children are all in place when its shadow root is attached; the
+ * remaining templates are converted when the document has been parsed.
+ * Custom elements which attach a shadow root when created by the parser take
+ * precedence, as their template is then left in place.
+ */
+export const attachDocumentDeclarativeShadowRoots = () => {
+  if (document.readyState !== 'loading') {
+    attachDeclarativeShadowRoots(document);
+    return;
+  }
+  /** @type {!Array<!HTMLTemplateElement>} */
+  let pending = [];
+  const attachParsed = () => {
+    pending = pending.filter((template) => {
+      const host = template[utils.NATIVE_PREFIX + 'parentNode'];
+      if (host && !isParsed(host)) {
+        return true;
+      }
+      attachDeclarativeShadowRoot(template);
+      return false;
+    });
+  };
+  const observer = new NativeMutationObserver((records) => {
+    for (let i = 0; i < records.length; i++) {
+      const addedNodes = records[i].addedNodes;
+      for (let j = 0; j < addedNodes.length; j++) {
+        if (isDeclarativeTemplate(addedNodes[j])) {
+          pending.push(
+            /** @type {!HTMLTemplateElement} */(addedNodes[j]));
+        }
+      }
+    }
+    attachParsed();
+  });
+  observer.observe(document, {childList: true, subtree: true});
+  document[utils.NATIVE_PREFIX + 'addEventListener']('DOMContentLoaded', () => {
+    observer.disconnect();
+    attachDeclarativeShadowRoots(document);
+  });
+}
@@ -0,0 +1,310 @@
+/**
+@license
+Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+This code may only be used under the BSD style license found at http://polymer.github.io/LICENSE.txt
+The complete set of authors may be found at http://polymer.github.io/AUTHORS.txt
+The complete set of contributors may be found at http://polymer.github.io/CONTRIBUTORS.txt
+Code distributed by Google as part of the polymer project is also
+subject to an additional IP rights grant found at http://polymer.github.io/PATENTS.txt
+*/
+
+import * as utils from './utils.js';
+import {flush} from './flush.js';
+import {shadyDataForNode} from './shady-data.js';
+import {query} from './patches/ParentNode.js';
+
+/**
+ * Attribute set on a shadow host when it matches `:focus`, i.e. when it is
+ * focused itself or when it delegates focus and its shadow tree contains the
+ * focused element. ShadyCSS rewrites `:host(:focus)` to match it.
+ */
+const FOCUS_ATTRIBUTE = 'shady-focus';
+
+/**
+ * Attribute set on a shadow host when the focused element is the host or one
+ * of its (composed) descendants. ShadyCSS rewrites `:host(:focus-within)` to
+ * match it.
+ */
+const FOCUS_WITHIN_ATTRIBUTE = 'shady-focus-within';
+
+/**
+ * Returns true if the given attribute is one ShadyDOM uses to reflect focus
+ * onto shadow hosts.
+ * @param {?string} name
+ * @return {boolean}
+ */
+export const isFocusAttribute = (name) =>
+  name === FOCUS_ATTRIBUTE || name === FOCUS_WITHIN_ATTRIBUTE;
+
+const FOCUSABLE_ELEMENTS = /^(input|select|textarea|button|iframe|object|embed|summary)$/;
+
+const LINK_ELEMENTS = /^(a|area)$/;
+
+/** @type {!Array<!Element>} */
+let focusHosts = [];
+/** @type {!Array<!Element>} */
+let focusWithinHosts = [];
+
+/**
+ * @param {!Node} node
+ * @return {?ShadowRoot}
+ */
+const delegatingRootForNode = (node) => {
+  const nodeData = shadyDataForNode(node);
+  const root = nodeData && nodeData.root;
+  return root && root.delegatesFocus ? root : null;
+}
+
+function getDocumentActiveElement() {
+  const active = utils.settings.hasDescriptors ?
+    document[utils.NATIVE_PREFIX + 'activeElement'] : document.activeElement;
+  // In IE11, activeElement might be an empty object if the document is
+  // contained in an iframe.
+  return active && active.nodeType ? active : null;
+}
+
+/**
+ * Returns the native target of an event, which may have been patched to
+ * report a retargeted `target`.
+ * @param {!Event} event
+ * @return {?EventTarget}
+ */
+const nativeTargetForEvent = (event) =>
+  event['__target'] || event.target;
+
+/**
+ * Returns true if the given element can be focused by the user. This is an
+ * approximation of the platform's notion of a "focusable area": it does not
+ * account for elements which are not rendered. A shadow host which delegates
+ * focus is focusable if its shadow root contains a focusable element.
+ * @param {!Node} node
+ * @return {boolean}
+ */
+export const isFocusable = (node) => {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return false;
+  }
+  const element = /** @type {!HTMLElement} */(node);
+  const name = element.localName;
+  if (element[utils.NATIVE_PREFIX + 'hasAttribute']('tabindex') ||
+      element.isContentEditable) {
+    return true;
+  }
+  if (FOCUSABLE_ELEMENTS.test(name)) {
+    return !element.disabled && !(name === 'input' && element.type === 'hidden');
+  }
+  if (LINK_ELEMENTS.test(name)) {
+    return element[utils.NATIVE_PREFIX + 'hasAttribute']('href');
+  }
+  return Boolean(delegatingRootForNode(element) &&
+    focusDelegateForHost(element));
+}
+
+/**
+ * Returns the element that should receive focus when the given delegating
+ * host is focused: the first element in the host's shadow tree with the
+ * `autofocus` attribute or, failing that, the first focusable element.
+ * Nested hosts which delegate focus are resolved to their own delegate.
+ * @param {!Element} host
+ * @return {?HTMLElement}
+ */
+export const focusDelegateForHost = (host) => {
+  const root = delegatingRootForNode(host);
+  if (!root) {
+    return null;
+  }
+  const halter = (result) => result;
+  let delegate = query(root, (n) =>
+    n[utils.NATIVE_PREFIX + 'hasAttribute']('autofocus') && isFocusable(n),
+    halter)[0] ||
+    query(root, isFocusable, halter)[0];
+  while (delegate && delegatingRootForNode(delegate)) {
+    delegate = focusDelegateForHost(delegate);
+  }
+  return /** @type {?HTMLElement} */(delegate || null);
+}
+
+/**
+ * Returns true if the focused element is inside the shadow tree of the given
+ * host. The shadow tree is rendered as the host's composed children so the
+ * native `contains` is sufficient.
+ * @param {!Element} host
+ * @return {boolean}
+ */
+const containsFocusedElement = (host) => {
+  const active = getDocumentActiveElement();
+  return Boolean(active) && active !== host &&
+    host[utils.NATIVE_PREFIX + 'contains'](active);
+}
+
+/**
+ * Focuses the given delegating host's focus delegate unless its shadow tree
+ * already contains the focused element.
+ * @param {!Element} host
+ * @param {Object=} options
+ */
+export const focusDelegatingHost = (host, options) => {
+  if (containsFocusedElement(host)) {
+    return;
+  }
+  // Ensure the delegate is rendered so that it can take focus.
+  flush();
+  const delegate = focusDelegateForHost(host);
+  if (delegate) {
+    delegate[utils.NATIVE_PREFIX + 'focus'](options);
+  }
+}
+
+/**
+ * Returns the last element before `host` in document order that is in the
+ * sequential focus navigation order. Positive `tabindex` values are not
+ * considered.
+ * @param {!Element} host
+ * @return {?HTMLElement}
+ */
+const previousTabbableElement = (host) => {
+  const elements = document[utils.NATIVE_PREFIX + 'querySelectorAll']('*');
+  let previous = null;
+  for (let i = 0; i < elements.length; i++) {
+    const element = elements[i];
+    if (element === host) {
+      break;
+    }
+    if (element.tabIndex >= 0 && isFocusable(element) &&
+        !delegatingRootForNode(element)) {
+      previous = element;
+    }
+  }
+  return previous;
+}
+
+/**
+ * Handles `mousedown` on a delegating host: when the user clicks on a part
+ * of the host which is not focusable, focus moves to the host's focus
+ * delegate instead of being lost.
+ * @param {!Element} host
+ * @param {!Event} event
+ */
+const onDelegatingHostMousedown = (host, event) => {
+  let node = nativeTargetForEvent(event);
+  while (node && node !== host) {
+    if (isFocusable(node)) {
+      return;
+    }
+    node = node[utils.NATIVE_PREFIX + 'parentNode'];
+  }
+  if (!focusDelegateForHost(host)) {
+    return;
+  }
+  event.preventDefault();
+  focusDelegatingHost(host);
+}
+
+/**
+ * Sets up the behavior of a host whose shadow root was attached with
+ * `delegatesFocus: true`.
+ * @param {!Element} host
+ */
+export const setupDelegatesFocus = (host) => {
+  host[utils.NATIVE_PREFIX + 'addEventListener']('mousedown',
+    (e) => onDelegatingHostMousedown(host, e));
+}
+
+/**
+ * @param {!Array<!Element>} previous
+ * @param {!Array<!Element>} current
+ * @param {string} attr
+ */
+function updateAttribute(previous, current, attr) {
+  previous.forEach((host) => {
+    if (current.indexOf(host) < 0) {
+      host[utils.NATIVE_PREFIX + 'removeAttribute'](attr);
+    }
+  });
+  current.forEach((host) => {
+    if (previous.indexOf(host) < 0) {
+      host[utils.NATIVE_PREFIX + 'setAttribute'](attr, '');
+    }
+  });
+}
+
+/**
+ * Moves focus off of a delegating host which was focused itself, e.g. via
+ * sequential focus navigation when the host has a `tabindex`. Navigating
+ * forward focuses the host's delegate; navigating backward from inside the
+ * host's shadow tree skips the host.
+ * @param {!Element} host
+ * @param {?Element} previous
+ * @return {boolean} True if focus was moved.
+ */
+function forwardHostFocus(host, previous) {
+  if (previous && previous !== host &&
+      host[utils.NATIVE_PREFIX + 'contains'](previous)) {
+    const target = previousTabbableElement(host);
+    if (target) {
+      target[utils.NATIVE_PREFIX + 'focus']();
+    } else {
+      host[utils.NATIVE_PREFIX + 'blur']();
+    }
+    return true;
+  }
+  const delegate = focusDelegateForHost(host);
+  if (delegate) {
+    delegate[utils.NATIVE_PREFIX + 'focus']();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * @param {!Event} event
+ */
+function updateFocus(event) {
+  const active = getDocumentActiveElement();
+  if (event.type === 'focusin' && active && delegatingRootForNode(active)) {
+    const previous = event['__target'] ?
+      event.__relatedTarget : event.relatedTarget;
+    // Forwarding focus re-enters this function via `focusin`.
+    if (forwardHostFocus(active, /** @type {?Element} */(previous || null))) {
+      return;
+    }
+  }
+  const currentFocusHosts = [];
+  const currentFocusWithinHosts = [];
+  if (active && active !== document.body) {
+    for (let node = active; node; node = node[utils.NATIVE_PREFIX + 'parentNode']) {
+      const nodeData = shadyDataForNode(node);
+      if (nodeData && nodeData.root) {
+        currentFocusWithinHosts.push(node);
+      }
+    }
+    if (currentFocusWithinHosts[0] === active) {
+      currentFocusHosts.push(active);
+    }
+    // Each host whose shadow tree contains the focused element matches
+    // `:focus` if it delegates focus.
+    let node = active;
+    let root;
+    while ((root = node[utils.SHADY_PREFIX + 'getRootNode']()) &&
+        utils.isShadyRoot(root)) {
+      node = root.host;
+      if (root.delegatesFocus) {
+        currentFocusHosts.push(node);
+      }
+    }
+  }
+  updateAttribute(focusHosts, currentFocusHosts, FOCUS_ATTRIBUTE);
+  updateAttribute(focusWithinHosts, currentFocusWithinHosts, FOCUS_WITHIN_ATTRIBUTE);
+  focusHosts = currentFocusHosts;
+  focusWithinHosts = currentFocusWithinHosts;
+}
+
+/**
+ * Tracks the focused element so that shadow hosts reflect `:focus` and
+ * `:focus-within` via attributes and delegating hosts forward focus.
+ */
+export const trackFocus = () => {
+  const listener = (e) => updateFocus(e);
+  window[utils.NATIVE_PREFIX + 'addEventListener']('focusin', listener, true);
+  window[utils.NATIVE_PREFIX + 'addEventListener']('focusout', listener, true);
+}
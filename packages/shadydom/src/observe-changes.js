@@ -10,6 +10,9 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 
 import * as utils from './utils.js';
 import {ensureShadyDataForNode} from './shady-data.js';
+import {isFocusAttribute} from './delegates-focus.js';
+
+const NativeMutationObserver = window.MutationObserver;
 
 class AsyncObserver {
 
@@ -56,11 +59,9 @@ class AsyncObserver {
 
 }
 
-// TODO(sorvell): consider instead polyfilling MutationObserver
-// directly so that users do not have to fork their code.
-// Supporting the entire api may be challenging: e.g. filtering out
-// removed nodes in the wrong scope and seeing non-distributing
-// subtree child mutations.
+// NOTE: prefer `ShadyMutationObserver` (installed as `MutationObserver` when
+// patching) which reports the full MutationObserver API against the logical
+// tree. This is kept for compatibility.
 export let observeChildren = function(node, callback) {
   const sd = ensureShadyDataForNode(node);
   if (!sd.observer) {
@@ -111,3 +112,353 @@ export function filterMutations(mutations, target) {
     }
   }).filter(function(m) { return m});
 }
+
+/** @type {!Array<!ShadyMutationObserver>} */
+const activeObservers = [];
+
+/**
+ * @param {!Node} node
+ * @return {!Node}
+ */
+const nativeTargetForNode = (node) => utils.isShadyRoot(node) ?
+  /** @type {!ShadowRoot} */(node).host : node;
+
+/**
+ * @param {!Node} ancestor
+ * @param {!Node} node
+ * @return {boolean}
+ */
+const isLogicalInclusiveAncestor = (ancestor, node) => {
+  for (let n = node; n; n = n[utils.SHADY_PREFIX + 'parentNode']) {
+    if (n === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {!Array<!Node>} nodes
+ * @return {!Array<!Node>}
+ */
+const toNodeList = (nodes) => {
+  nodes.item = function(index) {
+    return nodes[index] || null;
+  }
+  return nodes;
+}
+
+/**
+ * Normalizes `observe()` options as described in
+ * https://dom.spec.whatwg.org/#dom-mutationobserver-observe.
+ * @param {!MutationObserverInit} options
+ * @return {!MutationObserverInit}
+ */
+const normalizeOptions = (options) => {
+  const normalized = {
+    'childList': Boolean(options['childList']),
+    'subtree': Boolean(options['subtree'])
+  };
+  let attributes = options['attributes'];
+  let characterData = options['characterData'];
+  if (attributes === undefined && (options['attributeOldValue'] !== undefined ||
+      options['attributeFilter'] !== undefined)) {
+    attributes = true;
+  }
+  if (characterData === undefined &&
+      options['characterDataOldValue'] !== undefined) {
+    characterData = true;
+  }
+  if (!normalized['childList'] && !attributes && !characterData) {
+    throw new TypeError(`Failed to execute 'observe' on 'MutationObserver': ` +
+      `The options object must set at least one of 'attributes', ` +
+      `'characterData', or 'childList' to true.`);
+  }
+  if (!attributes && (options['attributeOldValue'] ||
+      options['attributeFilter'] !== undefined)) {
+    throw new TypeError(`Failed to execute 'observe' on 'MutationObserver': ` +
+      `The options object may only set 'attributeOldValue' or ` +
+      `'attributeFilter' when 'attributes' is true or not present.`);
+  }
+  if (!characterData && options['characterDataOldValue']) {
+    throw new TypeError(`Failed to execute 'observe' on 'MutationObserver': ` +
+      `The options object may only set 'characterDataOldValue' when ` +
+      `'characterData' is true or not present.`);
+  }
+  normalized['attributes'] = Boolean(attributes);
+  normalized['characterData'] = Boolean(characterData);
+  normalized['attributeOldValue'] = Boolean(options['attributeOldValue']);
+  normalized['characterDataOldValue'] =
+    Boolean(options['characterDataOldValue']);
+  if (options['attributeFilter'] !== undefined) {
+    normalized['attributeFilter'] = utils.arrayFrom(options['attributeFilter']);
+  }
+  return normalized;
+}
+
+/**
+ * A `MutationObserver` which reports mutations of the logical tree: nodes
+ * added to a host are reported as children of the host (whether or not they
+ * are distributed), nodes added to a shadowRoot are reported as children of
+ * the shadowRoot, and `subtree` observations do not cross shadow boundaries.
+ *
+ * `childList` records for nodes which track their logical children (shadow
+ * hosts, shadowRoots, slots and parents of slots) are generated by ShadyDOM's
+ * `insertBefore` and `removeChild`; all other records are taken from a native
+ * `MutationObserver` observing the composed tree and filtered to the
+ * observed logical trees. Native `childList` records caused by rendering are
+ * dropped (see `withoutChildListRecords`).
+ */
+export class ShadyMutationObserver {
+
+  /**
+   * @param {function(!Array<!MutationRecord>, !ShadyMutationObserver)} callback
+   */
+  constructor(callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError(`Failed to construct 'MutationObserver': ` +
+        `The callback provided as parameter 1 is not a function.`);
+    }
+    this._callback = callback;
+    /** @type {!Array<{target: !Node, options: !MutationObserverInit}>} */
+    this._observations = [];
+    /** @type {!Array<!MutationRecord>} */
+    this._records = [];
+    this._scheduled = false;
+    this._nativeObserver = new NativeMutationObserver((records) => {
+      this._enqueueNativeRecords(records);
+      this._deliver();
+    });
+  }
+
+  /**
+   * @param {!Node} target
+   * @param {!MutationObserverInit=} options
+   */
+  observe(target, options) {
+    if (!(target instanceof Node)) {
+      throw new TypeError(`Failed to execute 'observe' on 'MutationObserver': ` +
+        `parameter 1 is not of type 'Node'.`);
+    }
+    const normalized = normalizeOptions(options || {});
+    const observation =
+      this._observations.filter((o) => o.target === target)[0];
+    if (observation) {
+      observation.options = normalized;
+    } else {
+      this._observations.push({target, options: normalized});
+    }
+    if (activeObservers.indexOf(this) < 0) {
+      activeObservers.push(this);
+    }
+    this._observeNative(nativeTargetForNode(target));
+  }
+
+  disconnect() {
+    this._nativeObserver.disconnect();
+    this._observations = [];
+    this._records = [];
+    const i = activeObservers.indexOf(this);
+    if (i >= 0) {
+      activeObservers.splice(i, 1);
+    }
+  }
+
+  /** @return {!Array<!MutationRecord>} */
+  takeRecords() {
+    this._enqueueNativeRecords(this._nativeObserver.takeRecords());
+    const records = this._records;
+    this._records = [];
+    return records;
+  }
+
+  /**
+   * Natively observes `nativeTarget` with the union of the options of every
+   * observation rendered inside it (e.g. both a host and its shadowRoot).
+   * @param {!Node} nativeTarget
+   */
+  _observeNative(nativeTarget) {
+    const options = {};
+    let attributeFilter = [];
+    this._observations.forEach((o) => {
+      if (nativeTargetForNode(o.target) !== nativeTarget) {
+        return;
+      }
+      for (let p in o.options) {
+        if (p !== 'attributeFilter' && o.options[p]) {
+          options[p] = true;
+        }
+      }
+      if (o.options['attributes']) {
+        attributeFilter = attributeFilter && o.options['attributeFilter'] ?
+          attributeFilter.concat(o.options['attributeFilter']) : null;
+      }
+    });
+    if (options['attributes'] && attributeFilter) {
+      options['attributeFilter'] = attributeFilter;
+    }
+    this._nativeObserver.observe(nativeTarget, options);
+  }
+
+  /**
+   * Returns the observation interested in a record of the given `type` for
+   * `node`, if any.
+   * @param {!Node} node
+   * @param {string} type
+   * @param {?string=} attributeName
+   * @return {?{target: !Node, options: !MutationObserverInit}}
+   */
+  _observationFor(node, type, attributeName) {
+    for (let i = 0; i < this._observations.length; i++) {
+      const o = this._observations[i];
+      const options = o.options;
+      if (!options[type] || !(o.target === node ||
+          (options['subtree'] && isLogicalInclusiveAncestor(o.target, node)))) {
+        continue;
+      }
+      if (type === 'attributes' && options['attributeFilter'] &&
+          options['attributeFilter'].indexOf(attributeName) < 0) {
+        continue;
+      }
+      return o;
+    }
+    return null;
+  }
+
+  /**
+   * @param {!Array<!MutationRecord>} records
+   */
+  _enqueueNativeRecords(records) {
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const type = record.type;
+      const target = /** @type {!Node} */(record.target);
+      if (type === 'attributes' && isFocusAttribute(record.attributeName)) {
+        continue;
+      }
+      const observation = this._observationFor(target, type,
+        record.attributeName);
+      if (!observation) {
+        continue;
+      }
+      const options = observation.options;
+      const oldValue = (type === 'attributes' && options['attributeOldValue']) ||
+        (type === 'characterData' && options['characterDataOldValue']) ?
+        record.oldValue : null;
+      this._records.push(/** @type {!MutationRecord} */({
+        type,
+        target,
+        addedNodes: toNodeList(utils.arrayFrom(record.addedNodes)),
+        removedNodes: toNodeList(utils.arrayFrom(record.removedNodes)),
+        previousSibling: record.previousSibling,
+        nextSibling: record.nextSibling,
+        attributeName: record.attributeName,
+        attributeNamespace: record.attributeNamespace,
+        oldValue
+      }));
+      this._schedule();
+    }
+  }
+
+  /**
+   * @param {!Node} target
+   * @param {!Array<!Node>} addedNodes
+   * @param {!Array<!Node>} removedNodes
+   * @param {?Node} previousSibling
+   * @param {?Node} nextSibling
+   */
+  _enqueueChildListRecord(target, addedNodes, removedNodes, previousSibling,
+      nextSibling) {
+    if (!this._observationFor(target, 'childList')) {
+      return;
+    }
+    // Preserve the order of records relative to pending native records.
+    this._enqueueNativeRecords(this._nativeObserver.takeRecords());
+    this._records.push(/** @type {!MutationRecord} */({
+      type: 'childList',
+      target,
+      addedNodes: toNodeList(addedNodes),
+      removedNodes: toNodeList(removedNodes),
+      previousSibling,
+      nextSibling,
+      attributeName: null,
+      attributeNamespace: null,
+      oldValue: null
+    }));
+    this._schedule();
+  }
+
+  _schedule() {
+    if (!this._scheduled) {
+      this._scheduled = true;
+      utils.microtask(() => this._deliver());
+    }
+  }
+
+  _deliver() {
+    this._scheduled = false;
+    const records = this.takeRecords();
+    if (records.length) {
+      this._callback.call(this, records, this);
+    }
+  }
+
+}
+
+/**
+ * Calls `fn`, which natively mutates the children of nodes to render the
+ * logical tree, without reporting the resulting native `childList` records.
+ * Logical mutations are reported via `queueChildListMutation` instead.
+ * @param {function()} fn
+ */
+export const withoutChildListRecords = (fn) => {
+  if (!activeObservers.length) {
+    fn();
+    return;
+  }
+  activeObservers.forEach((observer) => {
+    observer._enqueueNativeRecords(observer._nativeObserver.takeRecords());
+  });
+  fn();
+  activeObservers.forEach((observer) => {
+    observer._enqueueNativeRecords(observer._nativeObserver.takeRecords()
+      .filter((record) => record.type !== 'childList'));
+  });
+}
+
+/**
+ * Queues `childList` records for a mutation of the logical children of
+ * `node`. Should be called before the logical tree is updated.
+ * @param {!Node} node
+ * @param {?Node} addedNode
+ * @param {?Node} removedNode
+ * @param {?Node=} refNode
+ */
+export const queueChildListMutation = (node, addedNode, removedNode, refNode) => {
+  if (!activeObservers.length) {
+    return;
+  }
+  let addedNodes = [];
+  let removedNodes = [];
+  let previousSibling;
+  let nextSibling;
+  if (addedNode) {
+    addedNodes = addedNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE ?
+      utils.arrayFrom(addedNode[utils.SHADY_PREFIX + 'childNodes']) :
+      [addedNode];
+    if (!addedNodes.length) {
+      return;
+    }
+    previousSibling = refNode ? refNode[utils.SHADY_PREFIX + 'previousSibling'] :
+      node[utils.SHADY_PREFIX + 'lastChild'];
+    nextSibling = refNode || null;
+  } else {
+    removedNodes = [removedNode];
+    previousSibling = removedNode[utils.SHADY_PREFIX + 'previousSibling'];
+    nextSibling = removedNode[utils.SHADY_PREFIX + 'nextSibling'];
+  }
+  activeObservers.slice().forEach((observer) => {
+    observer._enqueueChildListRecord(node, addedNodes.slice(),
+      removedNodes.slice(), previousSibling || null, nextSibling || null);
+  });
+}
@@ -12,6 +12,7 @@ import * as utils from './utils.js';
 import {EventTargetPatches} from './patches/EventTarget.js';
 import {NodePatches} from './patches/Node.js';
 import {SlotablePatches} from './patches/Slotable.js';
+import {ChildNodePatches} from './patches/ChildNode.js';
 import {ParentNodePatches, ParentNodeDocumentOrFragmentPatches} from './patches/ParentNode.js';
 import {ElementPatches, ElementShadowPatches} from './patches/Element.js';
 import {ElementOrShadowRootPatches} from './patches/ElementOrShadowRoot.js';
@@ -39,6 +40,7 @@ if (Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'children')) {
 
 if (Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'innerHTML')) {
   NonStandardHTMLElement.innerHTML = ElementOrShadowRootPatches.innerHTML;
+  NonStandardHTMLElement.setHTMLUnsafe = ElementOrShadowRootPatches.setHTMLUnsafe;
 }
 
 if (Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'className')) {
@@ -53,11 +55,11 @@ const ElementShouldHaveInnerHTML = !utils.settings.hasDescriptors || 'innerHTML'
 const patchMap = {
   EventTarget: [EventTargetPatches],
   Node: [NodePatches, !window.EventTarget ? EventTargetPatches : null],
-  Text: [SlotablePatches],
-  Comment: [SlotablePatches],
-  CDATASection: [SlotablePatches],
-  ProcessingInstruction: [SlotablePatches],
-  Element: [ElementPatches, ParentNodePatches, SlotablePatches,
+  Text: [SlotablePatches, ChildNodePatches],
+  Comment: [SlotablePatches, ChildNodePatches],
+  CDATASection: [SlotablePatches, ChildNodePatches],
+  ProcessingInstruction: [SlotablePatches, ChildNodePatches],
+  Element: [ElementPatches, ParentNodePatches, SlotablePatches, ChildNodePatches,
     ElementShouldHaveInnerHTML ? ElementOrShadowRootPatches : null,
     !window.HTMLSlotElement ? SlotPatches : null],
   HTMLElement: [HTMLElementPatches, NonStandardHTMLElement],
@@ -0,0 +1,87 @@
+/**
+@license
+Copyright (c) 2020 The Polymer Project Authors. All rights reserved.
+This code may only be used under the BSD style license found at http://polymer.github.io/LICENSE.txt
+The complete set of authors may be found at http://polymer.github.io/AUTHORS.txt
+The complete set of contributors may be found at http://polymer.github.io/CONTRIBUTORS.txt
+Code distributed by Google as part of the polymer project is also
+subject to an additional IP rights grant found at http://polymer.github.io/PATENTS.txt
+*/
+
+import * as utils from '../utils.js';
+
+/**
+ * Returns the closest sibling of `node` in the given direction which is not
+ * one of `nodes`.
+ * @param {!Node} node
+ * @param {!Array<!Node|string>} nodes
+ * @param {string} direction 'previousSibling' or 'nextSibling'
+ * @return {?Node}
+ */
+function viableSibling(node, nodes, direction) {
+  let sibling = node[utils.SHADY_PREFIX + direction];
+  while (sibling && nodes.indexOf(sibling) >= 0) {
+    sibling = sibling[utils.SHADY_PREFIX + direction];
+  }
+  return sibling;
+}
+
+// Needed on Element and CharacterData (Text, Comment, etc.)
+export const ChildNodePatches = utils.getOwnPropertyDescriptors({
+
+  /**
+   * @this {Element}
+   * @param {...(!Node|string)} nodes
+   */
+  before(...nodes) {
+    const parent = this[utils.SHADY_PREFIX + 'parentNode'];
+    if (!parent) {
+      return;
+    }
+    const previous = viableSibling(this, nodes, 'previousSibling');
+    const node = utils.convertNodesIntoANode(nodes,
+      /** @type {!Document} */(this.ownerDocument));
+    // the viable previous sibling may have moved into `node`, so look up the
+    // reference node after conversion.
+    const refNode = previous ? previous[utils.SHADY_PREFIX + 'nextSibling'] :
+      parent[utils.SHADY_PREFIX + 'firstChild'];
+    parent[utils.SHADY_PREFIX + 'insertBefore'](node, refNode);
+  },
+
+  /**
+   * @this {Element}
+   * @param {...(!Node|string)} nodes
+   */
+  after(...nodes) {
+    const parent = this[utils.SHADY_PREFIX + 'parentNode'];
+    if (!parent) {
+      return;
+    }
+    const next = viableSibling(this, nodes, 'nextSibling');
+    const node = utils.convertNodesIntoANode(nodes,
+      /** @type {!Document} */(this.ownerDocument));
+    parent[utils.SHADY_PREFIX + 'insertBefore'](node, next);
+  },
+
+  /**
+   * @this {Element}
+   * @param {...(!Node|string)} nodes
+   */
+  replaceWith(...nodes) {
+    const parent = this[utils.SHADY_PREFIX + 'parentNode'];
+    if (!parent) {
+      return;
+    }
+    const next = viableSibling(this, nodes, 'nextSibling');
+    const node = utils.convertNodesIntoANode(nodes,
+      /** @type {!Document} */(this.ownerDocument));
+    if (this[utils.SHADY_PREFIX + 'parentNode'] === parent) {
+      if (node !== this) {
+        parent[utils.SHADY_PREFIX + 'replaceChild'](node, this);
+      }
+    } else {
+      parent[utils.SHADY_PREFIX + 'insertBefore'](node, next);
+    }
+  }
+
+});
@@ -11,6 +11,7 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 import * as utils from '../utils.js';
 import {getInnerHTML} from '../innerHTML.js';
 import {clearNode} from './Node.js';
+import {attachDeclarativeShadowRoots} from '../declarative-shadow-dom.js';
 
 /** @type {!Document} */
 const inertDoc = document.implementation.createHTMLDocument('inert');
@@ -54,6 +55,18 @@ export const ElementOrShadowRootPatches = utils.getOwnPropertyDescriptors({
         this[utils.SHADY_PREFIX + 'insertBefore'](firstChild);
       }
     }
+  },
+
+  /**
+   * Like setting `innerHTML`, but also converts declarative
+   * `<template shadowrootmode>` elements into shadow roots.
+   * @this {Element}
+   * @param {string} html
+   */
+  setHTMLUnsafe(html) {
+    this[utils.SHADY_PREFIX + 'innerHTML'] = html;
+    attachDeclarativeShadowRoots(this.localName === 'template' ?
+      /** @type {!HTMLTemplateElement} */(this).content : this);
   }
 
 });
@@ -11,9 +11,24 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 import * as utils from '../utils.js';
 import {eventPropertyNamesForHTMLElement, wrappedDescriptorForEventProperty} from '../patch-events.js';
 import {shadyDataForNode} from '../shady-data.js';
+import {focusDelegatingHost} from '../delegates-focus.js';
 
 export const HTMLElementPatches = utils.getOwnPropertyDescriptors({
 
+  /**
+   * @this {HTMLElement}
+   * @param {Object=} options
+   */
+  focus(options) {
+    const nodeData = shadyDataForNode(this);
+    const root = nodeData && nodeData.root;
+    if (root && root.delegatesFocus) {
+      focusDelegatingHost(this, options);
+    } else {
+      this[utils.NATIVE_PREFIX + 'focus'](options);
+    }
+  },
+
   /** @this {HTMLElement} */
   blur() {
     const nodeData = shadyDataForNode(this);
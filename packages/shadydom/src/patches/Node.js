@@ -14,6 +14,7 @@ import {getScopingShim, removeShadyScoping, replaceShadyScoping,
 import {shadyDataForNode, ensureShadyDataForNode} from '../shady-data.js';
 import {recordInsertBefore, recordRemoveChild} from '../link-nodes.js';
 import {ownerShadyRootForNode} from '../attach-shadow.js';
+import {queueChildListMutation, withoutChildListRecords} from '../observe-changes.js';
 
 const doc = window.document;
 
@@ -332,6 +333,7 @@ export const NodePatches = utils.getOwnPropertyDescriptors({
       ownerRoot._asyncRender();
     }
     if (utils.isTrackingLogicalChildNodes(this)) {
+      queueChildListMutation(this, node, null, ref_node);
       recordInsertBefore(node, this, ref_node);
       const parentData = shadyDataForNode(this);
       // if the node being inserted into has a shadowRoot, do not perform
@@ -356,12 +358,21 @@ export const NodePatches = utils.getOwnPropertyDescriptors({
       // if adding to a shadyRoot, add to host instead
       let container = utils.isShadyRoot(this) ?
         /** @type {ShadowRoot} */(this).host : this;
-      // if ref_node, get the ref_node that's actually in composed dom.
-      if (ref_node) {
-        ref_node = firstComposedNode(ref_node);
-        container[utils.NATIVE_PREFIX + 'insertBefore'](node, ref_node);
+      const nativeInsert = () => {
+        // if ref_node, get the ref_node that's actually in composed dom.
+        if (ref_node) {
+          ref_node = firstComposedNode(ref_node);
+          container[utils.NATIVE_PREFIX + 'insertBefore'](node, ref_node);
+        } else {
+          container[utils.NATIVE_PREFIX + 'appendChild'](node);
+        }
+      };
+      // the logical mutation has already been queued for observers if this
+      // node tracks its logical children.
+      if (utils.isTrackingLogicalChildNodes(this)) {
+        withoutChildListRecords(nativeInsert);
       } else {
-        container[utils.NATIVE_PREFIX + 'appendChild'](node);
+        nativeInsert();
       }
     // Since ownerDocument is not patched, it can be incorrect after this call
     // if the node is physically appended via distribution. This can result
@@ -407,6 +418,7 @@ export const NodePatches = utils.getOwnPropertyDescriptors({
     const removingInsertionPoint = ownerRoot && ownerRoot._removeContainedSlots(node);
     const parentData = shadyDataForNode(this);
     if (utils.isTrackingLogicalChildNodes(this)) {
+      queueChildListMutation(this, null, node);
       recordRemoveChild(node, this);
       if (utils.hasShadowRootWithSlot(this)) {
         parentData.root._asyncRender();
@@ -444,7 +456,12 @@ export const NodePatches = utils.getOwnPropertyDescriptors({
       // (2) if parent is a slot, element may not ben in composed dom
       if (!(parentData.root || node.localName === 'slot') ||
         (container === node[utils.NATIVE_PREFIX + 'parentNode'])) {
-        container[utils.NATIVE_PREFIX + 'removeChild'](node);
+        if (utils.isTrackingLogicalChildNodes(this)) {
+          withoutChildListRecords(() =>
+            container[utils.NATIVE_PREFIX + 'removeChild'](node));
+        } else {
+          container[utils.NATIVE_PREFIX + 'removeChild'](node);
+        }
       }
     }
     return node;
@@ -44,6 +44,15 @@ function queryElement(node, matcher, halter, list) {
     halter, list);
 }
 
+/**
+ * @param {!Node} node
+ * @return {!Document}
+ */
+function ownerDocumentForNode(node) {
+  return /** @type {!Document} */(node.nodeType === Node.DOCUMENT_NODE ?
+    node : node.ownerDocument);
+}
+
 // Needed on Element, DocumentFragment, Document
 export const ParentNodePatches = utils.getOwnPropertyDescriptors({
 
@@ -93,10 +102,80 @@ export const ParentNodePatches = utils.getOwnPropertyDescriptors({
       return children.length;
     }
     return 0;
+  },
+
+  /**
+   * @this {Element}
+   * @param {...(!Node|string)} nodes
+   */
+  append(...nodes) {
+    const node = utils.convertNodesIntoANode(nodes, ownerDocumentForNode(this));
+    this[utils.SHADY_PREFIX + 'insertBefore'](node, null);
+  },
+
+  /**
+   * @this {Element}
+   * @param {...(!Node|string)} nodes
+   */
+  prepend(...nodes) {
+    const node = utils.convertNodesIntoANode(nodes, ownerDocumentForNode(this));
+    this[utils.SHADY_PREFIX + 'insertBefore'](node,
+      this[utils.SHADY_PREFIX + 'firstChild']);
+  },
+
+  /**
+   * @this {Element}
+   * @param {...(!Node|string)} nodes
+   */
+  replaceChildren(...nodes) {
+    const node = utils.convertNodesIntoANode(nodes, ownerDocumentForNode(this));
+    // Check that the node can be inserted before removing the children, so
+    // that they're left in place if it can't.
+    ensureReplaceAllValidity(this, node);
+    let child;
+    while ((child = this[utils.SHADY_PREFIX + 'firstChild'])) {
+      this[utils.SHADY_PREFIX + 'removeChild'](child);
+    }
+    this[utils.SHADY_PREFIX + 'insertBefore'](node, null);
   }
 
 });
 
+/**
+ * Throws if `node` can't replace all of the children of `parent`.
+ * @see https://dom.spec.whatwg.org/#concept-node-ensure-pre-insertion-validity
+ * @param {!Node} parent
+ * @param {!Node} node
+ */
+function ensureReplaceAllValidity(parent, node) {
+  const message = `Failed to execute 'replaceChildren' on 'ParentNode': `;
+  for (let n = parent; n; n = n[utils.SHADY_PREFIX + 'parentNode'] ||
+      (utils.isShadyRoot(n) ? n.host : null)) {
+    if (n === node) {
+      throw Error(message + 'The new child element contains the parent.');
+    }
+  }
+  const type = node.nodeType;
+  const isDocument = parent.nodeType === Node.DOCUMENT_NODE;
+  if (type === Node.DOCUMENT_NODE || type === Node.ATTRIBUTE_NODE ||
+      (type === Node.DOCUMENT_TYPE_NODE && !isDocument) ||
+      (type === Node.TEXT_NODE && isDocument)) {
+    throw Error(message + `Nodes of type '${node.nodeName}' may not be ` +
+      `inserted inside nodes of type '${parent.nodeName}'.`);
+  }
+  if (isDocument && type === Node.DOCUMENT_FRAGMENT_NODE) {
+    let elements = 0;
+    for (let n = node[utils.SHADY_PREFIX + 'firstChild']; n;
+      n = n[utils.SHADY_PREFIX + 'nextSibling']) {
+      if (n.nodeType === Node.TEXT_NODE ||
+          (n.nodeType === Node.ELEMENT_NODE && ++elements > 1)) {
+        throw Error(message + 'Only one element and no text may be ' +
+          'inserted in a Document.');
+      }
+    }
+  }
+}
+
 export const QueryPatches = utils.getOwnPropertyDescriptors({
   // TODO(sorvell): consider doing native QSA and filtering results.
   /**
@@ -9,8 +9,20 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 */
 
 import * as utils from '../utils.js';
-import {shadyDataForNode} from '../shady-data.js';
+import {shadyDataForNode, ensureShadyDataForNode} from '../shady-data.js';
 import {addEventListener, removeEventListener} from '../patch-events.js';
+import {ownerShadyRootForNode} from '../attach-shadow.js';
+
+/**
+ * Schedules rendering of the root containing `slot`, if any.
+ * @param {Node} slot
+ */
+function renderRootForSlot(slot) {
+  const root = ownerShadyRootForNode(slot);
+  if (root) {
+    root._asyncRender();
+  }
+}
 
 export const SlotPatches = utils.getOwnPropertyDescriptors({
 
@@ -34,6 +46,58 @@ export const SlotPatches = utils.getOwnPropertyDescriptors({
     }
   },
 
+  /**
+   * @this {HTMLSlotElement}
+   * @param {Object=} options
+   */
+  assignedElements(options) {
+    if (this.localName === 'slot') {
+      return this[utils.SHADY_PREFIX + 'assignedNodes'](options).filter(
+        (n) => n.nodeType === Node.ELEMENT_NODE);
+    }
+  },
+
+  /**
+   * Sets the nodes manually assigned to this slot. The nodes are only
+   * distributed to the slot if it is in a shadowRoot attached with
+   * `slotAssignment: 'manual'` and they are children of its host.
+   * @this {HTMLSlotElement}
+   * @param {...!Node} nodes
+   */
+  assign(...nodes) {
+    if (this.localName === 'slot') {
+      const slotData = ensureShadyDataForNode(this);
+      const previous = slotData.manuallyAssignedNodes;
+      if (previous) {
+        for (let i=0; i < previous.length; i++) {
+          shadyDataForNode(previous[i]).manualSlot = null;
+        }
+      }
+      const assigned = [];
+      for (let i=0; i < nodes.length; i++) {
+        const node = nodes[i];
+        const nodeData = ensureShadyDataForNode(node);
+        // a node can only be manually assigned to one slot at a time.
+        // a node given twice is already assigned to this slot.
+        const oldSlot = nodeData.manualSlot;
+        if (oldSlot && oldSlot !== this) {
+          const oldAssigned = shadyDataForNode(oldSlot).manuallyAssignedNodes;
+          const index = oldAssigned.indexOf(node);
+          if (index !== -1) {
+            oldAssigned.splice(index, 1);
+          }
+          renderRootForSlot(oldSlot);
+        }
+        nodeData.manualSlot = this;
+        if (assigned.indexOf(node) < 0) {
+          assigned.push(node);
+        }
+      }
+      slotData.manuallyAssignedNodes = assigned;
+      renderRootForSlot(this);
+    }
+  },
+
   /**
    * @this {HTMLSlotElement}
    * @param {string} type
@@ -20,11 +20,13 @@ subject to an additional IP rights grant found at http://polymer.github.io/PATEN
 
 import * as utils from './utils.js';
 import {flush, enqueue} from './flush.js';
-import {observeChildren, unobserveChildren, filterMutations} from './observe-changes.js';
+import {observeChildren, unobserveChildren, filterMutations, ShadyMutationObserver} from './observe-changes.js';
 import {addNativePrefixedProperties, nativeMethods, nativeTree} from './patch-native.js';
 import {patchInsideElementAccessors, patchOutsideElementAccessors} from './patch-instances.js';
 import {patchEvents, patchClick, composedPath} from './patch-events.js';
 import {ShadyRoot} from './attach-shadow.js';
+import {trackFocus} from './delegates-focus.js';
+import {attachDocumentDeclarativeShadowRoots, parseHTMLUnsafe} from './declarative-shadow-dom.js';
 import {wrap, Wrapper} from './wrapper.js';
 import {addShadyPrefixedProperties, applyPatches, patchShadowOnElement, patchElementProto} from './patch-prototypes.js';
 
@@ -58,6 +60,13 @@ if (utils.settings.inUse) {
     'filterMutations': filterMutations,
     'observeChildren': observeChildren,
     'unobserveChildren': unobserveChildren,
+    // A MutationObserver which reports mutations of the logical tree. This is
+    // installed as `window.MutationObserver` unless `noPatch` is set.
+    'MutationObserver': ShadyMutationObserver,
+    // Parses HTML into a new document, converting declarative
+    // `<template shadowrootmode>` elements into shadow roots. This is
+    // installed as `Document.parseHTMLUnsafe` unless `noPatch` is set.
+    'parseHTMLUnsafe': parseHTMLUnsafe,
     // Set to true to defer native custom elements connection until the
     // document has fully parsed. This enables custom elements that create
     // shadowRoots to be defined while the document is loading. Elements
@@ -150,6 +159,10 @@ if (utils.settings.inUse) {
     applyPatches();
     // Patch click event behavior only if we're patching
     patchClick()
+    // Observe the logical tree with MutationObserver only if we're patching
+    window.MutationObserver =
+      /** @type {typeof MutationObserver} */(ShadyMutationObserver);
+    Document.parseHTMLUnsafe = parseHTMLUnsafe;
   } else if (utils.settings.patchOnDemand) {
     // In `on-demand` patching, do patch `attachShadow` and `shadowRoot`.
     // These are the only patched properties in `on-demand` mode and these
@@ -164,5 +177,13 @@ if (utils.settings.inUse) {
   // (e.g. `ShadyDOM.wrap(element).addEventListener(...)`).
   patchEvents();
 
+  // Reflects `:focus` and `:focus-within` onto shadow hosts and forwards
+  // focus for hosts that delegate it.
+  trackFocus();
+
+  // Converts `<template shadowrootmode>` elements in the main document into
+  // shadow roots once it has been parsed.
+  attachDocumentDeclarativeShadowRoots();
+
   window.ShadowRoot = /** @type {function(new:ShadowRoot)} */(ShadyRoot);
 }
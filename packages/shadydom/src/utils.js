@@ -230,3 +230,24 @@ export const assign = (target, source) => {
 export const arrayFrom = (object) => {
   return [].slice.call(/** @type {IArrayLike} */(object));
 };
+
+/**
+ * Converts the arguments of the `ParentNode` and `ChildNode` mutation methods
+ * (e.g. `append`, `before`) into a single node: strings become Text nodes and
+ * multiple nodes are moved into a DocumentFragment.
+ * @param {!Array<!Node|string>} nodes
+ * @param {!Document} ownerDocument
+ * @return {!Node}
+ */
+export const convertNodesIntoANode = (nodes, ownerDocument) => {
+  const toNode = (node) => typeof node === 'string' ?
+    ownerDocument.createTextNode(node) : node;
+  if (nodes.length === 1) {
+    return toNode(nodes[0]);
+  }
+  const fragment = ownerDocument.createDocumentFragment();
+  for (let i = 0; i < nodes.length; i++) {
+    fragment[SHADY_PREFIX + 'appendChild'](toNode(nodes[i]));
+  }
+  return fragment;
+};
@@ -44,6 +44,30 @@ class Wrapper {
     return this.node[utils.SHADY_PREFIX + 'replaceChild'](node, ref_node);
   }
 
+  append(...nodes) {
+    return this.node[utils.SHADY_PREFIX + 'append'](...nodes);
+  }
+
+  prepend(...nodes) {
+    return this.node[utils.SHADY_PREFIX + 'prepend'](...nodes);
+  }
+
+  replaceChildren(...nodes) {
+    return this.node[utils.SHADY_PREFIX + 'replaceChildren'](...nodes);
+  }
+
+  before(...nodes) {
+    return this.node[utils.SHADY_PREFIX + 'before'](...nodes);
+  }
+
+  after(...nodes) {
+    return this.node[utils.SHADY_PREFIX + 'after'](...nodes);
+  }
+
+  replaceWith(...nodes) {
+    return this.node[utils.SHADY_PREFIX + 'replaceWith'](...nodes);
+  }
+
   cloneNode(deep) {
     return this.node[utils.SHADY_PREFIX + 'cloneNode'](deep);
   }
@@ -103,10 +127,9 @@ class Wrapper {
     return this.activeElement;
   }
 
-  // NOTE: not needed, just here for balance
   /** @override */
-  focus() {
-    this.node[utils.NATIVE_PREFIX + 'focus']();
+  focus(options) {
+    this.node[utils.SHADY_PREFIX + 'focus'](options);
   }
 
   blur() {
@@ -142,6 +165,18 @@ class Wrapper {
     }
   }
 
+  assignedElements(options) {
+    if (this.node.localName === 'slot') {
+      return this.node[utils.SHADY_PREFIX + 'assignedElements'](options);
+    }
+  }
+
+  assign(...nodes) {
+    if (this.node.localName === 'slot') {
+      this.node[utils.SHADY_PREFIX + 'assign'](...nodes);
+    }
+  }
+
   get host() {
     if (utils.isShadyRoot(this.node)) {
       return /** @type {!ShadowRoot} */(this.node).host;
@@ -221,6 +256,10 @@ class Wrapper {
     this.node[utils.SHADY_PREFIX + 'innerHTML'] = value;
   }
 
+  setHTMLUnsafe(html) {
+    this.node[utils.SHADY_PREFIX + 'setHTMLUnsafe'](html);
+  }
+
   get textContent() {
     return this.node[utils.SHADY_PREFIX + 'textContent'];
   }
@@ -25,7 +25,8 @@ const modules = [
   'svg-in-shadow',
   'style-util',
   'style-transformer',
-  'style-settings'
+  'style-settings',
+  'style-cache'
 ];
 
 const moduleTasks = modules.map((m) => {
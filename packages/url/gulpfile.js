@@ -15,7 +15,7 @@ const sourcemaps = require('gulp-sourcemaps');
 const closureCompiler = compilerPackage.gulp();
 
 gulp.task('default', () => {
- return gulp.src('./url.js', {base: './'})
+ return gulp.src(['./url.js', './urlpattern.js'], {base: './'})
    .pipe(sourcemaps.init())
    .pipe(closureCompiler({
      compilation_level: 'ADVANCED',
@@ -23,7 +23,7 @@ gulp.task('default', () => {
      language_in: 'ECMASCRIPT6_STRICT',
      language_out: 'ECMASCRIPT5_STRICT',
      dependency_mode: 'STRICT',
-     entry_point: ['/url'],
+     entry_point: ['/url', '/urlpattern'],
      js_output_file: 'url.min.js',
      output_wrapper: '(function(){\n%output%\n}).call(self);',
      assume_function_wrapper: true,
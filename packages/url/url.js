@@ -17,9 +17,6 @@ Window.prototype.forceJURL = false;
     } catch(e) {}
   }
 
-  if (hasWorkingUrl)
-    return;
-
   var relative = Object.create(null);
   relative['ftp'] = 21;
   relative['file'] = 0;
@@ -44,12 +41,525 @@ Window.prototype.forceJURL = false;
     this._isInvalid = true;
   }
 
-  function IDNAToASCII(h) {
-    if ('' == h) {
-      invalid.call(this)
+  // C0 controls, space, # % / : < > ? @ [ \ ] ^ | and U+007F.
+  var FORBIDDEN_DOMAIN_CODE_POINT = /[\u0000- #%\/:<>\?@\[\\\]\^\|\u007F]/;
+
+  // U+0000, tab, LF, CR, space, # / : < > ? @ [ \ ] ^ |
+  var FORBIDDEN_HOST_CODE_POINT = /[\u0000\t\n\r #\/:<>\?@\[\\\]\^\|]/;
+
+  var PUNYCODE_BASE = 36,
+      PUNYCODE_TMIN = 1,
+      PUNYCODE_TMAX = 26,
+      PUNYCODE_SKEW = 38,
+      PUNYCODE_DAMP = 700,
+      PUNYCODE_INITIAL_BIAS = 72,
+      PUNYCODE_INITIAL_N = 128,
+      PUNYCODE_MAX_INT = 0x7FFFFFFF;
+
+  function toCodePoints(input) {
+    var codePoints = [];
+    for (var i = 0; i < input.length; i++) {
+      var c = input.charCodeAt(i);
+      if (c >= 0xD800 && c <= 0xDBFF && i + 1 < input.length) {
+        var next = input.charCodeAt(i + 1);
+        if (next >= 0xDC00 && next <= 0xDFFF) {
+          c = (c - 0xD800) * 0x400 + next - 0xDC00 + 0x10000;
+          i++;
+        }
+      }
+      codePoints.push(c);
+    }
+    return codePoints;
+  }
+
+  function fromCodePoints(codePoints) {
+    var output = '';
+    for (var i = 0; i < codePoints.length; i++) {
+      var c = codePoints[i];
+      if (c > 0xFFFF) {
+        c -= 0x10000;
+        output += String.fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+      } else {
+        output += String.fromCharCode(c);
+      }
+    }
+    return output;
+  }
+
+  // https://tools.ietf.org/html/rfc3492#section-6.1
+  function adaptPunycodeBias(delta, numPoints, firstTime) {
+    delta = firstTime ? Math.floor(delta / PUNYCODE_DAMP) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    var k = 0;
+    while (delta > ((PUNYCODE_BASE - PUNYCODE_TMIN) * PUNYCODE_TMAX) >> 1) {
+      delta = Math.floor(delta / (PUNYCODE_BASE - PUNYCODE_TMIN));
+      k += PUNYCODE_BASE;
+    }
+    return k + Math.floor((PUNYCODE_BASE - PUNYCODE_TMIN + 1) * delta /
+        (delta + PUNYCODE_SKEW));
+  }
+
+  function punycodeThreshold(k, bias) {
+    return k <= bias ? PUNYCODE_TMIN :
+        k >= bias + PUNYCODE_TMAX ? PUNYCODE_TMAX : k - bias;
+  }
+
+  function punycodeDigit(d) {
+    // 0..25 map to a..z, 26..35 map to 0..9
+    return String.fromCharCode(d < 26 ? d + 97 : d + 22);
+  }
+
+  // https://tools.ietf.org/html/rfc3492#section-6.3
+  function punycodeEncode(input) {
+    var codePoints = toCodePoints(input);
+    var n = PUNYCODE_INITIAL_N,
+        delta = 0,
+        bias = PUNYCODE_INITIAL_BIAS,
+        output = '';
+    for (var i = 0; i < codePoints.length; i++) {
+      if (codePoints[i] < 0x80)
+        output += String.fromCharCode(codePoints[i]);
+    }
+    var basicLength = output.length;
+    var handled = basicLength;
+    if (basicLength)
+      output += '-';
+    while (handled < codePoints.length) {
+      var m = PUNYCODE_MAX_INT;
+      for (i = 0; i < codePoints.length; i++) {
+        if (codePoints[i] >= n && codePoints[i] < m)
+          m = codePoints[i];
+      }
+      if (m - n > Math.floor((PUNYCODE_MAX_INT - delta) / (handled + 1)))
+        return null;
+      delta += (m - n) * (handled + 1);
+      n = m;
+      for (i = 0; i < codePoints.length; i++) {
+        var c = codePoints[i];
+        if (c < n && ++delta > PUNYCODE_MAX_INT)
+          return null;
+        if (c == n) {
+          var q = delta;
+          for (var k = PUNYCODE_BASE; ; k += PUNYCODE_BASE) {
+            var t = punycodeThreshold(k, bias);
+            if (q < t)
+              break;
+            output += punycodeDigit(t + (q - t) % (PUNYCODE_BASE - t));
+            q = Math.floor((q - t) / (PUNYCODE_BASE - t));
+          }
+          output += punycodeDigit(q);
+          bias = adaptPunycodeBias(delta, handled + 1, handled == basicLength);
+          delta = 0;
+          handled++;
+        }
+      }
+      delta++;
+      n++;
+    }
+    return output;
+  }
+
+  // https://tools.ietf.org/html/rfc3492#section-6.2
+  function punycodeDecode(input) {
+    var output = [];
+    var basicLength = Math.max(input.lastIndexOf('-'), 0);
+    for (var j = 0; j < basicLength; j++) {
+      if (input.charCodeAt(j) >= 0x80)
+        return null;
+      output.push(input.charCodeAt(j));
+    }
+    var n = PUNYCODE_INITIAL_N,
+        i = 0,
+        bias = PUNYCODE_INITIAL_BIAS;
+    for (var index = basicLength ? basicLength + 1 : 0; index < input.length;) {
+      var oldi = i;
+      for (var w = 1, k = PUNYCODE_BASE; ; k += PUNYCODE_BASE) {
+        if (index >= input.length)
+          return null;
+        var c = input.charCodeAt(index++);
+        var digit = c - 48 < 10 ? c - 22 : c - 65 < 26 ? c - 65 :
+            c - 97 < 26 ? c - 97 : PUNYCODE_BASE;
+        if (digit >= PUNYCODE_BASE || digit * w > PUNYCODE_MAX_INT - i)
+          return null;
+        i += digit * w;
+        var t = punycodeThreshold(k, bias);
+        if (digit < t)
+          break;
+        w *= PUNYCODE_BASE - t;
+      }
+      var length = output.length + 1;
+      bias = adaptPunycodeBias(i - oldi, length, oldi == 0);
+      n += Math.floor(i / length);
+      i %= length;
+      // Surrogates are disallowed in domains, and would be lost as a pair.
+      if (n > 0x10FFFF || (n >= 0xD800 && n <= 0xDFFF))
+        return null;
+      output.splice(i++, 0, n);
+    }
+    return fromCodePoints(output);
+  }
+
+  // Characters UTS #46 maps to nothing.
+  var IDNA_IGNORED = /[\u00AD\u034F\u180B-\u180D\u200B\u2060\uFE00-\uFE0F\uFEFF]/g;
+
+  // Characters UTS #46 maps to U+002E (.).
+  var IDNA_FULL_STOPS = /[\u3002\uFF0E\uFF61]/g;
+
+  // Characters a label decoded from Punycode can't contain: full stops and
+  // code points UTS #46 disallows (C1 controls, U+FFFD and noncharacters).
+  var IDNA_INVALID_DECODED = /[.\u0080-\u009F\uFDD0-\uFDEF\uFFFD-\uFFFF]/;
+
+  // Marks can't start a label. This checks the combining mark blocks, which
+  // hold the marks that are commonly found.
+  var IDNA_LEADING_MARK =
+      /^[\u0300-\u036F\u0483-\u0489\u0591-\u05BD\u1AB0-\u1AFF\u1DC0-\u1DFF\u20D0-\u20FF\uFE20-\uFE2F]/;
+
+  /**
+   * Maps a domain as UTS #46 does, approximated by NFKC normalization and
+   * lowercasing, which agree with it for the vast majority of code points.
+   * NFKC is skipped where `String.prototype.normalize` is unavailable (IE).
+   * @param {string} domain
+   * @return {string}
+   */
+  function mapDomain(domain) {
+    var mapped = domain.replace(IDNA_IGNORED, '');
+    if (mapped.normalize) {
+      mapped = mapped.normalize('NFKC');
+    }
+    mapped = mapped.toLowerCase().replace(IDNA_FULL_STOPS, '.');
+    if (mapped.normalize) {
+      mapped = mapped.normalize('NFC');
+    }
+    return mapped;
+  }
+
+  /**
+   * Returns true if a label decoded from Punycode meets the UTS #46 validity
+   * criteria: the mapping leaves it unchanged (so it is in NFC and has no
+   * mapped or ignored code points), it has no disallowed code points and it
+   * doesn't start with a mark.
+   * @param {string} label
+   * @return {boolean}
+   */
+  function isValidDecodedLabel(label) {
+    return mapDomain(label) == label && !IDNA_INVALID_DECODED.test(label) &&
+        !IDNA_LEADING_MARK.test(label);
+  }
+
+  /**
+   * https://url.spec.whatwg.org/#concept-domain-to-ascii
+   * @param {string} domain
+   * @param {function(string, number=)} err
+   * @return {?string}
+   */
+  function domainToASCII(domain, err) {
+    var labels = mapDomain(domain).split('.');
+    for (var i = 0; i < labels.length; i++) {
+      var label = labels[i];
+      if ('xn--' == label.slice(0, 4)) {
+        var decoded = punycodeDecode(label.slice(4));
+        if (!decoded || !/[^\u0000-\u007F]/.test(decoded) ||
+            !isValidDecodedLabel(decoded)) {
+          err('domain-to-ASCII');
+          return null;
+        }
+      } else if (/[^\u0000-\u007F]/.test(label)) {
+        var encoded = punycodeEncode(label);
+        if (encoded === null) {
+          err('domain-to-ASCII');
+          return null;
+        }
+        labels[i] = 'xn--' + encoded;
+      }
+    }
+    var result = labels.join('.');
+    if ('' == result) {
+      err('domain-to-ASCII');
+      return null;
+    }
+    return result;
+  }
+
+  // https://url.spec.whatwg.org/#ends-in-a-number-checker
+  function endsInANumber(input) {
+    var parts = input.split('.');
+    if ('' == parts[parts.length - 1]) {
+      if (parts.length == 1)
+        return false;
+      parts.pop();
+    }
+    var last = parts[parts.length - 1];
+    return /^[0-9]+$/.test(last) || parseIPv4Number(last) !== null;
+  }
+
+  // https://url.spec.whatwg.org/#ipv4-number-parser
+  function parseIPv4Number(input) {
+    if ('' == input)
+      return null;
+    var radix = 10;
+    if (/^0[xX]/.test(input)) {
+      input = input.slice(2);
+      radix = 16;
+    } else if (input.length > 1 && '0' == input[0]) {
+      input = input.slice(1);
+      radix = 8;
+    }
+    if ('' == input)
+      return 0;
+    var digits = radix == 16 ? /^[0-9a-fA-F]+$/ :
+        radix == 8 ? /^[0-7]+$/ : /^[0-9]+$/;
+    return digits.test(input) ? parseInt(input, radix) : null;
+  }
+
+  // https://url.spec.whatwg.org/#concept-ipv4-parser
+  function parseIPv4(input, err) {
+    var parts = input.split('.');
+    if ('' == parts[parts.length - 1] && parts.length > 1) {
+      err('IPv4-empty-part');
+      parts.pop();
+    }
+    if (parts.length > 4) {
+      err('IPv4-too-many-parts');
+      return null;
+    }
+    var numbers = [];
+    for (var i = 0; i < parts.length; i++) {
+      var n = parseIPv4Number(parts[i]);
+      if (n === null) {
+        err('IPv4-non-numeric-part');
+        return null;
+      }
+      if (/^0./.test(parts[i])) {
+        err('IPv4-non-decimal-part');
+      }
+      numbers.push(n);
+    }
+    var last = numbers.pop();
+    for (i = 0; i < numbers.length; i++) {
+      if (numbers[i] > 255) {
+        err('IPv4-out-of-range-part');
+        return null;
+      }
+    }
+    if (last >= Math.pow(256, 4 - numbers.length)) {
+      err('IPv4-out-of-range-part');
+      return null;
+    }
+    var ipv4 = last;
+    for (i = 0; i < numbers.length; i++) {
+      ipv4 += numbers[i] * Math.pow(256, 3 - i);
+    }
+    return ipv4;
+  }
+
+  // https://url.spec.whatwg.org/#concept-ipv4-serializer
+  function serializeIPv4(address) {
+    var output = [];
+    for (var i = 0; i < 4; i++) {
+      output.unshift(String(address % 256));
+      address = Math.floor(address / 256);
+    }
+    return output.join('.');
+  }
+
+  // https://url.spec.whatwg.org/#concept-ipv6-parser
+  function parseIPv6(input, err) {
+    var address = [0, 0, 0, 0, 0, 0, 0, 0],
+        pieceIndex = 0,
+        compress = null,
+        pointer = 0,
+        HEX = /[0-9a-fA-F]/,
+        DIGIT = /[0-9]/;
+    function fail(type) {
+      err(type, pointer);
+      return null;
+    }
+    if (':' == input[pointer]) {
+      if (':' != input[pointer + 1])
+        return fail('IPv6-invalid-compression');
+      pointer += 2;
+      compress = ++pieceIndex;
+    }
+    while (EOF != input[pointer]) {
+      if (pieceIndex == 8)
+        return fail('IPv6-too-many-pieces');
+      if (':' == input[pointer]) {
+        if (compress !== null)
+          return fail('IPv6-multiple-compression');
+        pointer++;
+        compress = ++pieceIndex;
+        continue;
+      }
+      var value = 0,
+          length = 0;
+      while (length < 4 && input[pointer] && HEX.test(input[pointer])) {
+        value = value * 0x10 + parseInt(input[pointer], 16);
+        pointer++;
+        length++;
+      }
+      if ('.' == input[pointer]) {
+        if (length == 0)
+          return fail('IPv4-in-IPv6-invalid-code-point');
+        pointer -= length;
+        if (pieceIndex > 6)
+          return fail('IPv4-in-IPv6-too-many-pieces');
+        var numbersSeen = 0;
+        while (EOF != input[pointer]) {
+          var ipv4Piece = null;
+          if (numbersSeen > 0) {
+            if ('.' == input[pointer] && numbersSeen < 4)
+              pointer++;
+            else
+              return fail('IPv4-in-IPv6-invalid-code-point');
+          }
+          if (!input[pointer] || !DIGIT.test(input[pointer]))
+            return fail('IPv4-in-IPv6-invalid-code-point');
+          while (input[pointer] && DIGIT.test(input[pointer])) {
+            var number = parseInt(input[pointer], 10);
+            if (ipv4Piece === null)
+              ipv4Piece = number;
+            else if (ipv4Piece == 0)
+              return fail('IPv4-in-IPv6-invalid-code-point');
+            else
+              ipv4Piece = ipv4Piece * 10 + number;
+            if (ipv4Piece > 255)
+              return fail('IPv4-in-IPv6-out-of-range-part');
+            pointer++;
+          }
+          address[pieceIndex] = address[pieceIndex] * 0x100 + ipv4Piece;
+          numbersSeen++;
+          if (numbersSeen == 2 || numbersSeen == 4)
+            pieceIndex++;
+        }
+        if (numbersSeen != 4)
+          return fail('IPv4-in-IPv6-too-few-parts');
+        break;
+      } else if (':' == input[pointer]) {
+        pointer++;
+        if (EOF == input[pointer])
+          return fail('IPv6-invalid-code-point');
+      } else if (EOF != input[pointer]) {
+        return fail('IPv6-invalid-code-point');
+      }
+      address[pieceIndex++] = value;
+    }
+    if (compress !== null) {
+      var swaps = pieceIndex - compress;
+      pieceIndex = 7;
+      while (pieceIndex != 0 && swaps > 0) {
+        var temp = address[pieceIndex];
+        address[pieceIndex] = address[compress + swaps - 1];
+        address[compress + swaps - 1] = temp;
+        pieceIndex--;
+        swaps--;
+      }
+    } else if (pieceIndex != 8) {
+      return fail('IPv6-too-few-pieces');
+    }
+    return address;
+  }
+
+  // https://url.spec.whatwg.org/#concept-ipv6-serializer
+  function serializeIPv6(address) {
+    // Compress the first longest run of two or more zero pieces.
+    var compress = null,
+        longest = 1;
+    for (var i = 0; i < 8; i++) {
+      var start = i;
+      while (i < 8 && address[i] === 0)
+        i++;
+      if (i - start > longest) {
+        longest = i - start;
+        compress = start;
+      }
     }
-    // XXX
-    return h.toLowerCase()
+    var output = '';
+    for (var pieceIndex = 0; pieceIndex < 8; pieceIndex++) {
+      if (compress !== null && pieceIndex >= compress &&
+          pieceIndex < compress + longest) {
+        if (pieceIndex == compress)
+          output += pieceIndex == 0 ? '::' : ':';
+        continue;
+      }
+      output += address[pieceIndex].toString(16);
+      if (pieceIndex != 7)
+        output += ':';
+    }
+    return output;
+  }
+
+  /**
+   * https://url.spec.whatwg.org/#concept-opaque-host-parser
+   * @param {string} input
+   * @param {function(string, number=)} err
+   * @return {?string}
+   */
+  function parseOpaqueHost(input, err) {
+    var forbidden = input.search(FORBIDDEN_HOST_CODE_POINT);
+    if (forbidden >= 0) {
+      err('host-invalid-code-point', forbidden);
+      return null;
+    }
+    var host = '';
+    for (var i = 0; i < input.length; i++) {
+      host += percentEscapeC0Control(input[i]);
+    }
+    return host;
+  }
+
+  /**
+   * https://url.spec.whatwg.org/#concept-host-parser
+   *
+   * Returns the serialized host, or null on failure. Hosts of non-special
+   * URLs are opaque, except for IPv6 addresses. Validation errors are
+   * reported with their offset in the input, if known.
+   * @param {string} input
+   * @param {function(string, number=)} err
+   * @param {boolean=} isNotSpecial
+   * @return {?string}
+   */
+  function parseHost(input, err, isNotSpecial) {
+    if ('[' == input[0]) {
+      if (']' != input[input.length - 1]) {
+        err('IPv6-unclosed');
+        return null;
+      }
+      var address = parseIPv6(input.slice(1, -1), function(type, offset) {
+        err(type, 1 + (offset || 0));
+      });
+      return address && '[' + serializeIPv6(address) + ']';
+    }
+    if (isNotSpecial)
+      return parseOpaqueHost(input, err);
+    var domain = percentDecode(input);
+    var asciiDomain = domainToASCII(domain, err);
+    if (asciiDomain === null)
+      return null;
+    if (FORBIDDEN_DOMAIN_CODE_POINT.test(asciiDomain)) {
+      err('domain-invalid-code-point');
+      return null;
+    }
+    if (endsInANumber(asciiDomain)) {
+      var ipv4 = parseIPv4(asciiDomain, err);
+      return ipv4 === null ? null : serializeIPv4(ipv4);
+    }
+    return asciiDomain;
+  }
+
+  // Sets the URL's host from the given input, which starts at the given
+  // offset in the URL, returning false on failure. Failure invalidates the URL
+  // unless a setter is being run.
+  function setHost(input, offset, stateOverride, err) {
+    var host = parseHost(input, function(type, hostOffset) {
+      err(type, offset + (hostOffset || 0));
+    }, !isRelativeScheme(this._scheme));
+    if (null === host) {
+      if (!stateOverride)
+        invalid.call(this);
+      return false;
+    }
+    this._host = host;
+    return true;
   }
 
   function percentEscape(c) {
@@ -64,33 +574,174 @@ Window.prototype.forceJURL = false;
     return encodeURIComponent(c);
   }
 
-  function percentEscapeQuery(c) {
-    // XXX This actually needs to encode c using encoding and then
-    // convert the bytes one-by-one.
+  // https://url.spec.whatwg.org/#userinfo-percent-encode-set
+  function percentEscapeUserinfo(input) {
+    return toUSVString(input).replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g,
+        function(c) {
+          return /[\/:;=@\[\\\]\^\|{}]/.test(c) ? encodeURIComponent(c) :
+              percentEscape(c);
+        });
+  }
 
+  // https://url.spec.whatwg.org/#c0-control-percent-encode-set
+  function percentEscapeC0Control(c) {
     var unicode = c.charCodeAt(0);
-    if (unicode > 0x20 &&
-       unicode < 0x7F &&
-       // " # < > ` (do not escape '?')
-       [0x22, 0x23, 0x3C, 0x3E, 0x60].indexOf(unicode) == -1
-      ) {
+    if (unicode > 0x1F && unicode < 0x7F) {
       return c;
     }
     return encodeURIComponent(c);
   }
 
+  var UTF_8 = 'utf-8';
+
+  // Labels of windows-1252, which is built in for browsers without
+  // `TextDecoder`. https://encoding.spec.whatwg.org/#names-and-labels
+  var WINDOWS_1252_LABELS = ['ansi_x3.4-1968', 'ascii', 'cp1252', 'cp819',
+      'csisolatin1', 'ibm819', 'iso-8859-1', 'iso-ir-100', 'iso8859-1',
+      'iso88591', 'iso_8859-1', 'iso_8859-1:1987', 'l1', 'latin1', 'us-ascii',
+      'windows-1252', 'x-cp1252'];
+
+  // Code points of bytes 0x80 to 0x9F in windows-1252; bytes 0xA0 to 0xFF
+  // are the same as in ISO-8859-1.
+  var WINDOWS_1252_HIGH_CONTROLS = '\u20AC\u0081\u201A\u0192\u201E\u2026' +
+      '\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F\u0090' +
+      '\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A' +
+      '\u0153\u009D\u017E\u0178';
+
+  var SINGLE_BYTE_ENCODING =
+      /^(ibm866|iso-8859-[0-9]+(-i)?|koi8-[ru]|macintosh|windows-(874|125[0-8])|x-mac-cyrillic|x-user-defined)$/;
+
+  // Maps encoding names to the code points of bytes 0x80 to 0xFF.
+  var singleByteEncodings = Object.create(null);
+
+  /**
+   * Returns the code points of bytes 0x80 to 0xFF in the single-byte encoding
+   * with the given label, or null if the query should be encoded as UTF-8:
+   * for UTF-8 itself, UTF-16 (whose output encoding is UTF-8), and encodings
+   * which are unknown or which this polyfill cannot encode to.
+   * @param {string|undefined} label
+   * @return {?string}
+   */
+  function singleByteEncoding(label) {
+    label = String(label || UTF_8).replace(/^[\t\n\f\r ]+|[\t\n\f\r ]+$/g, '')
+        .toLowerCase();
+    if (label in singleByteEncodings) {
+      return singleByteEncodings[label];
+    }
+    var table = null;
+    if (WINDOWS_1252_LABELS.indexOf(label) >= 0) {
+      table = WINDOWS_1252_HIGH_CONTROLS;
+      for (var i = 0xA0; i <= 0xFF; i++) {
+        table += String.fromCharCode(i);
+      }
+    } else if (typeof TextDecoder == 'function') {
+      try {
+        var decoder = new TextDecoder(label);
+        if (SINGLE_BYTE_ENCODING.test(decoder.encoding)) {
+          var bytes = new Uint8Array(0x80);
+          for (i = 0; i < 0x80; i++) {
+            bytes[i] = 0x80 + i;
+          }
+          table = decoder.decode(bytes);
+        }
+      } catch (e) {}
+    }
+    singleByteEncodings[label] = table;
+    return table;
+  }
+
+  function percentEscapeByte(b) {
+    return '%' + (b < 0x10 ? '0' : '') + b.toString(16).toUpperCase();
+  }
+
+  /**
+   * Percent-encodes the given query after encoding it with the given
+   * encoding, using the special-query percent-encode set for special URLs and
+   * the query percent-encode set otherwise. Code points which the encoding
+   * cannot represent are written as HTML numeric character references.
+   * https://url.spec.whatwg.org/#string-percent-encode-after-encoding
+   * @param {string} input
+   * @param {string|undefined} encoding
+   * @param {boolean} isSpecial
+   * @return {string}
+   */
+  function percentEscapeQuery(input, encoding, isSpecial) {
+    var table = singleByteEncoding(encoding);
+    var output = '';
+    var codePoints = toCodePoints(input);
+    for (var i = 0; i < codePoints.length; i++) {
+      var c = codePoints[i];
+      var bytes;
+      if (c < 0x80) {
+        bytes = [c];
+      } else if (table) {
+        var index = c > 0xFFFF || 0xFFFD == c ? -1 :
+            table.indexOf(String.fromCharCode(c));
+        if (index < 0) {
+          output += '%26%23' + c + '%3B';
+          continue;
+        }
+        bytes = [0x80 + index];
+      } else {
+        // Lone surrogates are encoded as U+FFFD.
+        var encoded = encodeURIComponent(c >= 0xD800 && c <= 0xDFFF ?
+            '\uFFFD' : fromCodePoints([c]));
+        bytes = [];
+        for (var j = 1; j < encoded.length; j += 3) {
+          bytes.push(parseInt(encoded.substr(j, 2), 16));
+        }
+      }
+      for (j = 0; j < bytes.length; j++) {
+        var b = bytes[j];
+        // C0 controls, space, " # < > and, for special URLs, '
+        if (b < 0x21 || b > 0x7E || 0x22 == b || 0x23 == b || 0x3C == b ||
+            0x3E == b || (isSpecial && 0x27 == b)) {
+          output += percentEscapeByte(b);
+        } else {
+          output += String.fromCharCode(b);
+        }
+      }
+    }
+    return output;
+  }
+
   var EOF = undefined,
       ALPHA = /[a-zA-Z]/,
       ALPHANUMERIC = /[a-zA-Z0-9\+\-\.]/;
 
+  // https://url.spec.whatwg.org/#url-code-points, assuming that surrogates
+  // are paired.
+  var URL_CODE_POINT =
+      /[a-zA-Z0-9!$&'()*+,\-.\/:;=?@_~\u00A0-\uFDCF\uFDF0-\uFFFD]/;
+
   /**
    * @param {!string} input
    * @param {?string=} stateOverride
    * @param {(URL|string)=} base
+   * @param {string=} encoding The encoding of the query, UTF-8 by default.
+   * @return {!Array<!Object>} The validation errors, see `URL.validationErrors`.
    */
-  function parse(input, stateOverride, base) {
-    function err(message) {
-      errors.push(message)
+  function parse(input, stateOverride, base, encoding) {
+    /**
+     * https://url.spec.whatwg.org/#validation-error
+     * @param {string} type
+     * @param {number=} offset Defaults to that of the current code point.
+     */
+    function err(type, offset) {
+      errors.push({
+        'type': type,
+        'offset': offset === undefined ? cursor : offset,
+        'failure': false
+      });
+    }
+
+    // Reports a code point of a path, query or fragment which is not a URL
+    // code point or an invalid percent-encoded byte.
+    function checkURLUnit(c) {
+      if ('%' == c ? !/^[0-9a-fA-F]{2}/.test(input.substr(cursor + 1, 2)) :
+          !URL_CODE_POINT.test(c)) {
+        err('invalid-URL-unit');
+      }
     }
 
     var state = stateOverride || 'scheme start',
@@ -100,8 +751,16 @@ Window.prototype.forceJURL = false;
         seenBracket = false,
         errors = [];
 
+    // Tabs and newlines are ignored wherever they are.
+    for (var i = 0; i < input.length; i++) {
+      if ('\t' == input[i] || '\n' == input[i] || '\r' == input[i]) {
+        err('invalid-URL-unit', i);
+      }
+    }
+
     loop: while ((input[cursor - 1] != EOF || cursor == 0) && !this._isInvalid) {
       var c = input[cursor];
+      var isSpecial = isRelativeScheme(this._scheme);
       switch (state) {
         case 'scheme start':
           if (c && ALPHA.test(c)) {
@@ -112,7 +771,6 @@ Window.prototype.forceJURL = false;
             state = 'no scheme';
             continue;
           } else {
-            err('Invalid scheme.');
             break loop;
           }
           break;
@@ -121,20 +779,39 @@ Window.prototype.forceJURL = false;
           if (c && ALPHANUMERIC.test(c)) {
             buffer += c.toLowerCase(); // ASCII-safe
           } else if (':' == c) {
-            this._scheme = buffer;
-            buffer = '';
             if (stateOverride) {
+              // A special URL's scheme cannot be changed to a non-special one
+              // or vice versa, and file URLs cannot have credentials or a
+              // port.
+              if (isRelativeScheme(this._scheme) != isRelativeScheme(buffer) ||
+                  ('file' == buffer && ('' != this._username ||
+                      null !== this._password || '' != this._port)) ||
+                  ('file' == this._scheme && !this._host)) {
+                break loop;
+              }
+              this._scheme = buffer;
+              if (this._port == relative[this._scheme]) {
+                this._port = '';
+              }
               break loop;
             }
+            this._scheme = buffer;
+            buffer = '';
             if (isRelativeScheme(this._scheme)) {
               this._isRelative = true;
             }
             if ('file' == this._scheme) {
+              if ('//' != input.substr(cursor + 1, 2))
+                err('special-scheme-missing-following-solidus', cursor + 1);
               state = 'relative';
             } else if (this._isRelative && base && base._scheme == this._scheme) {
               state = 'relative or authority';
             } else if (this._isRelative) {
               state = 'authority first slash';
+            } else if ('/' == input[cursor + 1]) {
+              this._isRelative = true;
+              state = 'path or authority';
+              cursor++;
             } else {
               state = 'scheme data';
             }
@@ -146,11 +823,11 @@ Window.prototype.forceJURL = false;
           } else if (EOF == c) {
             break loop;
           } else {
-            err('Code point not allowed in scheme: ' + c)
             break loop;
           }
           break;
 
+        // The path of a URL which cannot be a base URL, e.g. a data: URL.
         case 'scheme data':
           if ('?' == c) {
             this._query = '?';
@@ -158,29 +835,48 @@ Window.prototype.forceJURL = false;
           } else if ('#' == c) {
             this._fragment = '#';
             state = 'fragment';
-          } else {
-            // XXX error handling
-            if (EOF != c && '\t' != c && '\n' != c && '\r' != c) {
-              this._schemeData += percentEscape(c);
-            }
+          } else if (' ' == c) {
+            checkURLUnit(c);
+            // Keep a trailing space from being stripped once the query or
+            // fragment is removed.
+            var next = input[cursor + 1];
+            this._schemeData += '?' == next || '#' == next ? '%20' : ' ';
+          } else if (EOF != c && '\t' != c && '\n' != c && '\r' != c) {
+            checkURLUnit(c);
+            this._schemeData += percentEscapeC0Control(c);
           }
           break;
 
         case 'no scheme':
-          if (!base || !(isRelativeScheme(base._scheme))) {
-            err('Missing scheme.');
+          if (!base || (!base._isRelative && '#' != c)) {
+            err('missing-scheme-non-relative-URL');
             invalid.call(this);
+          } else if (!base._isRelative) {
+            this._scheme = base._scheme;
+            this._schemeData = base._schemeData;
+            this._query = base._query;
+            this._fragment = '#';
+            state = 'fragment';
           } else {
             state = 'relative';
             continue;
           }
           break;
 
+        case 'path or authority':
+          if ('/' == c) {
+            state = 'authority';
+          } else {
+            state = 'relative path';
+            continue;
+          }
+          break;
+
         case 'relative or authority':
           if ('/' == c && '/' == input[cursor+1]) {
             state = 'authority ignore slashes';
           } else {
-            err('Expected /, got: ' + c);
+            err('special-scheme-missing-following-solidus');
             state = 'relative';
             continue
           }
@@ -190,7 +886,19 @@ Window.prototype.forceJURL = false;
           this._isRelative = true;
           if ('file' != this._scheme)
             this._scheme = base._scheme;
-          if (EOF == c) {
+          isSpecial = isRelativeScheme(this._scheme);
+          // A file URL only inherits from a file base, see
+          // https://url.spec.whatwg.org/#file-state
+          if ('file' == this._scheme && (!base || 'file' != base._scheme)) {
+            if ('/' == c || '\\' == c) {
+              if ('\\' == c)
+                err('invalid-reverse-solidus');
+              state = 'relative slash';
+            } else {
+              state = 'relative path';
+              continue;
+            }
+          } else if (EOF == c) {
             this._host = base._host;
             this._port = base._port;
             this._path = base._path.slice();
@@ -198,9 +906,9 @@ Window.prototype.forceJURL = false;
             this._username = base._username;
             this._password = base._password;
             break loop;
-          } else if ('/' == c || '\\' == c) {
+          } else if ('/' == c || ('\\' == c && isSpecial)) {
             if ('\\' == c)
-              err('\\ is an invalid code point.');
+              err('invalid-reverse-solidus');
             state = 'relative slash';
           } else if ('?' == c) {
             this._host = base._host;
@@ -239,15 +947,17 @@ Window.prototype.forceJURL = false;
           break;
 
         case 'relative slash':
-          if ('/' == c || '\\' == c) {
+          if (isSpecial && ('/' == c || '\\' == c)) {
             if ('\\' == c) {
-              err('\\ is an invalid code point.');
+              err('invalid-reverse-solidus');
             }
             if ('file' == this._scheme) {
               state = 'file host';
             } else {
               state = 'authority ignore slashes';
             }
+          } else if ('/' == c) {
+            state = 'authority';
           } else {
             if ('file' != this._scheme) {
               this._host = base._host;
@@ -264,7 +974,7 @@ Window.prototype.forceJURL = false;
           if ('/' == c) {
             state = 'authority second slash';
           } else {
-            err("Expected '/', got: " + c);
+            err('special-scheme-missing-following-solidus');
             state = 'authority ignore slashes';
             continue;
           }
@@ -273,7 +983,7 @@ Window.prototype.forceJURL = false;
         case 'authority second slash':
           state = 'authority ignore slashes';
           if ('/' != c) {
-            err("Expected '/', got: " + c);
+            err('special-scheme-missing-following-solidus');
             continue;
           }
           break;
@@ -283,21 +993,20 @@ Window.prototype.forceJURL = false;
             state = 'authority';
             continue;
           } else {
-            err('Expected authority, got: ' + c);
+            err('special-scheme-missing-following-solidus');
           }
           break;
 
         case 'authority':
           if ('@' == c) {
+            err('invalid-credentials');
             if (seenAt) {
-              err('@ already seen.');
               buffer += '%40';
             }
             seenAt = true;
             for (var i = 0; i < buffer.length; i++) {
               var cp = buffer[i];
               if ('\t' == cp || '\n' == cp || '\r' == cp) {
-                err('Invalid whitespace in authority.');
                 continue;
               }
               // XXX check URL code points
@@ -309,7 +1018,12 @@ Window.prototype.forceJURL = false;
               (null !== this._password) ? this._password += tempC : this._username += tempC;
             }
             buffer = '';
-          } else if (EOF == c || '/' == c || '\\' == c || '?' == c || '#' == c) {
+          } else if (EOF == c || '/' == c || ('\\' == c && isSpecial) || '?' == c || '#' == c) {
+            if (seenAt && '' == buffer) {
+              err('host-missing');
+              invalid.call(this);
+              break loop;
+            }
             cursor -= buffer.length;
             buffer = '';
             state = 'host';
@@ -322,17 +1036,21 @@ Window.prototype.forceJURL = false;
         case 'file host':
           if (EOF == c || '/' == c || '\\' == c || '?' == c || '#' == c) {
             if (buffer.length == 2 && ALPHA.test(buffer[0]) && (buffer[1] == ':' || buffer[1] == '|')) {
+              err('file-invalid-Windows-drive-letter-host', cursor - 2);
               state = 'relative path';
             } else if (buffer.length == 0) {
+              this._host = '';
               state = 'relative path start';
             } else {
-              this._host = IDNAToASCII.call(this, buffer);
+              if (!setHost.call(this, buffer, cursor - buffer.length, stateOverride, err)) {
+                break loop;
+              }
               buffer = '';
               state = 'relative path start';
             }
             continue;
           } else if ('\t' == c || '\n' == c || '\r' == c) {
-            err('Invalid whitespace in file host.');
+            // Ignored.
           } else {
             buffer += c;
           }
@@ -340,16 +1058,26 @@ Window.prototype.forceJURL = false;
 
         case 'host':
         case 'hostname':
+          var isHostEnd = EOF == c || '/' == c || ('\\' == c && isSpecial) || '?' == c || '#' == c;
+          if ('' == buffer && ((':' == c && !seenBracket) || (isSpecial && isHostEnd))) {
+            err('host-missing');
+            if (!stateOverride)
+              invalid.call(this);
+            break loop;
+          }
           if (':' == c && !seenBracket) {
-            // XXX host parsing
-            this._host = IDNAToASCII.call(this, buffer);
+            if (!setHost.call(this, buffer, cursor - buffer.length, stateOverride, err)) {
+              break loop;
+            }
             buffer = '';
             state = 'port';
             if ('hostname' == stateOverride) {
               break loop;
             }
-          } else if (EOF == c || '/' == c || '\\' == c || '?' == c || '#' == c) {
-            this._host = IDNAToASCII.call(this, buffer);
+          } else if (isHostEnd) {
+            if (!setHost.call(this, buffer, cursor - buffer.length, stateOverride, err)) {
+              break loop;
+            }
             buffer = '';
             state = 'relative path start';
             if (stateOverride) {
@@ -363,17 +1091,21 @@ Window.prototype.forceJURL = false;
               seenBracket = false;
             }
             buffer += c;
-          } else {
-            err('Invalid code point in host/hostname: ' + c);
           }
           break;
 
         case 'port':
           if (/[0-9]/.test(c)) {
             buffer += c;
-          } else if (EOF == c || '/' == c || '\\' == c || '?' == c || '#' == c || stateOverride) {
+          } else if (EOF == c || '/' == c || ('\\' == c && isSpecial) || '?' == c || '#' == c || stateOverride) {
             if ('' != buffer) {
               var temp = parseInt(buffer, 10);
+              if (temp > 0xFFFF) {
+                err('port-out-of-range', cursor - buffer.length);
+                if (!stateOverride)
+                  invalid.call(this);
+                break loop;
+              }
               if (temp != relative[this._scheme]) {
                 this._port = temp + '';
               }
@@ -384,26 +1116,41 @@ Window.prototype.forceJURL = false;
             }
             state = 'relative path start';
             continue;
-          } else if ('\t' == c || '\n' == c || '\r' == c) {
-            err('Invalid code point in port: ' + c);
-          } else {
+          } else if ('\t' != c && '\n' != c && '\r' != c) {
+            err('port-invalid');
             invalid.call(this);
           }
           break;
 
         case 'relative path start':
-          if ('\\' == c)
-            err("'\\' not allowed in path.");
-          state = 'relative path';
-          if ('/' != c && '\\' != c) {
-            continue;
+          if (isSpecial) {
+            if ('\\' == c)
+              err('invalid-reverse-solidus');
+            state = 'relative path';
+            if ('/' != c && '\\' != c) {
+              continue;
+            }
+          } else if (!stateOverride && '?' == c) {
+            this._query = '?';
+            state = 'query';
+          } else if (!stateOverride && '#' == c) {
+            this._fragment = '#';
+            state = 'fragment';
+          } else if (EOF != c) {
+            state = 'relative path';
+            if ('/' != c) {
+              continue;
+            }
+          } else if (stateOverride && null === this._host) {
+            this._path.push('');
           }
           break;
 
         case 'relative path':
-          if (EOF == c || '/' == c || '\\' == c || (!stateOverride && ('?' == c || '#' == c))) {
+          var isSlash = '/' == c || ('\\' == c && isSpecial);
+          if (EOF == c || isSlash || (!stateOverride && ('?' == c || '#' == c))) {
             if ('\\' == c) {
-              err('\\ not allowed in relative path.');
+              err('invalid-reverse-solidus');
             }
             var tmp;
             if (tmp = relativePathDotMapping[buffer.toLowerCase()]) {
@@ -411,10 +1158,10 @@ Window.prototype.forceJURL = false;
             }
             if ('..' == buffer) {
               this._path.pop();
-              if ('/' != c && '\\' != c) {
+              if (!isSlash) {
                 this._path.push('');
               }
-            } else if ('.' == buffer && '/' != c && '\\' != c) {
+            } else if ('.' == buffer && !isSlash) {
               this._path.push('');
             } else if ('.' != buffer) {
               if ('file' == this._scheme && this._path.length == 0 && buffer.length == 2 && ALPHA.test(buffer[0]) && buffer[1] == '|') {
@@ -431,21 +1178,31 @@ Window.prototype.forceJURL = false;
               state = 'fragment';
             }
           } else if ('\t' != c && '\n' != c && '\r' != c) {
+            checkURLUnit(c);
             buffer += percentEscape(c);
           }
           break;
 
         case 'query':
-          if (!stateOverride && '#' == c) {
-            this._fragment = '#';
-            state = 'fragment';
-          } else if (EOF != c && '\t' != c && '\n' != c && '\r' != c) {
-            this._query += percentEscapeQuery(c);
+          if (EOF == c || (!stateOverride && '#' == c)) {
+            // Non-special URLs and WebSocket URLs always use UTF-8.
+            var queryEncoding = isSpecial && 'ws' != this._scheme &&
+                'wss' != this._scheme ? encoding : UTF_8;
+            this._query += percentEscapeQuery(buffer, queryEncoding, isSpecial);
+            buffer = '';
+            if ('#' == c) {
+              this._fragment = '#';
+              state = 'fragment';
+            }
+          } else if ('\t' != c && '\n' != c && '\r' != c) {
+            checkURLUnit(c);
+            buffer += c;
           }
           break;
 
         case 'fragment':
           if (EOF != c && '\t' != c && '\n' != c && '\r' != c) {
+            checkURLUnit(c);
             this._fragment += c;
           }
           break;
@@ -453,6 +1210,11 @@ Window.prototype.forceJURL = false;
 
       cursor++;
     }
+
+    if (this._isInvalid && errors.length) {
+      errors[errors.length - 1]['failure'] = true;
+    }
+    return errors;
   }
 
   function clear() {
@@ -460,34 +1222,74 @@ Window.prototype.forceJURL = false;
     this._schemeData = '';
     this._username = '';
     this._password = null;
-    this._host = '';
+    // null unless the URL has an authority; always a string for special URLs.
+    this._host = null;
     this._port = '';
     this._path = [];
     this._query = '';
     this._fragment = '';
     this._isInvalid = false;
+    // Whether the URL has a hierarchical path, as opposed to the opaque path
+    // in `_schemeData` of e.g. `mailto:` and `data:` URLs.
     this._isRelative = false;
   }
 
-  // Does not process domain names or IP addresses.
-  // Does not handle encoding for the query parameter.
   /**
+   * The third argument is the encoding used for the query of special URLs,
+   * which a document passes for URLs it parses. UTF-8 and windows-1252 are
+   * supported everywhere, other single-byte encodings where `TextDecoder` is.
    * @constructor
    * @extends {URL}
    * @param {!string} url
    * @param {(URL|string)=} base
+   * @param {string=} encoding
    */
-  function jURL(url, base /* , encoding */) {
+  function jURL(url, base, encoding) {
     if (base !== undefined && !(base instanceof jURL))
       base = new jURL(String(base));
 
+    init.call(this, url, base, encoding);
+  }
+
+  /**
+   * Parses the given URL into this one, returning the validation errors with
+   * their offsets in `url`.
+   * @this {jURL}
+   * @param {string} url
+   * @param {jURL=} base
+   * @param {string=} encoding
+   * @return {!Array<!Object>}
+   */
+  function init(url, base, encoding) {
     this._url = '' + url;
     clear.call(this);
 
-    var input = this._url.replace(/^[ \t\r\n\f]+|[ \t\r\n\f]+$/g, '');
-    // encoding = encoding || 'utf-8'
+    var input = this._url.replace(/^[ \t\r\n\f]+/, '');
+    var leading = this._url.length - input.length;
+    input = input.replace(/[ \t\r\n\f]+$/, '');
+
+    var errors = parse.call(this, input, null, base, encoding);
+    for (var i = 0; i < errors.length; i++) {
+      errors[i]['offset'] += leading;
+    }
+    if (input.length + leading < this._url.length) {
+      errors.push({
+        'type': 'invalid-URL-unit',
+        'offset': input.length + leading,
+        'failure': false
+      });
+    }
+    if (leading) {
+      errors.unshift({'type': 'invalid-URL-unit', 'offset': 0, 'failure': false});
+    }
+    return errors;
+  }
 
-    parse.call(this, input, null, base);
+  // Returns the given base as a jURL, or null if it is not a valid URL.
+  function parseBase(base) {
+    if (!(base instanceof jURL))
+      base = new jURL(String(base));
+    return base._isInvalid ? null : base;
   }
 
   jURL.prototype = {
@@ -504,13 +1306,19 @@ Window.prototype.forceJURL = false;
             (null != this._password ? ':' + this._password : '') + '@';
       }
 
+      var hasAuthority = isRelativeScheme(this._scheme) || null !== this._host;
+      // Keeps a path starting with an empty segment from being read back as
+      // a host.
+      var pathPrefix = !hasAuthority && this._isRelative &&
+          this._path.length > 1 && '' == this._path[0] ? '/.' : '';
       return this.protocol +
-          (this._isRelative ? '//' + authority + this.host : '') +
-          this.pathname + this._query + this._fragment;
+          (hasAuthority ? '//' + authority + this.host : '') +
+          pathPrefix + this.pathname + this._query + this._fragment;
     },
     set href(href) {
       clear.call(this);
       parse.call(this, href);
+      updateSearchParams.call(this);
     },
 
     get protocol() {
@@ -522,8 +1330,26 @@ Window.prototype.forceJURL = false;
       parse.call(this, protocol + ':', 'scheme start');
     },
 
+    get username() {
+      return this._username;
+    },
+    set username(username) {
+      if (this._isInvalid || !this._host || 'file' == this._scheme)
+        return;
+      this._username = percentEscapeUserinfo(username);
+    },
+
+    get password() {
+      return this._password || '';
+    },
+    set password(password) {
+      if (this._isInvalid || !this._host || 'file' == this._scheme)
+        return;
+      this._password = percentEscapeUserinfo(password) || null;
+    },
+
     get host() {
-      return this._isInvalid ? '' : this._port ?
+      return this._isInvalid || null === this._host ? '' : this._port ?
           this._host + ':' + this._port : this._host;
     },
     set host(host) {
@@ -533,7 +1359,7 @@ Window.prototype.forceJURL = false;
     },
 
     get hostname() {
-      return this._host;
+      return this._host || '';
     },
     set hostname(hostname) {
       if (this._isInvalid || !this._isRelative)
@@ -545,14 +1371,17 @@ Window.prototype.forceJURL = false;
       return this._port;
     },
     set port(port) {
-      if (this._isInvalid || !this._isRelative)
+      if (this._isInvalid || !this._host || 'file' == this._scheme)
         return;
       parse.call(this, port, 'port');
     },
 
     get pathname() {
-      return this._isInvalid ? '' : this._isRelative ?
-          '/' + this._path.join('/') : this._schemeData;
+      if (this._isInvalid)
+        return '';
+      if (!this._isRelative)
+        return this._schemeData;
+      return this._path.length ? '/' + this._path.join('/') : '';
     },
     set pathname(pathname) {
       if (this._isInvalid || !this._isRelative)
@@ -566,12 +1395,24 @@ Window.prototype.forceJURL = false;
           '' : this._query;
     },
     set search(search) {
-      if (this._isInvalid || !this._isRelative)
+      if (this._isInvalid)
         return;
-      this._query = '?';
+      this._query = '';
       if ('?' == search[0])
         search = search.slice(1);
-      parse.call(this, search, 'query');
+      if (search) {
+        this._query = '?';
+        parse.call(this, search, 'query');
+      }
+      updateSearchParams.call(this);
+    },
+
+    get searchParams() {
+      if (!this._searchParams) {
+        this._searchParams = new jURLSearchParams(this.search);
+        this._searchParams._urlObject = this;
+      }
+      return this._searchParams;
     },
 
     get hash() {
@@ -591,31 +1432,397 @@ Window.prototype.forceJURL = false;
       parse.call(this, hash, 'fragment');
     },
 
+    // https://url.spec.whatwg.org/#concept-url-origin
     get origin() {
-      var host;
       if (this._isInvalid || !this._scheme) {
         return '';
       }
-      // javascript: Gecko returns String(""), WebKit/Blink String("null")
-      // Gecko throws error for "data://"
-      // data: Gecko returns "", Blink returns "data://", WebKit returns "null"
-      // Gecko returns String("") for file: mailto:
-      // WebKit/Blink returns String("SCHEME://") for file: mailto:
       switch (this._scheme) {
-        case 'data':
-        case 'file':
-        case 'javascript':
-        case 'mailto':
-          return 'null';
-      }
-      host = this.host;
-      if (!host) {
-        return '';
+        case 'blob':
+          // The origin of a blob: URL is that of the URL in its path.
+          var url = new jURL(this.pathname);
+          return 'http' == url._scheme || 'https' == url._scheme ?
+              url.origin : 'null';
+        case 'ftp':
+        case 'gopher':
+        case 'http':
+        case 'https':
+        case 'ws':
+        case 'wss':
+          return this._scheme + '://' + this.host;
+      }
+      return 'null';
+    }
+  };
+
+  // Keeps the list of the URL's `searchParams`, if it has been created, in
+  // sync with its query.
+  function updateSearchParams() {
+    if (this._searchParams) {
+      this._searchParams._list = parseUrlencoded(this.search.slice(1));
+    }
+  }
+
+  // Replaces lone surrogates with U+FFFD, as when converting to a USVString.
+  function toUSVString(value) {
+    return String(value).replace(
+        /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/g,
+        function(match, before) {
+          return (before || '') + '\uFFFD';
+        });
+  }
+
+  // Decodes percent-encoded bytes as UTF-8, replacing each maximal invalid
+  // subsequence with U+FFFD rather than throwing like `decodeURIComponent`.
+  // https://encoding.spec.whatwg.org/#utf-8-decoder
+  function percentDecode(input) {
+    var bytes = [];
+    for (var i = 0; i < input.length; i++) {
+      var c = input.charCodeAt(i);
+      if (37 == c && /^[0-9a-fA-F]{2}$/.test(input.substr(i + 1, 2))) {
+        bytes.push(parseInt(input.substr(i + 1, 2), 16));
+        i += 2;
+      } else if (c < 0x80) {
+        bytes.push(c);
+      } else {
+        var encoded = encodeURIComponent(input[i] + (
+            c >= 0xD800 && c <= 0xDBFF ? input[++i] : ''));
+        for (var j = 1; j < encoded.length; j += 3) {
+          bytes.push(parseInt(encoded.substr(j, 2), 16));
+        }
+      }
+    }
+    var output = '';
+    for (var k = 0; k < bytes.length;) {
+      var b = bytes[k++];
+      if (b < 0x80) {
+        output += String.fromCharCode(b);
+        continue;
+      }
+      var needed = b >= 0xC2 && b < 0xE0 ? 1 : b >= 0xE0 && b < 0xF0 ? 2 :
+          b >= 0xF0 && b < 0xF5 ? 3 : 0;
+      var codePoint = b & (0x3F >> needed);
+      // The bounds of the second byte exclude overlong sequences, surrogates
+      // and code points above U+10FFFF.
+      var lower = 0xE0 == b ? 0xA0 : 0xF0 == b ? 0x90 : 0x80;
+      var upper = 0xED == b ? 0x9F : 0xF4 == b ? 0x8F : 0xBF;
+      var seen = 0;
+      // A byte that doesn't continue the sequence ends it and is decoded on
+      // its own.
+      while (seen < needed && k < bytes.length &&
+          bytes[k] >= lower && bytes[k] <= upper) {
+        codePoint = codePoint << 6 | bytes[k++] & 0x3F;
+        lower = 0x80;
+        upper = 0xBF;
+        seen++;
+      }
+      output += needed && seen == needed ?
+          fromCodePoints([codePoint]) : '\uFFFD';
+    }
+    return output;
+  }
+
+  // https://url.spec.whatwg.org/#concept-urlencoded-parser
+  function parseUrlencoded(input) {
+    var list = [];
+    var sequences = input.split('&');
+    for (var i = 0; i < sequences.length; i++) {
+      var bytes = sequences[i];
+      if ('' == bytes)
+        continue;
+      var index = bytes.indexOf('=');
+      var name = index < 0 ? bytes : bytes.slice(0, index);
+      var value = index < 0 ? '' : bytes.slice(index + 1);
+      list.push([
+        percentDecode(name.replace(/\+/g, ' ')),
+        percentDecode(value.replace(/\+/g, ' '))
+      ]);
+    }
+    return list;
+  }
+
+  // https://url.spec.whatwg.org/#concept-urlencoded-byte-serializer
+  function serializeUrlencodedValue(value) {
+    return encodeURIComponent(value)
+        .replace(/[!'()~]/g, function(c) {
+          return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+        })
+        .replace(/%20/g, '+');
+  }
+
+  function serializeUrlencoded(list) {
+    var output = [];
+    for (var i = 0; i < list.length; i++) {
+      output.push(serializeUrlencodedValue(list[i][0]) + '=' +
+          serializeUrlencodedValue(list[i][1]));
+    }
+    return output.join('&');
+  }
+
+  function createIterator(list, kind) {
+    var index = 0;
+    var iterator = {
+      'next': function() {
+        if (index >= list.length) {
+          return {'value': undefined, 'done': true};
+        }
+        var pair = list[index++];
+        return {
+          'value': kind == 'key' ? pair[0] : kind == 'value' ? pair[1] :
+              [pair[0], pair[1]],
+          'done': false
+        };
       }
-      return this._scheme + '://' + host;
+    };
+    if (typeof Symbol == 'function' && Symbol.iterator) {
+      iterator[Symbol.iterator] = function() {
+        return this;
+      };
+    }
+    return iterator;
+  }
+
+  /**
+   * @constructor
+   * @extends {URLSearchParams}
+   * @param {*=} init
+   */
+  function jURLSearchParams(init) {
+    this._list = [];
+    this._urlObject = null;
+    if (init === undefined || init === null) {
+      return;
     }
+    if (init instanceof jURLSearchParams) {
+      this._list = copyList(init._list);
+    } else if (typeof init == 'object' || typeof init == 'function') {
+      var iteratorMethod = typeof Symbol == 'function' && init[Symbol.iterator];
+      if (iteratorMethod || Array.isArray(init)) {
+        var pairs = Array.isArray(init) ? init : [];
+        if (!Array.isArray(init)) {
+          var iterator = iteratorMethod.call(init);
+          for (var step = iterator.next(); !step.done; step = iterator.next()) {
+            pairs.push(step.value);
+          }
+        }
+        for (var i = 0; i < pairs.length; i++) {
+          var pair = Array.prototype.slice.call(pairs[i]);
+          if (pair.length != 2) {
+            throw new TypeError("Failed to construct 'URLSearchParams': " +
+                'Sequence initializer must only contain pair elements');
+          }
+          this._list.push([toUSVString(pair[0]), toUSVString(pair[1])]);
+        }
+      } else {
+        for (var key in init) {
+          if (Object.prototype.hasOwnProperty.call(/** @type {!Object} */(init), key)) {
+            this._list.push([toUSVString(key), toUSVString(init[key])]);
+          }
+        }
+      }
+    } else {
+      init = toUSVString(init);
+      if ('?' == init[0])
+        init = init.slice(1);
+      this._list = parseUrlencoded(init);
+    }
+  }
+
+  function copyList(list) {
+    return list.map(function(pair) {
+      return [pair[0], pair[1]];
+    });
+  }
+
+  // https://url.spec.whatwg.org/#concept-urlsearchparams-update
+  function update() {
+    var url = this._urlObject;
+    if (!url) {
+      return;
+    }
+    var query = serializeUrlencoded(this._list);
+    url._query = '' == query ? '' : '?' + query;
+  }
+
+  jURLSearchParams.prototype = {
+    append: function(name, value) {
+      this._list.push([toUSVString(name), toUSVString(value)]);
+      update.call(this);
+    },
+
+    'delete': function(name, value) {
+      name = toUSVString(name);
+      if (value !== undefined)
+        value = toUSVString(value);
+      this._list = this._list.filter(function(pair) {
+        return pair[0] != name || (value !== undefined && pair[1] != value);
+      });
+      update.call(this);
+    },
+
+    get: function(name) {
+      name = toUSVString(name);
+      for (var i = 0; i < this._list.length; i++) {
+        if (this._list[i][0] == name)
+          return this._list[i][1];
+      }
+      return null;
+    },
+
+    getAll: function(name) {
+      name = toUSVString(name);
+      return this._list.filter(function(pair) {
+        return pair[0] == name;
+      }).map(function(pair) {
+        return pair[1];
+      });
+    },
+
+    has: function(name, value) {
+      name = toUSVString(name);
+      if (value !== undefined)
+        value = toUSVString(value);
+      return this._list.some(function(pair) {
+        return pair[0] == name && (value === undefined || pair[1] == value);
+      });
+    },
+
+    set: function(name, value) {
+      name = toUSVString(name);
+      value = toUSVString(value);
+      var found = false;
+      this._list = this._list.filter(function(pair) {
+        if (pair[0] != name)
+          return true;
+        if (found)
+          return false;
+        found = true;
+        pair[1] = value;
+        return true;
+      });
+      if (!found)
+        this._list.push([name, value]);
+      update.call(this);
+    },
+
+    sort: function() {
+      // Sort by code units, keeping the relative order of equal names.
+      // `Array.prototype.sort` is not stable in all browsers.
+      this._list = this._list.map(function(pair, index) {
+        return {pair: pair, index: index};
+      }).sort(function(a, b) {
+        return a.pair[0] < b.pair[0] ? -1 : a.pair[0] > b.pair[0] ? 1 :
+            a.index - b.index;
+      }).map(function(entry) {
+        return entry.pair;
+      });
+      update.call(this);
+    },
+
+    'forEach': function(callback, thisArg) {
+      for (var i = 0; i < this._list.length; i++) {
+        var pair = this._list[i];
+        callback.call(thisArg, pair[1], pair[0], this);
+      }
+    },
+
+    'keys': function() {
+      return createIterator(this._list, 'key');
+    },
+
+    'values': function() {
+      return createIterator(this._list, 'value');
+    },
+
+    entries: function() {
+      return createIterator(this._list, 'key+value');
+    },
+
+    get 'size'() {
+      return this._list.length;
+    },
+
+    toString: function() {
+      return serializeUrlencoded(this._list);
+    }
+  };
+
+  if (typeof Symbol == 'function' && Symbol.iterator) {
+    jURLSearchParams.prototype[Symbol.iterator] =
+        jURLSearchParams.prototype.entries;
+  }
+
+  /**
+   * https://url.spec.whatwg.org/#dom-url-parse
+   * @param {string} url
+   * @param {(URL|string)=} base
+   * @return {?jURL}
+   */
+  jURL['parse'] = function(url, base) {
+    if (base !== undefined && !(base = parseBase(base)))
+      return null;
+    var result = new jURL(url, base);
+    return result._isInvalid ? null : result;
+  };
+
+  /**
+   * https://url.spec.whatwg.org/#dom-url-canparse
+   * @param {string} url
+   * @param {(URL|string)=} base
+   * @return {boolean}
+   */
+  jURL['canParse'] = function(url, base) {
+    return jURL['parse'](url, base) !== null;
+  };
+
+  /**
+   * Non-standard: returns the validation errors of parsing the given URL,
+   * which are reported by browsers at most as console warnings. Each error is
+   * an object with the `type` of the error as named by the URL Standard, e.g.
+   * `'port-out-of-range'`, its `offset` in `url`, and whether it is the
+   * `failure` which made the URL invalid. Throws a `TypeError` if `base` is
+   * not a valid URL.
+   * https://url.spec.whatwg.org/#validation-error
+   * @param {string} url
+   * @param {(URL|string)=} base
+   * @return {!Array<!Object>}
+   */
+  jURL['validationErrors'] = function(url, base) {
+    var parsedBase = base === undefined ? undefined : parseBase(base);
+    if (parsedBase === null)
+      throw new TypeError('Invalid base URL: ' + base);
+    var result = /** @type {!jURL} */(Object.create(jURL.prototype));
+    return init.call(result, url, parsedBase);
   };
 
+  if (hasWorkingUrl) {
+    // URL.parse() and URL.canParse() are much more recent than the rest of
+    // the URL API.
+    var NativeURL = scope.URL;
+    if (!NativeURL['parse']) {
+      NativeURL['parse'] = function(url, base) {
+        try {
+          return new NativeURL(url, base);
+        } catch (e) {
+          return null;
+        }
+      };
+    }
+    if (!NativeURL['canParse']) {
+      NativeURL['canParse'] = function(url, base) {
+        return NativeURL['parse'](url, base) !== null;
+      };
+    }
+    // Browsers don't expose validation errors, so the polyfill's parser
+    // finds them.
+    NativeURL['validationErrors'] = jURL['validationErrors'];
+    // Some browsers have a working URL but no URLSearchParams.
+    if (!scope.URLSearchParams) {
+      scope.URLSearchParams = jURLSearchParams;
+    }
+    return;
+  }
+
   // Copy over the static methods
   var OriginalURL = scope.URL;
   if (OriginalURL) {
@@ -630,5 +1837,6 @@ Window.prototype.forceJURL = false;
   }
 
   scope.URL = jURL;
+  scope.URLSearchParams = jURLSearchParams;
 
 })(window);
@@ -0,0 +1,1122 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+// An implementation of https://urlpattern.spec.whatwg.org/ which
+// canonicalizes the components of patterns and URLs with `URL`, i.e. with
+// jURL when url.js has been loaded in a browser without a working `URL`.
+(function(scope) {
+  'use strict';
+
+  // Quoted as there are no externs for URLPattern.
+  if (scope['URLPattern'] && !scope['forceURLPattern'])
+    return;
+
+  var COMPONENTS = ['protocol', 'username', 'password', 'hostname', 'port',
+      'pathname', 'search', 'hash'];
+
+  var SPECIAL_SCHEMES = ['ftp', 'file', 'http', 'https', 'ws', 'wss'];
+
+  var DEFAULT_PORTS = Object.create(null);
+  DEFAULT_PORTS['ftp'] = '21';
+  DEFAULT_PORTS['http'] = '80';
+  DEFAULT_PORTS['https'] = '443';
+  DEFAULT_PORTS['ws'] = '80';
+  DEFAULT_PORTS['wss'] = '443';
+
+  function isSpecialScheme(scheme) {
+    return SPECIAL_SCHEMES.indexOf(scheme) >= 0;
+  }
+
+  // Patterns are compiled with the `u` flag where it is supported (not IE).
+  var UNICODE_FLAG = (function() {
+    try {
+      var flag = 'u';
+      return new RegExp('', flag).unicode ? flag : '';
+    } catch (e) {
+      return '';
+    }
+  })();
+
+  // https://tc39.es/ecma262/#prod-IdentifierStartChar and
+  // https://tc39.es/ecma262/#prod-IdentifierPartChar, limited to ASCII where
+  // Unicode property escapes are not supported.
+  var NAME_START_CODE_POINT = /^[$_a-zA-Z]$/;
+  var NAME_CODE_POINT = /^[$_\u200C\u200Da-zA-Z0-9]$/;
+  if (UNICODE_FLAG) {
+    try {
+      NAME_START_CODE_POINT = new RegExp('^[$_\\p{ID_Start}]$', UNICODE_FLAG);
+      NAME_CODE_POINT =
+          new RegExp('^[$_\\u200C\\u200D\\p{ID_Continue}]$', UNICODE_FLAG);
+    } catch (e) {}
+  }
+
+  // https://urlpattern.spec.whatwg.org/#is-a-valid-name-code-point
+  function isValidNameCodePoint(c, first) {
+    return (first ? NAME_START_CODE_POINT : NAME_CODE_POINT).test(c);
+  }
+
+  // Splits the given string into code points.
+  function toCodePoints(input) {
+    return input.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+  }
+
+  // https://urlpattern.spec.whatwg.org/#tokenizing
+  //
+  // Tokens are objects with a `type`, the `index` of their first code point
+  // in the input and a `value`.
+  var OPEN = 'open',
+      CLOSE = 'close',
+      REGEXP = 'regexp',
+      NAME = 'name',
+      CHAR = 'char',
+      ESCAPED_CHAR = 'escaped-char',
+      OTHER_MODIFIER = 'other-modifier',
+      ASTERISK = 'asterisk',
+      END = 'end',
+      INVALID_CHAR = 'invalid-char';
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#tokenize
+   * @param {string} input
+   * @param {boolean} lenient Whether to produce invalid-char tokens instead of
+   *     throwing on invalid input.
+   * @return {!Array<!Object>}
+   */
+  function tokenize(input, lenient) {
+    var chars = toCodePoints(input),
+        tokens = [],
+        index = 0,
+        nextIndex = 0,
+        c;
+
+    function addToken(type, nextPosition, valuePosition, valueLength) {
+      tokens.push({
+        type: type,
+        index: index,
+        value: chars.slice(valuePosition, valuePosition + valueLength).join('')
+      });
+      index = nextPosition;
+    }
+
+    function addTokenWithDefaultLength(type, nextPosition, valuePosition) {
+      addToken(type, nextPosition, valuePosition, nextPosition - valuePosition);
+    }
+
+    function tokenizingError(nextPosition, valuePosition) {
+      if (!lenient)
+        throw new TypeError('Invalid pattern: ' + input);
+      addTokenWithDefaultLength(INVALID_CHAR, nextPosition, valuePosition);
+    }
+
+    loop: while (index < chars.length) {
+      nextIndex = index;
+      c = chars[nextIndex++];
+      if ('*' == c) {
+        addTokenWithDefaultLength(ASTERISK, nextIndex, index);
+      } else if ('+' == c || '?' == c) {
+        addTokenWithDefaultLength(OTHER_MODIFIER, nextIndex, index);
+      } else if ('\\' == c) {
+        if (index == chars.length - 1) {
+          tokenizingError(nextIndex, index);
+          continue;
+        }
+        var escapedIndex = nextIndex++;
+        addTokenWithDefaultLength(ESCAPED_CHAR, nextIndex, escapedIndex);
+      } else if ('{' == c) {
+        addTokenWithDefaultLength(OPEN, nextIndex, index);
+      } else if ('}' == c) {
+        addTokenWithDefaultLength(CLOSE, nextIndex, index);
+      } else if (':' == c) {
+        var namePosition = nextIndex,
+            nameStart = namePosition;
+        while (namePosition < chars.length &&
+            isValidNameCodePoint(chars[namePosition], namePosition == nameStart)) {
+          namePosition++;
+        }
+        if (namePosition <= nameStart) {
+          tokenizingError(nameStart, index);
+          continue;
+        }
+        addTokenWithDefaultLength(NAME, namePosition, nameStart);
+      } else if ('(' == c) {
+        var depth = 1,
+            regexpPosition = nextIndex,
+            regexpStart = regexpPosition;
+        while (regexpPosition < chars.length) {
+          c = chars[regexpPosition];
+          nextIndex = regexpPosition + 1;
+          // Only ASCII is allowed, and groups must be non-capturing.
+          if (c.charCodeAt(0) > 0x7F ||
+              (regexpPosition == regexpStart && '?' == c)) {
+            tokenizingError(regexpStart, index);
+            continue loop;
+          }
+          if ('\\' == c) {
+            if (regexpPosition == chars.length - 1 ||
+                chars[nextIndex].charCodeAt(0) > 0x7F) {
+              tokenizingError(regexpStart, index);
+              continue loop;
+            }
+            regexpPosition = nextIndex + 1;
+            continue;
+          }
+          if (')' == c) {
+            if (--depth == 0) {
+              regexpPosition = nextIndex;
+              break;
+            }
+          } else if ('(' == c) {
+            depth++;
+            if (regexpPosition == chars.length - 1 || '?' != chars[nextIndex]) {
+              tokenizingError(regexpStart, index);
+              continue loop;
+            }
+          }
+          regexpPosition = nextIndex;
+        }
+        if (depth != 0 || regexpPosition - regexpStart - 1 == 0) {
+          tokenizingError(regexpStart, index);
+          continue;
+        }
+        addToken(REGEXP, regexpPosition, regexpStart,
+            regexpPosition - regexpStart - 1);
+      } else {
+        addTokenWithDefaultLength(CHAR, nextIndex, index);
+      }
+    }
+    addTokenWithDefaultLength(END, index, index);
+    return tokens;
+  }
+
+  // https://urlpattern.spec.whatwg.org/#part
+  //
+  // Parts are objects with a `type`, a `value`, a `modifier`, and the `name`,
+  // `prefix` and `suffix` of a group.
+  var FIXED_TEXT = 'fixed-text',
+      SEGMENT_WILDCARD = 'segment-wildcard',
+      FULL_WILDCARD = 'full-wildcard';
+
+  var FULL_WILDCARD_REGEXP_VALUE = '.*';
+
+  // https://urlpattern.spec.whatwg.org/#options-header
+  var DEFAULT_OPTIONS = {delimiter: '', prefix: '', ignoreCase: false},
+      HOSTNAME_OPTIONS = {delimiter: '.', prefix: '', ignoreCase: false};
+
+  function escapeRegexpString(input) {
+    return input.replace(/[.+*?^${}()[\]|\/\\]/g, '\\$&');
+  }
+
+  function escapePatternString(input) {
+    return input.replace(/[+*?:{}()\\]/g, '\\$&');
+  }
+
+  function segmentWildcardRegexp(options) {
+    return '[^' + escapeRegexpString(options.delimiter) + ']+?';
+  }
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#parse-a-pattern-string
+   * @param {string} input
+   * @param {!Object} options
+   * @param {function(string): string} encode
+   * @return {!Array<!Object>}
+   */
+  function parsePatternString(input, options, encode) {
+    var tokens = tokenize(input, false),
+        segmentWildcard = segmentWildcardRegexp(options),
+        parts = [],
+        pendingFixedValue = '',
+        index = 0,
+        nextNumericName = 0;
+
+    function tryConsume(type) {
+      var token = tokens[index];
+      if (token.type != type)
+        return null;
+      index++;
+      return token;
+    }
+
+    function tryConsumeModifier() {
+      return tryConsume(OTHER_MODIFIER) || tryConsume(ASTERISK);
+    }
+
+    function tryConsumeRegexpOrWildcard(nameToken) {
+      var token = tryConsume(REGEXP);
+      if (!nameToken && !token)
+        token = tryConsume(ASTERISK);
+      return token;
+    }
+
+    function consumeRequired(type) {
+      var token = tryConsume(type);
+      if (!token)
+        throw new TypeError('Invalid pattern: ' + input);
+      return token;
+    }
+
+    function consumeText() {
+      var result = '',
+          token;
+      while ((token = tryConsume(CHAR) || tryConsume(ESCAPED_CHAR))) {
+        result += token.value;
+      }
+      return result;
+    }
+
+    function maybeAddPartFromPendingFixedValue() {
+      if ('' == pendingFixedValue)
+        return;
+      var value = encode(pendingFixedValue);
+      pendingFixedValue = '';
+      parts.push({type: FIXED_TEXT, value: value, modifier: '', name: '',
+          prefix: '', suffix: ''});
+    }
+
+    function addPart(prefix, nameToken, regexpOrWildcardToken, suffix,
+        modifierToken) {
+      var modifier = modifierToken ? modifierToken.value : '';
+      if (!nameToken && !regexpOrWildcardToken && !modifier) {
+        pendingFixedValue += prefix;
+        return;
+      }
+      maybeAddPartFromPendingFixedValue();
+      if (!nameToken && !regexpOrWildcardToken) {
+        if ('' != prefix) {
+          parts.push({type: FIXED_TEXT, value: encode(prefix),
+              modifier: modifier, name: '', prefix: '', suffix: ''});
+        }
+        return;
+      }
+      var type = REGEXP,
+          value;
+      if (!regexpOrWildcardToken) {
+        value = segmentWildcard;
+      } else if (ASTERISK == regexpOrWildcardToken.type) {
+        value = FULL_WILDCARD_REGEXP_VALUE;
+      } else {
+        value = regexpOrWildcardToken.value;
+      }
+      if (segmentWildcard == value) {
+        type = SEGMENT_WILDCARD;
+        value = '';
+      } else if (FULL_WILDCARD_REGEXP_VALUE == value) {
+        type = FULL_WILDCARD;
+        value = '';
+      }
+      var name = nameToken ? nameToken.value : String(nextNumericName++);
+      for (var i = 0; i < parts.length; i++) {
+        if (parts[i].name == name)
+          throw new TypeError('Duplicate group name: ' + name);
+      }
+      parts.push({type: type, value: value, modifier: modifier, name: name,
+          prefix: encode(prefix), suffix: encode(suffix)});
+    }
+
+    while (index < tokens.length) {
+      var charToken = tryConsume(CHAR),
+          nameToken = tryConsume(NAME),
+          regexpOrWildcardToken = tryConsumeRegexpOrWildcard(nameToken);
+      if (nameToken || regexpOrWildcardToken) {
+        var prefix = charToken ? charToken.value : '';
+        if ('' != prefix && options.prefix != prefix) {
+          pendingFixedValue += prefix;
+          prefix = '';
+        }
+        maybeAddPartFromPendingFixedValue();
+        addPart(prefix, nameToken, regexpOrWildcardToken, '',
+            tryConsumeModifier());
+        continue;
+      }
+      var fixedToken = charToken || tryConsume(ESCAPED_CHAR);
+      if (fixedToken) {
+        pendingFixedValue += fixedToken.value;
+        continue;
+      }
+      if (tryConsume(OPEN)) {
+        prefix = consumeText();
+        nameToken = tryConsume(NAME);
+        regexpOrWildcardToken = tryConsumeRegexpOrWildcard(nameToken);
+        var suffix = consumeText();
+        consumeRequired(CLOSE);
+        addPart(prefix, nameToken, regexpOrWildcardToken, suffix,
+            tryConsumeModifier());
+        continue;
+      }
+      maybeAddPartFromPendingFixedValue();
+      consumeRequired(END);
+    }
+    return parts;
+  }
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#generate-a-regular-expression-and-name-list
+   * @param {!Array<!Object>} parts
+   * @param {!Object} options
+   * @return {string}
+   */
+  function generateRegexpString(parts, options) {
+    var result = '^';
+    for (var i = 0; i < parts.length; i++) {
+      var part = parts[i];
+      if (FIXED_TEXT == part.type) {
+        result += part.modifier ?
+            '(?:' + escapeRegexpString(part.value) + ')' + part.modifier :
+            escapeRegexpString(part.value);
+        continue;
+      }
+      var value = SEGMENT_WILDCARD == part.type ?
+          segmentWildcardRegexp(options) :
+          FULL_WILDCARD == part.type ? FULL_WILDCARD_REGEXP_VALUE : part.value;
+      var isRepeated = '*' == part.modifier || '+' == part.modifier;
+      if ('' == part.prefix && '' == part.suffix) {
+        result += isRepeated ?
+            '((?:' + value + ')' + part.modifier + ')' :
+            '(' + value + ')' + part.modifier;
+        continue;
+      }
+      var prefix = escapeRegexpString(part.prefix),
+          suffix = escapeRegexpString(part.suffix);
+      if (!isRepeated) {
+        result += '(?:' + prefix + '(' + value + ')' + suffix + ')' +
+            part.modifier;
+        continue;
+      }
+      result += '(?:' + prefix + '((?:' + value + ')(?:' + suffix + prefix +
+          '(?:' + value + '))*)' + suffix + ')' +
+          ('*' == part.modifier ? '?' : '');
+    }
+    return result + '$';
+  }
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#generate-a-pattern-string
+   * @param {!Array<!Object>} parts
+   * @param {!Object} options
+   * @return {string}
+   */
+  function generatePatternString(parts, options) {
+    var result = '';
+    for (var i = 0; i < parts.length; i++) {
+      var part = parts[i],
+          previousPart = parts[i - 1] || null,
+          nextPart = parts[i + 1] || null;
+      if (FIXED_TEXT == part.type) {
+        result += part.modifier ?
+            '{' + escapePatternString(part.value) + '}' + part.modifier :
+            escapePatternString(part.value);
+        continue;
+      }
+      var customName = !/^[0-9]/.test(part.name),
+          needsGrouping = '' != part.suffix ||
+              ('' != part.prefix && options.prefix != part.prefix);
+      if (!needsGrouping && customName && SEGMENT_WILDCARD == part.type &&
+          !part.modifier && nextPart && '' == nextPart.prefix &&
+          '' == nextPart.suffix) {
+        if (FIXED_TEXT == nextPart.type) {
+          needsGrouping = isValidNameCodePoint(
+              toCodePoints(nextPart.value)[0] || '', false);
+        } else {
+          needsGrouping = /^[0-9]/.test(nextPart.name);
+        }
+      }
+      if (!needsGrouping && '' == part.prefix && previousPart &&
+          FIXED_TEXT == previousPart.type &&
+          previousPart.value.slice(-1) == options.prefix &&
+          '' != options.prefix) {
+        needsGrouping = true;
+      }
+      if (needsGrouping)
+        result += '{';
+      result += escapePatternString(part.prefix);
+      if (customName)
+        result += ':' + part.name;
+      if (REGEXP == part.type) {
+        result += '(' + part.value + ')';
+      } else if (SEGMENT_WILDCARD == part.type && !customName) {
+        result += '(' + segmentWildcardRegexp(options) + ')';
+      } else if (FULL_WILDCARD == part.type) {
+        if (!customName && (!previousPart || FIXED_TEXT == previousPart.type ||
+            previousPart.modifier || needsGrouping || '' != part.prefix)) {
+          result += '*';
+        } else {
+          result += '(' + FULL_WILDCARD_REGEXP_VALUE + ')';
+        }
+      }
+      if (SEGMENT_WILDCARD == part.type && customName && '' != part.suffix &&
+          isValidNameCodePoint(toCodePoints(part.suffix)[0], false)) {
+        result += '\\';
+      }
+      result += escapePatternString(part.suffix);
+      if (needsGrouping)
+        result += '}';
+      result += part.modifier;
+    }
+    return result;
+  }
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#compile-a-component
+   *
+   * Returns an object with the component's `patternString`, `regexp`,
+   * `groupNames` and whether it `hasRegexpGroups`.
+   * @param {string} input
+   * @param {function(string): string} encode
+   * @param {!Object} options
+   * @return {!Object}
+   */
+  function compileComponent(input, encode, options) {
+    var parts = parsePatternString(input, options, encode);
+    var regexp;
+    try {
+      regexp = new RegExp(generateRegexpString(parts, options),
+          (options.ignoreCase ? 'i' : '') + UNICODE_FLAG);
+    } catch (e) {
+      throw new TypeError('Invalid regular expression in pattern: ' + input);
+    }
+    var groupNames = [],
+        hasRegexpGroups = false;
+    for (var i = 0; i < parts.length; i++) {
+      if (FIXED_TEXT != parts[i].type)
+        groupNames.push(parts[i].name);
+      if (REGEXP == parts[i].type)
+        hasRegexpGroups = true;
+    }
+    return {
+      patternString: generatePatternString(parts, options),
+      regexp: regexp,
+      groupNames: groupNames,
+      hasRegexpGroups: hasRegexpGroups
+    };
+  }
+
+  // https://urlpattern.spec.whatwg.org/#protocol-component-matches-a-special-scheme
+  function matchesSpecialScheme(protocolComponent) {
+    for (var i = 0; i < SPECIAL_SCHEMES.length; i++) {
+      if (protocolComponent.regexp.test(SPECIAL_SCHEMES[i]))
+        return true;
+    }
+    return false;
+  }
+
+  // Canonicalization, see
+  // https://urlpattern.spec.whatwg.org/#canon-encoding-callbacks
+  //
+  // The components are canonicalized by setting them on a dummy URL, which
+  // runs the URL parser with the corresponding state override.
+
+  var DUMMY_HOSTNAME = 'dummy.invalid';
+
+  function dummyURL() {
+    return new scope.URL('https://' + DUMMY_HOSTNAME + '/');
+  }
+
+  /**
+   * Returns the given input parsed as a URL, or null if it is not valid.
+   * @param {string} input
+   * @param {(string|!URL)=} base
+   * @return {URL}
+   */
+  function parseURL(input, base) {
+    var URL = scope.URL;
+    if (URL['parse'])
+      return URL['parse'](input, base);
+    try {
+      return new URL(input, base);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function canonicalizeProtocol(value) {
+    if ('' == value)
+      return value;
+    if (!/^[a-zA-Z][a-zA-Z0-9+\-.]*$/.test(value))
+      throw new TypeError('Invalid protocol: ' + value);
+    return value.toLowerCase();
+  }
+
+  function canonicalizeUsername(value) {
+    if ('' == value)
+      return value;
+    var url = dummyURL();
+    url.username = value;
+    return url.username;
+  }
+
+  function canonicalizePassword(value) {
+    if ('' == value)
+      return value;
+    var url = dummyURL();
+    url.password = value;
+    return url.password;
+  }
+
+  // U+0000, tab, LF, CR, space, # / : < > ? @ [ \ ] ^ |
+  var FORBIDDEN_HOST_CODE_POINT = /[\u0000\t\n\r #\/:<>\?@\[\\\]\^\|]/;
+
+  function canonicalizeHostname(value) {
+    if ('' == value)
+      return value;
+    var url = dummyURL();
+    if (!FORBIDDEN_HOST_CODE_POINT.test(value))
+      url.hostname = value;
+    // The setter leaves the hostname unchanged if the value is not valid.
+    if (DUMMY_HOSTNAME == url.hostname &&
+        DUMMY_HOSTNAME != value.toLowerCase()) {
+      throw new TypeError('Invalid hostname: ' + value);
+    }
+    return url.hostname;
+  }
+
+  function canonicalizeIPv6Hostname(value) {
+    if (!/^[0-9a-fA-F\[\]:]*$/.test(value))
+      throw new TypeError('Invalid IPv6 hostname: ' + value);
+    return value.toLowerCase();
+  }
+
+  /**
+   * @param {string} value
+   * @param {string=} protocol
+   * @return {string}
+   */
+  function canonicalizePort(value, protocol) {
+    if ('' == value)
+      return value;
+    if (!/^[0-9]+$/.test(value) || parseInt(value, 10) > 0xFFFF)
+      throw new TypeError('Invalid port: ' + value);
+    value = String(parseInt(value, 10));
+    return protocol && DEFAULT_PORTS[protocol] == value ? '' : value;
+  }
+
+  function canonicalizePathname(value) {
+    if ('' == value)
+      return value;
+    var url = dummyURL();
+    // A leading slash is added to keep the value from being made absolute.
+    var hasLeadingSlash = '/' == value[0];
+    url.pathname = hasLeadingSlash ? value : '/-' + value;
+    return hasLeadingSlash ? url.pathname : url.pathname.slice(2);
+  }
+
+  // https://url.spec.whatwg.org/#c0-control-percent-encode-set
+  function canonicalizeOpaquePathname(value) {
+    return value.replace(
+        /[\u0000-\u001F\u007F-\uD7FF\uE000-\uFFFF]|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDFFF]/g,
+        function(c) {
+          return encodeURIComponent(/^[\uD800-\uDFFF]$/.test(c) ? '\uFFFD' : c);
+        });
+  }
+
+  function canonicalizeSearch(value) {
+    if ('' == value)
+      return value;
+    var url = dummyURL();
+    url.search = '?' + value;
+    return url.search.slice(1);
+  }
+
+  function canonicalizeHash(value) {
+    if ('' == value)
+      return value;
+    var url = dummyURL();
+    url.hash = '#' + value;
+    return url.hash.slice(1);
+  }
+
+  // https://urlpattern.spec.whatwg.org/#is-an-ipv6-hostname-pattern
+  function isIPv6HostnamePattern(input) {
+    return input.length >= 2 && ('[' == input[0] ||
+        (('{' == input[0] || '\\' == input[0]) && '[' == input[1]));
+  }
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#parse-a-constructor-string
+   * @param {string} input
+   * @return {!Object} A URLPatternInit.
+   */
+  function parseConstructorString(input) {
+    var tokens = tokenize(input, true),
+        chars = toCodePoints(input),
+        result = {},
+        state = 'init',
+        componentStart = 0,
+        tokenIndex = 0,
+        tokenIncrement = 1,
+        groupDepth = 0,
+        hostnameIPv6BracketDepth = 0,
+        protocolMatchesSpecialScheme = false;
+
+    function safeToken(index) {
+      return tokens[Math.min(index, tokens.length - 1)];
+    }
+
+    function isNonSpecialPatternChar(index, value) {
+      var token = safeToken(index);
+      return token.value == value && (CHAR == token.type ||
+          ESCAPED_CHAR == token.type || INVALID_CHAR == token.type);
+    }
+
+    function isSearchPrefix() {
+      if (isNonSpecialPatternChar(tokenIndex, '?'))
+        return true;
+      if ('?' != tokens[tokenIndex].value)
+        return false;
+      if (tokenIndex == 0)
+        return true;
+      var previousType = safeToken(tokenIndex - 1).type;
+      return NAME != previousType && REGEXP != previousType &&
+          CLOSE != previousType && ASTERISK != previousType;
+    }
+
+    function makeComponentString() {
+      return chars.slice(safeToken(componentStart).index,
+          tokens[tokenIndex].index).join('');
+    }
+
+    function rewind() {
+      tokenIndex = componentStart;
+      tokenIncrement = 0;
+    }
+
+    function changeState(newState, skip) {
+      if ('init' != state && 'authority' != state && 'done' != state)
+        result[state] = makeComponentString();
+      if ('init' != state && 'done' != newState) {
+        var beforeHostname = ['protocol', 'authority', 'username', 'password']
+            .indexOf(state) >= 0;
+        var beforePathname = beforeHostname || 'hostname' == state ||
+            'port' == state;
+        if (beforeHostname && !('hostname' in result) &&
+            ['port', 'pathname', 'search', 'hash'].indexOf(newState) >= 0) {
+          result['hostname'] = '';
+        }
+        if (beforePathname && !('pathname' in result) &&
+            ('search' == newState || 'hash' == newState)) {
+          result['pathname'] = protocolMatchesSpecialScheme ? '/' : '';
+        }
+        if ((beforePathname || 'pathname' == state) &&
+            !('search' in result) && 'hash' == newState) {
+          result['search'] = '';
+        }
+      }
+      state = newState;
+      tokenIndex += skip;
+      componentStart = tokenIndex;
+      tokenIncrement = 0;
+    }
+
+    while (tokenIndex < tokens.length) {
+      tokenIncrement = 1;
+      if (END == tokens[tokenIndex].type) {
+        if ('init' == state) {
+          rewind();
+          if (isNonSpecialPatternChar(tokenIndex, '#')) {
+            changeState('hash', 1);
+          } else if (isSearchPrefix()) {
+            changeState('search', 1);
+          } else {
+            changeState('pathname', 0);
+          }
+          tokenIndex += tokenIncrement;
+          continue;
+        }
+        if ('authority' == state) {
+          rewind();
+          state = 'hostname';
+          tokenIndex += tokenIncrement;
+          continue;
+        }
+        changeState('done', 0);
+        break;
+      }
+      if (OPEN == tokens[tokenIndex].type) {
+        groupDepth++;
+        tokenIndex += tokenIncrement;
+        continue;
+      }
+      if (groupDepth > 0) {
+        if (CLOSE != tokens[tokenIndex].type) {
+          tokenIndex += tokenIncrement;
+          continue;
+        }
+        groupDepth--;
+      }
+      switch (state) {
+        case 'init':
+          if (isNonSpecialPatternChar(tokenIndex, ':')) {
+            rewind();
+            state = 'protocol';
+          }
+          break;
+
+        case 'protocol':
+          if (isNonSpecialPatternChar(tokenIndex, ':')) {
+            protocolMatchesSpecialScheme = matchesSpecialScheme(compileComponent(
+                makeComponentString(), canonicalizeProtocol, DEFAULT_OPTIONS));
+            if (isNonSpecialPatternChar(tokenIndex + 1, '/') &&
+                isNonSpecialPatternChar(tokenIndex + 2, '/')) {
+              changeState('authority', 3);
+            } else if (protocolMatchesSpecialScheme) {
+              changeState('authority', 1);
+            } else {
+              changeState('pathname', 1);
+            }
+          }
+          break;
+
+        case 'authority':
+          if (isNonSpecialPatternChar(tokenIndex, '@')) {
+            rewind();
+            state = 'username';
+          } else if (isNonSpecialPatternChar(tokenIndex, '/') ||
+              isSearchPrefix() || isNonSpecialPatternChar(tokenIndex, '#')) {
+            rewind();
+            state = 'hostname';
+          }
+          break;
+
+        case 'username':
+          if (isNonSpecialPatternChar(tokenIndex, ':')) {
+            changeState('password', 1);
+          } else if (isNonSpecialPatternChar(tokenIndex, '@')) {
+            changeState('hostname', 1);
+          }
+          break;
+
+        case 'password':
+          if (isNonSpecialPatternChar(tokenIndex, '@'))
+            changeState('hostname', 1);
+          break;
+
+        case 'hostname':
+          if (isNonSpecialPatternChar(tokenIndex, '[')) {
+            hostnameIPv6BracketDepth++;
+          } else if (isNonSpecialPatternChar(tokenIndex, ']')) {
+            hostnameIPv6BracketDepth--;
+          } else if (isNonSpecialPatternChar(tokenIndex, ':') &&
+              hostnameIPv6BracketDepth == 0) {
+            changeState('port', 1);
+          } else if (isNonSpecialPatternChar(tokenIndex, '/')) {
+            changeState('pathname', 0);
+          } else if (isSearchPrefix()) {
+            changeState('search', 1);
+          } else if (isNonSpecialPatternChar(tokenIndex, '#')) {
+            changeState('hash', 1);
+          }
+          break;
+
+        case 'port':
+          if (isNonSpecialPatternChar(tokenIndex, '/')) {
+            changeState('pathname', 0);
+          } else if (isSearchPrefix()) {
+            changeState('search', 1);
+          } else if (isNonSpecialPatternChar(tokenIndex, '#')) {
+            changeState('hash', 1);
+          }
+          break;
+
+        case 'pathname':
+          if (isSearchPrefix()) {
+            changeState('search', 1);
+          } else if (isNonSpecialPatternChar(tokenIndex, '#')) {
+            changeState('hash', 1);
+          }
+          break;
+
+        case 'search':
+          if (isNonSpecialPatternChar(tokenIndex, '#'))
+            changeState('hash', 1);
+          break;
+      }
+      tokenIndex += tokenIncrement;
+    }
+
+    if ('hostname' in result && !('port' in result))
+      result['port'] = '';
+    return result;
+  }
+
+  // https://urlpattern.spec.whatwg.org/#is-an-absolute-pathname
+  function isAbsolutePathname(input, isPattern) {
+    return '/' == input[0] ||
+        (isPattern && ('\\' == input[0] || '{' == input[0]) && '/' == input[1]);
+  }
+
+  /**
+   * Converts the given dictionary to a URLPatternInit.
+   * @param {!Object} input
+   * @return {!Object}
+   */
+  function toURLPatternInit(input) {
+    var init = {};
+    COMPONENTS.concat('baseURL').forEach(function(key) {
+      if (input[key] !== undefined)
+        init[key] = String(input[key]);
+    });
+    return init;
+  }
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#process-a-urlpatterninit
+   *
+   * Processes the init of a pattern, whose components are left as is, or of
+   * a URL to match, whose components are canonicalized. Components which are
+   * missing from the result are wildcards for a pattern and empty for a URL.
+   * @param {!Object} init
+   * @param {boolean} isPattern
+   * @return {!Object}
+   */
+  function processURLPatternInit(init, isPattern) {
+    var result = {};
+    if (!isPattern) {
+      COMPONENTS.forEach(function(component) {
+        result[component] = '';
+      });
+    }
+    function has(key) {
+      return key in init;
+    }
+    function processBaseURLString(value) {
+      return isPattern ? escapePatternString(value) : value;
+    }
+
+    var baseURL = null;
+    if (has('baseURL')) {
+      baseURL = parseURL(init['baseURL']);
+      if (!baseURL)
+        throw new TypeError('Invalid base URL: ' + init['baseURL']);
+      // Each component is inherited from the base URL unless the init has
+      // it or a component which precedes it. A pattern's username and
+      // password are never inherited.
+      if (!has('protocol')) {
+        result['protocol'] =
+            processBaseURLString(baseURL.protocol.slice(0, -1));
+        if (!has('hostname')) {
+          result['hostname'] = processBaseURLString(baseURL.hostname);
+          if (!has('port')) {
+            result['port'] = processBaseURLString(baseURL.port);
+            if (!isPattern && !has('username')) {
+              result['username'] = baseURL.username;
+              if (!has('password'))
+                result['password'] = baseURL.password;
+            }
+            if (!has('pathname')) {
+              result['pathname'] = processBaseURLString(baseURL.pathname);
+              if (!has('search')) {
+                result['search'] =
+                    processBaseURLString(baseURL.search.slice(1));
+                if (!has('hash'))
+                  result['hash'] = processBaseURLString(baseURL.hash.slice(1));
+              }
+            }
+          }
+        }
+      }
+    }
+
+    if (has('protocol')) {
+      var protocol = init['protocol'].replace(/:$/, '');
+      result['protocol'] = isPattern ? protocol : canonicalizeProtocol(protocol);
+    }
+    if (has('username')) {
+      result['username'] = isPattern ? init['username'] :
+          canonicalizeUsername(init['username']);
+    }
+    if (has('password')) {
+      result['password'] = isPattern ? init['password'] :
+          canonicalizePassword(init['password']);
+    }
+    if (has('hostname')) {
+      result['hostname'] = isPattern ? init['hostname'] :
+          canonicalizeHostname(init['hostname']);
+    }
+    if (has('port')) {
+      result['port'] = isPattern ? init['port'] :
+          canonicalizePort(init['port'], result['protocol']);
+    }
+    if (has('pathname')) {
+      var pathname = init['pathname'];
+      var hasOpaquePath = baseURL && '/' != baseURL.pathname[0] &&
+          !!baseURL.pathname;
+      if (baseURL && !hasOpaquePath &&
+          !isAbsolutePathname(pathname, isPattern)) {
+        var basePathname = processBaseURLString(baseURL.pathname);
+        var slashIndex = basePathname.lastIndexOf('/');
+        if (slashIndex >= 0)
+          pathname = basePathname.slice(0, slashIndex + 1) + pathname;
+      }
+      if (!isPattern) {
+        protocol = result['protocol'];
+        pathname = '' == protocol || isSpecialScheme(protocol) ?
+            canonicalizePathname(pathname) :
+            canonicalizeOpaquePathname(pathname);
+      }
+      result['pathname'] = pathname;
+    }
+    if (has('search')) {
+      var search = init['search'].replace(/^\?/, '');
+      result['search'] = isPattern ? search : canonicalizeSearch(search);
+    }
+    if (has('hash')) {
+      var hash = init['hash'].replace(/^#/, '');
+      result['hash'] = isPattern ? hash : canonicalizeHash(hash);
+    }
+    return result;
+  }
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#urlpattern
+   * @constructor
+   * @param {(string|!Object)=} input
+   * @param {(string|!Object)=} baseURL
+   * @param {!Object=} options
+   */
+  function URLPattern(input, baseURL, options) {
+    if (typeof baseURL == 'object') {
+      options = baseURL;
+      baseURL = undefined;
+    }
+    input = input === undefined ? {} : input;
+    var init;
+    if (typeof input == 'object') {
+      if (baseURL !== undefined)
+        throw new TypeError('A base URL is only allowed with a string pattern');
+      init = toURLPatternInit(input);
+    } else {
+      init = parseConstructorString(String(input));
+      if (baseURL === undefined && !('protocol' in init))
+        throw new TypeError('A relative pattern requires a base URL: ' + input);
+      if (baseURL !== undefined)
+        init['baseURL'] = String(baseURL);
+    }
+
+    var processed = processURLPatternInit(init, true);
+    COMPONENTS.forEach(function(component) {
+      if (!(component in processed))
+        processed[component] = '*';
+    });
+    if (isSpecialScheme(processed['protocol']) &&
+        DEFAULT_PORTS[processed['protocol']] == processed['port']) {
+      processed['port'] = '';
+    }
+
+    var compileOptions = {delimiter: '', prefix: '',
+        ignoreCase: Boolean(options && options['ignoreCase'])};
+    var components = this._components = {};
+    components['protocol'] = compileComponent(processed['protocol'],
+        canonicalizeProtocol, DEFAULT_OPTIONS);
+    components['username'] = compileComponent(processed['username'],
+        canonicalizeUsername, DEFAULT_OPTIONS);
+    components['password'] = compileComponent(processed['password'],
+        canonicalizePassword, DEFAULT_OPTIONS);
+    components['hostname'] = compileComponent(processed['hostname'],
+        isIPv6HostnamePattern(processed['hostname']) ?
+            canonicalizeIPv6Hostname : canonicalizeHostname,
+        HOSTNAME_OPTIONS);
+    components['port'] = compileComponent(processed['port'], canonicalizePort,
+        DEFAULT_OPTIONS);
+    components['pathname'] = matchesSpecialScheme(components['protocol']) ?
+        compileComponent(processed['pathname'], canonicalizePathname,
+            {delimiter: '/', prefix: '/', ignoreCase: compileOptions.ignoreCase}) :
+        compileComponent(processed['pathname'], canonicalizeOpaquePathname,
+            compileOptions);
+    components['search'] = compileComponent(processed['search'],
+        canonicalizeSearch, compileOptions);
+    components['hash'] = compileComponent(processed['hash'], canonicalizeHash,
+        compileOptions);
+  }
+
+  /**
+   * https://urlpattern.spec.whatwg.org/#url-pattern-match
+   *
+   * Returns the match result of the given URL or URLPatternInit, or null if
+   * it does not match.
+   * @this {URLPattern}
+   * @param {(string|!Object)=} input
+   * @param {string=} baseURL
+   * @return {?Object}
+   */
+  function match(input, baseURL) {
+    input = input === undefined ? {} : input;
+    var inputs = [input],
+        values;
+    if (typeof input == 'object') {
+      if (baseURL !== undefined)
+        throw new TypeError('A base URL is only allowed with a string URL');
+      try {
+        values = processURLPatternInit(toURLPatternInit(input), false);
+      } catch (e) {
+        return null;
+      }
+    } else {
+      var base;
+      if (baseURL !== undefined) {
+        inputs.push(baseURL);
+        base = parseURL(String(baseURL));
+        if (!base)
+          return null;
+      }
+      var url = parseURL(String(input), base);
+      if (!url)
+        return null;
+      values = {
+        'protocol': url.protocol.slice(0, -1),
+        'username': url.username,
+        'password': url.password,
+        'hostname': url.hostname,
+        'port': url.port,
+        'pathname': url.pathname,
+        'search': url.search.slice(1),
+        'hash': url.hash.slice(1)
+      };
+    }
+
+    var result = {'inputs': inputs};
+    for (var i = 0; i < COMPONENTS.length; i++) {
+      var component = this._components[COMPONENTS[i]],
+          value = values[COMPONENTS[i]],
+          execResult = component.regexp.exec(value);
+      if (!execResult)
+        return null;
+      var groups = {};
+      for (var j = 0; j < component.groupNames.length; j++) {
+        groups[component.groupNames[j]] = execResult[j + 1];
+      }
+      result[COMPONENTS[i]] = {'input': value, 'groups': groups};
+    }
+    return result;
+  }
+
+  URLPattern.prototype['test'] = function(input, baseURL) {
+    return match.call(this, input, baseURL) !== null;
+  };
+
+  URLPattern.prototype['exec'] = function(input, baseURL) {
+    return match.call(this, input, baseURL);
+  };
+
+  COMPONENTS.forEach(function(component) {
+    Object.defineProperty(URLPattern.prototype, component, {
+      get: function() {
+        return this._components[component].patternString;
+      },
+      enumerable: true,
+      configurable: true
+    });
+  });
+
+  Object.defineProperty(URLPattern.prototype, 'hasRegExpGroups', {
+    get: function() {
+      var components = this._components;
+      return COMPONENTS.some(function(component) {
+        return components[component].hasRegexpGroups;
+      });
+    },
+    enumerable: true,
+    configurable: true
+  });
+
+  scope['URLPattern'] = URLPattern;
+
+})(window);
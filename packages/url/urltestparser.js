@@ -9,14 +9,15 @@ function URLTestParser(input) {
     this.scheme = ""
     this.username = ""
     this.password = null
-    this.host = ""
+    this.host = null
     this.port = ""
     this.path = ""
     this.query = ""
     this.fragment = ""
     this.origin = ""
     Object.defineProperties(this, {
-      "href": { get: function() { return !this.scheme ? this.input : this.protocol + (relativeSchemes.indexOf(this.scheme) != -1 ? "//" + (("" != this.username || null != this.password) ? this.username + (null != this.password ? ":" + this.password : "") + "@" : "") + this.host : "") + (this.port ? ":" + this.port : "") + this.path + this.query + this.fragment } },
+      "href": { get: function() { return !this.scheme ? this.input : this.protocol + (relativeSchemes.indexOf(this.scheme) != -1 || null !== this.host ? "//" + (("" != this.username || null != this.password) ? this.username + (null != this.password ? ":" + this.password : "") + "@" : "") + this.hostname : "") + (this.port ? ":" + this.port : "") + (relativeSchemes.indexOf(this.scheme) == -1 && null === this.host && this.path.indexOf("//") === 0 ? "/." : "") + this.path + this.query + this.fragment } },
+      "hostname": { get: function() { return this.host || "" } },
       "protocol": { get: function() { return this.scheme + ":" } },
       "search": { get: function() { return "?" == this.query ? "" : this.query } },
       "hash": { get: function() { return "#" == this.fragment ? "" : this.fragment } }
@@ -12,6 +12,9 @@
 var ShadyDOM;
 var WebComponents;
 
+/** @type {function(function()=):(!Promise<void>|undefined)} */
+WebComponents.whenReady;
+
 /** @type {!Function} */
 Promise.cast;
 
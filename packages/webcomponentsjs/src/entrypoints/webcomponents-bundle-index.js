@@ -21,6 +21,8 @@ const customElements = window.customElements;
 let shouldFlush = false;
 /** @type {?function()} */
 let flusher = null;
+/** @type {!Array<function()>} */
+let whenReadyFns = [];
 
 if (customElements['polyfillWrapFlushCallback']) {
   customElements['polyfillWrapFlushCallback']((flush) => {
@@ -39,8 +41,35 @@ function flushAndFire() {
   shouldFlush = true;
   window.WebComponents.ready = true;
   document.dispatchEvent(new CustomEvent('WebComponentsReady', { bubbles: true }));
+  const fns = whenReadyFns;
+  whenReadyFns = [];
+  fns.forEach((fn) => fn());
 }
 
+/**
+ * @param {function()} fn
+ */
+function whenReady(fn) {
+  if (window.WebComponents.ready) {
+    fn();
+  } else {
+    whenReadyFns.push(fn);
+  }
+}
+
+/**
+ * Calls `callback` once `WebComponentsReady` has fired, and returns a promise
+ * resolved then.
+ * @param {function()=} callback
+ * @return {!Promise<void>}
+ */
+window.WebComponents.whenReady = (callback) => {
+  if (callback) {
+    whenReady(callback);
+  }
+  return new Promise((resolve) => whenReady(resolve));
+};
+
 if (document.readyState !== 'complete') {
   // this script may come between DCL and load, so listen for both, and cancel load listener if DCL fires
   window.addEventListener('load', flushAndFire)
@@ -38,16 +38,64 @@
    *   - batch Custom Element Upgrades
    *   - run callbacks pass to `waitFor`
    *   - fire WCR event
+   *
+   * The `WebComponentsPolyfillsLoaded` event is fired once the polyfill bundle
+   * has loaded, or before WCR when no polyfills are needed.
    */
 
   var polyfillsLoaded = false;
   var whenLoadedFns = [];
   var allowUpgrades = false;
   var flushFn;
+  var whenReadyFns = [];
+  var polyfillsDetail = null;
+  var whenPolyfillsLoadedFns = [];
+  var polyfillNames = ['ce', 'sd', 'pf', 'template'];
 
   function fireEvent() {
     window.WebComponents.ready = true;
     document.dispatchEvent(new CustomEvent('WebComponentsReady', { bubbles: true }));
+    var fns = whenReadyFns;
+    whenReadyFns = [];
+    fns.forEach(function(fn) {
+      fn();
+    });
+  }
+
+  function whenReady(fn) {
+    if (window.WebComponents.ready) {
+      fn();
+    } else {
+      whenReadyFns.push(fn);
+    }
+  }
+
+  function firePolyfillsLoaded() {
+    if (polyfillsDetail) {
+      return;
+    }
+    polyfillsDetail = {
+      bundle: polyfillFile,
+      polyfills: polyfillsInUse(),
+      failedTests: failedTests
+    };
+    var fns = whenPolyfillsLoadedFns;
+    whenPolyfillsLoadedFns = [];
+    fns.forEach(function(fn) {
+      fn();
+    });
+    document.dispatchEvent(new CustomEvent('WebComponentsPolyfillsLoaded', {
+      bubbles: true,
+      detail: polyfillsDetail
+    }));
+  }
+
+  function whenPolyfillsLoaded(fn) {
+    if (polyfillsDetail) {
+      fn();
+    } else {
+      whenPolyfillsLoadedFns.push(fn);
+    }
   }
 
   function batchCustomElements() {
@@ -61,12 +109,18 @@
     }
   }
 
-  function asyncReady() {
+  function bundleLoaded() {
     batchCustomElements();
+    firePolyfillsLoaded();
+  }
+
+  function asyncReady() {
+    bundleLoaded();
     ready();
   }
 
   function ready() {
+    firePolyfillsLoaded();
     // bootstrap <template> elements before custom elements
     if (window.HTMLTemplateElement && HTMLTemplateElement.bootstrap) {
       HTMLTemplateElement.bootstrap(window.document);
@@ -100,28 +154,79 @@
       runWhenLoadedFns();
     }
   };
+  window.WebComponents.whenPolyfillLoaded = window.WebComponents.whenPolyfillLoaded || function(polyfill, callback) {
+    if (polyfillNames.indexOf(polyfill) === -1) {
+      throw new Error('Unknown polyfill: ' + polyfill);
+    }
+    var isLoaded = function() {
+      return polyfillsDetail.polyfills.indexOf(polyfill) !== -1;
+    };
+    if (callback) {
+      whenPolyfillsLoaded(function() {
+        callback(isLoaded());
+      });
+    }
+    if (window.Promise) {
+      return new Promise(function(resolve) {
+        whenPolyfillsLoaded(function() {
+          resolve(isLoaded());
+        });
+      });
+    }
+  };
+  window.WebComponents.whenReady = window.WebComponents.whenReady || function(callback) {
+    if (callback) {
+      whenReady(callback);
+    }
+    if (window.Promise) {
+      return new Promise(function(resolve) {
+        whenReady(resolve);
+      });
+    }
+  };
   window.WebComponents._batchCustomElements = batchCustomElements;
+  window.WebComponents._bundleLoaded = bundleLoaded;
 
   var name = 'webcomponents-loader.js';
-  // Feature detect which polyfill needs to be imported.
+  // Feature detect which polyfill needs to be imported, and keep the names of
+  // the feature tests which failed for each polyfill.
+  var failedTests = {};
+  function failTest(polyfill, test) {
+    failedTests[polyfill] = failedTests[polyfill] || [];
+    failedTests[polyfill].push(test);
+  }
+  if (!('attachShadow' in Element.prototype)) {
+    failTest('sd', 'attachShadow');
+  }
+  if (!('getRootNode' in Element.prototype)) {
+    failTest('sd', 'getRootNode');
+  }
+  if (window.ShadyDOM && window.ShadyDOM.force) {
+    failTest('sd', 'ShadyDOM.force');
+  }
+  if (!window.customElements) {
+    failTest('ce', 'customElements');
+  } else if (window.customElements.forcePolyfill) {
+    failTest('ce', 'customElements.forcePolyfill');
+  }
   var polyfills = [];
-  if (!('attachShadow' in Element.prototype && 'getRootNode' in Element.prototype) ||
-    (window.ShadyDOM && window.ShadyDOM.force)) {
+  if (failedTests.sd) {
     polyfills.push('sd');
   }
-  if (!window.customElements || window.customElements.forcePolyfill) {
+  if (failedTests.ce) {
     polyfills.push('ce');
   }
 
+  // The name of the failed <template> test, if any.
   var needsTemplate = (function() {
     // no real <template> because no `content` property (IE and older browsers)
     var t = document.createElement('template');
     if (!('content' in t)) {
-      return true;
+      return 'template.content';
     }
     // broken doc fragment (older Edge)
     if (!(t.content.cloneNode() instanceof DocumentFragment)) {
-      return true;
+      return 'template.content.cloneNode';
     }
     // broken <template> cloning (Edge up to at least version 17)
     var t2 = document.createElement('template');
@@ -129,18 +234,51 @@
     t.content.appendChild(t2);
     var clone = t.cloneNode(true);
     return (clone.content.childNodes.length === 0 ||
-        clone.content.firstChild.content.childNodes.length === 0);
+        clone.content.firstChild.content.childNodes.length === 0) ?
+      'template.cloneNode' : '';
   })();
+  if (needsTemplate) {
+    failTest('template', needsTemplate);
+  }
+  ['Promise', 'Array.from', 'URL', 'Symbol'].forEach(function(test) {
+    var parts = test.split('.');
+    if (!(window[parts[0]] && (!parts[1] || window[parts[0]][parts[1]]))) {
+      failTest('pf', test);
+    }
+  });
 
   // NOTE: any browser that does not have template or ES6 features
   // must load the full suite of polyfills.
-  if (!window.Promise || !Array.from || !window.URL || !window.Symbol || needsTemplate) {
+  if (failedTests.pf || needsTemplate) {
     polyfills = ['sd-ce-pf'];
   }
 
+  // The polyfills in the bundle which are in use, once it has run. The full
+  // suite only turns on ShadyDOM and the custom elements polyfill when the
+  // browser lacks them, and the <template> polyfill only counts when it is
+  // needed.
+  function polyfillsInUse() {
+    if (polyfills[0] !== 'sd-ce-pf') {
+      return polyfills;
+    }
+    var inUse = [];
+    if (window.ShadyDOM && window.ShadyDOM.inUse) {
+      inUse.push('sd');
+    }
+    if (window.customElements && window.customElements.polyfillWrapFlushCallback) {
+      inUse.push('ce');
+    }
+    inUse.push('pf');
+    if (needsTemplate) {
+      inUse.push('template');
+    }
+    return inUse;
+  }
+  var polyfillFile = polyfills.length ?
+    'bundles/webcomponents-' + polyfills.join('-') + '.js' : null;
+
   if (polyfills.length) {
     var url;
-    var polyfillFile = 'bundles/webcomponents-' + polyfills.join('-') + '.js';
 
     // Load it from the right place.
     if (window.WebComponents.root) {
@@ -156,7 +294,7 @@
     // if readyState is 'loading', this script is synchronous
     if (document.readyState === 'loading') {
       // make sure custom elements are batched whenever parser gets to the injected script
-      newScript.setAttribute('onload', 'window.WebComponents._batchCustomElements()');
+      newScript.setAttribute('onload', 'window.WebComponents._bundleLoaded()');
       document.write(newScript.outerHTML);
       document.addEventListener('DOMContentLoaded', ready);
     } else {
@@ -172,6 +310,7 @@
     // if readyState is 'complete', script is loaded imperatively on a spec-compliant browser, so just fire WCR
     if (document.readyState === 'complete') {
       polyfillsLoaded = true;
+      firePolyfillsLoaded();
       fireEvent();
     } else {
       // this script may come between DCL and load, so listen for both, and cancel load listener if DCL fires